@@ -9,6 +9,14 @@ import salaryRouter from "./routes/salary.routes.js";
 import leaveRouter from "./routes/leave.routes.js";
 import performanceRouter from "./routes/performance.routes.js";
 import notificationRouter from "./routes/notification.routes.js";
+import roleRouter from "./routes/role.routes.js";
+import meRouter from "./routes/me.routes.js";
+import invitationRouter from "./routes/invitation.routes.js";
+import apiKeyRouter from "./routes/apiKey.routes.js";
+import auditRouter from "./routes/audit.routes.js";
+import skillRouter from "./routes/skill.routes.js";
+import wageRateRouter from "./routes/wageRate.routes.js";
+import idCardRouter from "./routes/idCard.routes.js";
 import errorMiddleware from "./middlewares/error.js";
 import cookieParser from "cookie-parser";
 
@@ -36,6 +44,14 @@ app.use("/api/v1/salaries", salaryRouter);
 app.use("/api/v1/leaves", leaveRouter);
 app.use("/api/v1/performance", performanceRouter);
 app.use("/api/v1/notifications", notificationRouter);
+app.use("/api/v1/roles", roleRouter);
+app.use("/api/v1/me", meRouter);
+app.use("/api/v1/invitations", invitationRouter);
+app.use("/api/v1/api-keys", apiKeyRouter);
+app.use("/api/v1/audit", auditRouter);
+app.use("/api/v1/skills", skillRouter);
+app.use("/api/v1/wage-rates", wageRateRouter);
+app.use("/api/v1/id-cards", idCardRouter);
 
 app.get("/", (req, res) => {
   res.status(200).json({
@@ -0,0 +1,129 @@
+// Every permission a role can be granted. Routes check these through
+// isPermitted(), so changing who may do what only means editing roles.
+export const PERMISSIONS = {
+  "user:list": "List all users",
+  "user:invite": "Invite users and manage own invitations",
+  "user:updateRole": "Change the role of a user",
+  "user:delete": "Delete users",
+  "user:changeStatus": "Deactivate and reactivate users",
+  "user:unlock": "Unlock accounts locked by failed logins",
+  "user:manageSessions": "View and revoke sessions of other users",
+  "security:viewEvents": "View security events such as lockouts",
+  "security:managePolicy": "Configure two-factor enforcement and registration",
+  "account:twoFactor": "Enrol in two-factor authentication",
+  "role:manage": "Create, update and delete roles",
+  "apiKey:manage": "Create and revoke API keys for machine clients",
+  "audit:view": "Review the audit trail of changes",
+
+  "labourer:create": "Create labourers",
+  "labourer:read": "View and search labourers",
+  "labourer:update": "Update labourer details",
+  "labourer:delete": "Delete and restore labourers",
+  "labourer:purge": "Permanently remove deleted labourers and their records",
+  "labourer:assign": "Assign labourers to projects",
+  "labourer:changeStatus": "Activate or deactivate labourers",
+  "labourer:merge": "Merge duplicate labourer records",
+  "labourer:revealDetails": "See full bank details and emergency contacts",
+  "idCard:issue": "Issue and print labourer ID cards",
+  "idCard:verify": "Verify scanned labourer ID cards",
+  "skill:manage": "Maintain the skills catalog",
+  "document:upload": "Upload and replace labourer documents",
+  "document:read": "View and download labourer documents",
+  "document:verify": "Verify or reject labourer documents",
+  "document:delete": "Delete labourer documents",
+
+  "project:global": "Access data of every project, not only managed ones",
+  "project:create": "Create projects",
+  "project:update": "Update project details",
+  "project:assignLabourers": "Assign labourers to a project",
+  "project:changeManager": "Change the manager of a project",
+  "project:changeStatus": "Change project status",
+  "project:delete": "Delete projects",
+
+  "attendance:mark": "Mark attendance",
+  "attendance:update": "Update attendance records",
+  "attendance:delete": "Delete attendance records",
+  "attendance:bulkAdd": "Bulk add attendance",
+  "attendance:export": "Download attendance exports",
+  "attendance:dashboard": "View the attendance dashboard",
+
+  "salary:create": "Create salary records",
+  "salary:update": "Update salary records",
+  "salary:markPaid": "Mark salaries as paid",
+  "salary:delete": "Delete salary records",
+  "salary:payslip": "Set payslip URLs",
+  "salary:summary": "View salary summaries across labourers",
+  "salary:generate": "Generate salaries for a period",
+  "wageRate:manage": "Maintain wage rates used by payroll",
+
+  "leave:apply": "Apply for leave",
+  "leave:cancel": "Cancel own leave requests",
+  "leave:list": "List all leave requests",
+  "leave:review": "Approve or reject leave requests",
+  "leave:remark": "Add remarks to leave requests",
+
+  "performance:create": "Create performance records",
+  "performance:update": "Update performance records",
+  "performance:delete": "Delete performance records",
+
+  "notification:create": "Create notifications",
+};
+
+// "*" grants everything, "<module>:*" grants a whole module
+export const WILDCARD = "*";
+
+// Built-in roles, seeded into the database on first use. They match the role
+// lists the routes used before permissions existed.
+export const SYSTEM_ROLES = {
+  admin: {
+    description: "Full access to the system",
+    permissions: [WILDCARD],
+  },
+  manager: {
+    description: "Runs projects, attendance, payroll and leave",
+    permissions: [
+      "account:twoFactor",
+      "user:invite",
+      "labourer:create",
+      "labourer:read",
+      "labourer:update",
+      "labourer:delete",
+      "labourer:assign",
+      "labourer:changeStatus",
+      "idCard:issue",
+      "idCard:verify",
+      "document:upload",
+      "document:read",
+      "document:verify",
+      "document:delete",
+      "project:create",
+      "project:update",
+      "project:assignLabourers",
+      "project:changeManager",
+      "project:changeStatus",
+      "project:delete",
+      "attendance:mark",
+      "attendance:update",
+      "attendance:bulkAdd",
+      "attendance:export",
+      "attendance:dashboard",
+      "salary:create",
+      "salary:update",
+      "salary:markPaid",
+      "salary:payslip",
+      "salary:summary",
+      "salary:generate",
+      "wageRate:manage",
+      "leave:list",
+      "leave:review",
+      "leave:remark",
+      "performance:create",
+      "performance:update",
+      "notification:create",
+    ],
+  },
+  labourer: {
+    description: "Self-service access for labourers",
+    permissions: ["leave:apply", "leave:cancel"],
+  },
+};
@@ -0,0 +1,252 @@
+import ApiKey from "../models/apiKey.model.js";
+import Project from "../models/project.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { generateApiKey } from "../utils/apiKeys.js";
+import {
+  findUnknownPermissions,
+  getGrantedPermissions,
+  hasPermission,
+} from "../utils/permissions.js";
+import { assertProjectAccess } from "../utils/projectScope.js";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+// A key may only carry permissions its creator holds
+const validateKeyPermissions = async (req, permissions) => {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new ApiError(400, "permissions must be a non-empty array");
+  }
+
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length) {
+    throw new ApiError(400, `Unknown permissions: ${unknown.join(", ")}`);
+  }
+
+  const granted = await getGrantedPermissions(req);
+  const notGranted = permissions.filter((p) => !hasPermission(granted, p));
+  if (notGranted.length) {
+    throw new ApiError(
+      403,
+      `You cannot grant permissions you do not hold: ${notGranted.join(", ")}`
+    );
+  }
+
+  return [...new Set(permissions)];
+};
+
+const validateKeyProjects = async (req, projectIds) => {
+  if (!Array.isArray(projectIds)) {
+    throw new ApiError(400, "projectIds must be an array");
+  }
+
+  const uniqueIds = [...new Set(projectIds.map(String))];
+  if (!uniqueIds.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw new ApiError(400, "projectIds contains an invalid ID");
+  }
+
+  const found = await Project.countDocuments({ _id: { $in: uniqueIds } });
+  if (found !== uniqueIds.length) {
+    throw new ApiError(404, "One or more projects not found");
+  }
+
+  await assertProjectAccess(req, ...uniqueIds);
+
+  return uniqueIds;
+};
+
+const validateExpiry = (expiresAt) => {
+  if (expiresAt === null) return null;
+
+  const expiry = new Date(expiresAt);
+  if (isNaN(expiry)) {
+    throw new ApiError(400, "Invalid expiresAt");
+  }
+  if (expiry <= new Date()) {
+    throw new ApiError(400, "expiresAt must be in the future");
+  }
+  return expiry;
+};
+
+// Function to Create an API Key (the plain key is only returned here)
+export const createApiKey = catchAsyncHandler(async (req, res, next) => {
+  const { name, permissions, projectIds = [], expiresAt } = req.body;
+
+  if (!name || typeof name !== "string" || name.trim() === "") {
+    return next(new ApiError(400, "Name is required"));
+  }
+
+  const keyData = {
+    name: name.trim(),
+    permissions: await validateKeyPermissions(req, permissions),
+    projectIds: await validateKeyProjects(req, projectIds),
+    createdBy: req.user._id,
+  };
+  if (expiresAt !== undefined) {
+    keyData.expiresAt = validateExpiry(expiresAt);
+  }
+
+  const { key, prefix, keyHash } = generateApiKey();
+
+  const apiKey = await ApiKey.create({ ...keyData, prefix, keyHash });
+
+  await recordAudit(req, {
+    action: "apiKey.create",
+    entity: "ApiKey",
+    entityId: apiKey._id,
+    after: apiKey,
+  });
+
+  res.status(201).json({
+    message: "Store this key now, it cannot be shown again",
+    key,
+    apiKey: await ApiKey.findById(apiKey._id),
+  });
+});
+
+// Function to List API Keys
+export const listApiKeys = catchAsyncHandler(async (req, res, next) => {
+  let { status, page = 1, limit = 20 } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+  const now = new Date();
+
+  if (status) {
+    if (status === "active") {
+      filters.revokedAt = null;
+      filters.$or = [{ expiresAt: null }, { expiresAt: { $gt: now } }];
+    } else if (status === "expired") {
+      filters.revokedAt = null;
+      filters.expiresAt = { $lte: now };
+    } else if (status === "revoked") {
+      filters.revokedAt = { $ne: null };
+    } else {
+      return next(new ApiError(400, "Invalid status filter"));
+    }
+  }
+
+  const total = await ApiKey.countDocuments(filters);
+
+  const apiKeys = await ApiKey.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 })
+    .populate({ path: "createdBy", select: "username email" })
+    .populate({ path: "projectIds", select: "name location" });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: apiKeys.length,
+    },
+    apiKeys,
+  });
+});
+
+// Function to get an API Key by ID
+export const getApiKeyById = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid API key ID"));
+  }
+
+  const apiKey = await ApiKey.findById(id)
+    .populate({ path: "createdBy", select: "username email" })
+    .populate({ path: "projectIds", select: "name location" });
+
+  if (!apiKey) {
+    return next(new ApiError(404, "API key not found"));
+  }
+
+  res.status(200).json({ apiKey });
+});
+
+// Function to Update an API Key's name, permissions, projects or expiry
+export const updateApiKey = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { name, permissions, projectIds, expiresAt } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid API key ID"));
+  }
+
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) {
+    return next(new ApiError(404, "API key not found"));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new ApiError(400, "Revoked API keys cannot be updated"));
+  }
+
+  const before = toAuditSnapshot(apiKey);
+
+  if (name !== undefined) {
+    if (typeof name !== "string" || name.trim() === "") {
+      return next(new ApiError(400, "Name must be a non-empty string"));
+    }
+    apiKey.name = name.trim();
+  }
+  if (permissions !== undefined) {
+    apiKey.permissions = await validateKeyPermissions(req, permissions);
+  }
+  if (projectIds !== undefined) {
+    apiKey.projectIds = await validateKeyProjects(req, projectIds);
+  }
+  if (expiresAt !== undefined) {
+    apiKey.expiresAt = validateExpiry(expiresAt);
+  }
+
+  await apiKey.save();
+
+  await recordAudit(req, {
+    action: "apiKey.update",
+    entity: "ApiKey",
+    entityId: apiKey._id,
+    before,
+    after: apiKey,
+  });
+
+  res.status(200).json({ apiKey });
+});
+
+// Function to Revoke an API Key
+export const revokeApiKey = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid API key ID"));
+  }
+
+  const apiKey = await ApiKey.findById(id);
+  if (!apiKey) {
+    return next(new ApiError(404, "API key not found"));
+  }
+
+  if (apiKey.revokedAt) {
+    return next(new ApiError(400, "API key is already revoked"));
+  }
+
+  const before = toAuditSnapshot(apiKey);
+
+  apiKey.revokedAt = new Date();
+  apiKey.revokedBy = req.user._id;
+  await apiKey.save();
+
+  await recordAudit(req, {
+    action: "apiKey.revoke",
+    entity: "ApiKey",
+    entityId: apiKey._id,
+    before,
+    after: apiKey,
+  });
+
+  res.status(200).json({ message: "API key revoked successfully" });
+});
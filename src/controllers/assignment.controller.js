@@ -0,0 +1,140 @@
+import Assignment from "../models/assignment.model.js";
+import Attendance from "../models/attendance.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import { startOfDay, endOfDay } from "../utils/dates.js";
+import {
+  assertProjectAccess,
+  assertLabourerAccess,
+} from "../utils/projectScope.js";
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ApiError(400, `Invalid ${field}`);
+  }
+  return date;
+};
+
+// Function to get the Project Assignment Timeline of a Labourer
+export const getLabourerAssignments = catchAsyncHandler(
+  async (req, res, next) => {
+    const { labourerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+      return next(new ApiError(400, "Invalid labourer ID"));
+    }
+
+    await assertLabourerAccess(req, labourerId, { allowUnassigned: true });
+
+    const assignments = await Assignment.find({ labourerId })
+      .sort({ startDate: -1 })
+      .populate({ path: "projectId", select: "name location" })
+      .populate({ path: "assignedBy", select: "username name" })
+      .populate({ path: "endedBy", select: "username name" });
+
+    res.status(200).json({
+      labourerId,
+      current: assignments.find((a) => !a.endDate) || null,
+      assignments,
+    });
+  }
+);
+
+// Function to list who was on a Project on a date (?date=) or during a
+// period (?from=&to=), together with their attendance for a single date
+export const getProjectAssignments = catchAsyncHandler(
+  async (req, res, next) => {
+    const { id: projectId } = req.params;
+    const { date, from, to } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return next(new ApiError(400, "Invalid project ID"));
+    }
+
+    await assertProjectAccess(req, projectId);
+
+    let periodStart;
+    let periodEnd;
+    if (from || to) {
+      periodStart = from ? startOfDay(parseDate(from, "from")) : new Date(0);
+      periodEnd = to ? endOfDay(parseDate(to, "to")) : endOfDay(new Date());
+      if (periodStart > periodEnd) {
+        return next(new ApiError(400, "from cannot be after to"));
+      }
+    } else {
+      const day = date ? parseDate(date, "date") : new Date();
+      periodStart = startOfDay(day);
+      periodEnd = endOfDay(day);
+    }
+
+    const assignments = await Assignment.find({
+      projectId,
+      startDate: { $lte: periodEnd },
+      $or: [{ endDate: null }, { endDate: { $gte: periodStart } }],
+    })
+      .sort({ startDate: 1 })
+      .populate({ path: "labourerId", select: "fullName contactNumber" })
+      .populate({ path: "assignedBy", select: "username name" });
+
+    let attendance;
+    if (!from && !to) {
+      attendance = await Attendance.find({
+        projectId,
+        date: { $gte: periodStart, $lte: periodEnd },
+      }).select("labourerId shift status markedBy");
+    }
+
+    res.status(200).json({
+      projectId,
+      from: periodStart,
+      to: periodEnd,
+      total: assignments.length,
+      assignments,
+      ...(attendance && { attendance }),
+    });
+  }
+);
+
+// Function to correct the Role or Notes of an Assignment
+export const updateAssignment = catchAsyncHandler(async (req, res, next) => {
+  const { labourerId, assignmentId } = req.params;
+  const { role, notes } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    return next(new ApiError(400, "Invalid labourer ID"));
+  }
+  if (!mongoose.Types.ObjectId.isValid(assignmentId)) {
+    return next(new ApiError(400, "Invalid assignment ID"));
+  }
+
+  await assertLabourerAccess(req, labourerId, { allowUnassigned: true });
+
+  const assignment = await Assignment.findOne({
+    _id: assignmentId,
+    labourerId,
+  });
+  if (!assignment) {
+    return next(new ApiError(404, "Assignment not found"));
+  }
+
+  await assertProjectAccess(req, assignment.projectId);
+
+  const before = toAuditSnapshot(assignment);
+
+  if (role !== undefined) assignment.role = role;
+  if (notes !== undefined) assignment.notes = notes;
+  await assignment.save();
+
+  await recordAudit(req, {
+    action: "assignment.update",
+    entity: "Assignment",
+    entityId: assignment._id,
+    before,
+    after: assignment,
+  });
+
+  res.status(200).json({ assignment });
+});
@@ -3,7 +3,14 @@ import Labourer from "../models/labourer.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, recordAudits, toAuditSnapshot } from "../utils/audit.js";
 import { Parser as Json2csvParser } from "json2csv";
+import {
+  assertProjectAccess,
+  assertRecordAccess,
+  projectScopeFilter,
+  labourerRecordsScopeFilter,
+} from "../utils/projectScope.js";
 
 export const markAttendance = catchAsyncHandler(async (req, res, next) => {
   const { labourerId, projectId, date, shift, status, markedBy } = req.body;
@@ -27,6 +34,8 @@ export const markAttendance = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "Invalid markedBy user ID"));
   }
 
+  await assertProjectAccess(req, projectId);
+
   const exists = await Attendance.findOne({
     labourerId,
     projectId,
@@ -51,6 +60,13 @@ export const markAttendance = catchAsyncHandler(async (req, res, next) => {
     markedBy,
   });
 
+  await recordAudit(req, {
+    action: "attendance.create",
+    entity: "Attendance",
+    entityId: attendance._id,
+    after: attendance,
+  });
+
   res.status(201).json({ attendance });
 });
 
@@ -123,6 +139,8 @@ export const updateAttendance = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Attendance record not found"));
   }
 
+  await assertProjectAccess(req, attendance.projectId, updates.projectId);
+
   if (
     updates.labourerId ||
     updates.projectId ||
@@ -152,10 +170,20 @@ export const updateAttendance = catchAsyncHandler(async (req, res, next) => {
     }
   }
 
+  const before = toAuditSnapshot(attendance);
+
   Object.assign(attendance, updates);
 
   await attendance.save();
 
+  await recordAudit(req, {
+    action: "attendance.update",
+    entity: "Attendance",
+    entityId: attendance._id,
+    before,
+    after: attendance,
+  });
+
   res.status(200).json({ attendance });
 });
 
@@ -171,8 +199,17 @@ export const deleteAttendance = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Attendance record not found"));
   }
 
+  await assertProjectAccess(req, attendance.projectId);
+
   await Attendance.findByIdAndDelete(attendanceId);
 
+  await recordAudit(req, {
+    action: "attendance.delete",
+    entity: "Attendance",
+    entityId: attendance._id,
+    before: attendance,
+  });
+
   res.status(200).json({ message: "Attendance record deleted successfully" });
 });
 
@@ -192,6 +229,8 @@ export const getAttendanceById = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Attendance record not found"));
   }
 
+  await assertRecordAccess(req, attendance);
+
   res.status(200).json({ attendance });
 });
 export const getAttendanceByLabourer = catchAsyncHandler(
@@ -218,6 +257,11 @@ export const getAttendanceByLabourer = catchAsyncHandler(
 
     const filters = { labourerId };
 
+    if (projectId && mongoose.Types.ObjectId.isValid(projectId)) {
+      await assertRecordAccess(req, { labourerId, projectId });
+    }
+    Object.assign(filters, await labourerRecordsScopeFilter(req, labourerId));
+
     if (projectId && mongoose.Types.ObjectId.isValid(projectId))
       filters.projectId = projectId;
     if (status && ["present", "absent", "half-day"].includes(status))
@@ -277,6 +321,8 @@ export const getAttendanceByProject = catchAsyncHandler(
       return next(new ApiError(400, "Invalid project ID"));
     }
 
+    await assertProjectAccess(req, projectId);
+
     page = parseInt(page, 10);
     limit = parseInt(limit, 10);
     if (isNaN(page) || page < 1) page = 1;
@@ -369,6 +415,8 @@ export const getAttendanceByDate = catchAsyncHandler(async (req, res, next) => {
     date: { $gte: startOfDay, $lte: endOfDay },
   };
 
+  Object.assign(filters, await projectScopeFilter(req));
+
   if (labourerId) {
     if (!mongoose.Types.ObjectId.isValid(labourerId)) {
       return next(new ApiError(400, "Invalid labourerId"));
@@ -380,6 +428,7 @@ export const getAttendanceByDate = catchAsyncHandler(async (req, res, next) => {
     if (!mongoose.Types.ObjectId.isValid(projectId)) {
       return next(new ApiError(400, "Invalid projectId"));
     }
+    await assertProjectAccess(req, projectId);
     filters.projectId = projectId;
   }
 
@@ -462,6 +511,7 @@ export const getLabourerAttendanceSummary = catchAsyncHandler(
 
     const matchCondition = {
       labourerId: new mongoose.Types.ObjectId(labourerId),
+      ...(await labourerRecordsScopeFilter(req, labourerId)),
     };
     if (startDate || endDate) {
       matchCondition.date = dateFilter;
@@ -513,6 +563,8 @@ export const getProjectAttendanceSummary = catchAsyncHandler(
       return next(new ApiError(400, "Invalid project ID"));
     }
 
+    await assertProjectAccess(req, projectId);
+
     const dateFilter = {};
     if (startDate) {
       const start = new Date(startDate);
@@ -640,6 +692,11 @@ export const bulkAddAttendance = catchAsyncHandler(async (req, res, next) => {
     );
   }
 
+  await assertProjectAccess(
+    req,
+    ...new Set(validRecords.map((rec) => String(rec.projectId)))
+  );
+
   let inserted = [];
   let failed = [...errors];
 
@@ -663,6 +720,16 @@ export const bulkAddAttendance = catchAsyncHandler(async (req, res, next) => {
     }
   }
 
+  await recordAudits(
+    req,
+    inserted.map((attendance) => ({
+      action: "attendance.create",
+      entity: "Attendance",
+      entityId: attendance._id,
+      after: attendance,
+    }))
+  );
+
   res.status(201).json({
     message: "Bulk attendance insert complete",
     insertedCount: inserted.length,
@@ -679,6 +746,11 @@ export const bulkDownloadAttendance = catchAsyncHandler(
 
     const filters = {};
 
+    if (projectId && mongoose.Types.ObjectId.isValid(projectId)) {
+      await assertProjectAccess(req, projectId);
+    }
+    Object.assign(filters, await projectScopeFilter(req));
+
     if (labourerId && mongoose.Types.ObjectId.isValid(labourerId))
       filters.labourerId = labourerId;
     if (projectId && mongoose.Types.ObjectId.isValid(projectId))
@@ -738,10 +810,16 @@ export const dashboardStats = catchAsyncHandler(async (req, res, next) => {
   const startOfDay = new Date(today.setHours(0, 0, 0, 0));
   const endOfDay = new Date(today.setHours(23, 59, 59, 999));
 
-  const totalLabourers = await Labourer.countDocuments({ status: "active" });
+  const scopeFilter = await projectScopeFilter(req);
+
+  const totalLabourers = await Labourer.countDocuments({
+    status: "active",
+    ...(await projectScopeFilter(req, "assignedProjectId")),
+  });
 
   const todayRecords = await Attendance.find({
     date: { $gte: startOfDay, $lte: endOfDay },
+    ...scopeFilter,
   });
 
   const present = todayRecords.filter((r) => r.status === "present").length;
@@ -757,7 +835,10 @@ export const dashboardStats = catchAsyncHandler(async (req, res, next) => {
     d.setDate(d.getDate() - i);
     const sD = new Date(d.setHours(0, 0, 0, 0));
     const eD = new Date(d.setHours(23, 59, 59, 999));
-    const dayRecords = await Attendance.find({ date: { $gte: sD, $lte: eD } });
+    const dayRecords = await Attendance.find({
+      date: { $gte: sD, $lte: eD },
+      ...scopeFilter,
+    });
     const dayPresent = dayRecords.filter((r) => r.status === "present").length;
     last7Days.push({ date: sD, present: dayPresent });
   }
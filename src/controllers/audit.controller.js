@@ -0,0 +1,89 @@
+import AuditLog from "../models/auditLog.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+
+// Function to List Audit Entries with filters (Access : Admin Only)
+export const listAuditLogs = catchAsyncHandler(async (req, res, next) => {
+  let {
+    actor,
+    action,
+    entity,
+    entityId,
+    apiKeyId,
+    ip,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  for (const [field, value] of Object.entries({ actor, entityId, apiKeyId })) {
+    if (!value) continue;
+    if (!mongoose.Types.ObjectId.isValid(value)) {
+      return next(new ApiError(400, `Invalid ${field}`));
+    }
+    filters[field] = value;
+  }
+
+  if (action) filters.action = action;
+  if (entity) filters.entity = entity;
+  if (ip) filters.ip = ip;
+
+  if (startDate || endDate) {
+    filters.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (isNaN(start)) return next(new ApiError(400, "Invalid startDate"));
+      filters.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (isNaN(end)) return next(new ApiError(400, "Invalid endDate"));
+      filters.createdAt.$lte = end;
+    }
+  }
+
+  const total = await AuditLog.countDocuments(filters);
+  const entries = await AuditLog.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 })
+    .populate({ path: "actor", select: "username email role" })
+    .populate({ path: "apiKeyId", select: "name prefix" });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: entries.length,
+    },
+    entries,
+  });
+});
+
+// Function to get one Audit Entry by ID (Access : Admin Only)
+export const getAuditLogById = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid audit entry ID"));
+  }
+
+  const entry = await AuditLog.findById(id)
+    .populate({ path: "actor", select: "username email role" })
+    .populate({ path: "apiKeyId", select: "name prefix" });
+
+  if (!entry) {
+    return next(new ApiError(404, "Audit entry not found"));
+  }
+
+  res.status(200).json({ entry });
+});
@@ -0,0 +1,252 @@
+import Labourer from "../models/labourer.model.js";
+import Project from "../models/project.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit } from "../utils/audit.js";
+import { getFileStorage } from "../utils/storage/index.js";
+import { PHOTO_KEYS } from "../utils/profilePhotos.js";
+import {
+  assertIdCardsConfigured,
+  issueIdCard,
+  readCardCode,
+  signCardCode,
+} from "../utils/idCards.js";
+import { renderIdCards } from "../utils/idCardPdf.js";
+import {
+  assertLabourerAccess,
+  assertProjectAccess,
+} from "../utils/projectScope.js";
+
+const SKILL_POPULATE = { path: "skills.skillId", select: "name" };
+
+// A project print sheet covers at most this many labourers
+const MAX_SHEET_CARDS = 500;
+
+const auditedCard = (idCard) =>
+  idCard?.serial
+    ? {
+        serial: idCard.serial,
+        issuedAt: idCard.issuedAt,
+        validUntil: idCard.validUntil,
+      }
+    : null;
+
+// A missing photo file only leaves the photo box empty
+const readPhoto = async (profilePhoto) => {
+  if (!profilePhoto?.key) return null;
+  try {
+    return await getFileStorage(profilePhoto.storage).read(profilePhoto.key);
+  } catch (error) {
+    console.error(`Failed to read stored file ${profilePhoto.key}:`, error);
+    return null;
+  }
+};
+
+const skillLabel = (labourer) => {
+  const [first] = labourer.skills ?? [];
+  if (first?.skillId?.name) return `${first.skillId.name} (${first.level})`;
+  return labourer.skillType;
+};
+
+const buildCard = async (labourer, project) => ({
+  labourer,
+  organisation: process.env.ID_CARD_ORGANISATION || "Labour Management System",
+  projectName: project?.name,
+  skill: skillLabel(labourer),
+  photo: await readPhoto(labourer.toObject().profilePhoto),
+  code: signCardCode(labourer),
+});
+
+const sendPdf = (res, filename, pdf) => {
+  res.attachment(filename);
+  res.set("Cache-Control", "no-store");
+  res.status(200).send(pdf);
+};
+
+// Function to Issue a Labourer's ID Card and download it as a PDF. A card is
+// issued on first use and whenever the last one expired, otherwise the
+// current one is printed again; { reissue: true } replaces a valid one (lost
+// card), which stops the old card from verifying.
+export const issueLabourerIdCard = catchAsyncHandler(async (req, res, next) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    return next(new ApiError(400, "Invalid labourer ID"));
+  }
+
+  assertIdCardsConfigured();
+
+  const labourer = await Labourer.findById(labourerId)
+    .select(PHOTO_KEYS)
+    .populate(SKILL_POPULATE);
+  if (!labourer) {
+    return next(new ApiError(404, "Labourer not found"));
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  if (labourer.status !== "active") {
+    return next(
+      new ApiError(409, "ID cards are only issued to active labourers")
+    );
+  }
+
+  const project = labourer.assignedProjectId
+    ? await Project.findById(labourer.assignedProjectId).select("name endDate")
+    : null;
+
+  const before = auditedCard(labourer.idCard);
+  const issued = issueIdCard(labourer, {
+    project,
+    actorId: req.user._id,
+    reissue: req.body?.reissue === true,
+  });
+
+  if (issued) {
+    await labourer.save();
+    await recordAudit(req, {
+      action: "labourer.issueIdCard",
+      entity: "Labourer",
+      entityId: labourer._id,
+      before: { idCard: before },
+      after: { idCard: auditedCard(labourer.idCard) },
+    });
+  }
+
+  const pdf = await renderIdCards([await buildCard(labourer, project)]);
+  sendPdf(res, `id-card-${labourer._id}.pdf`, pdf);
+});
+
+// Function to Issue the ID Cards of every active Labourer on a Project and
+// download them as a print sheet (A4). Cards are issued where missing or
+// expired, or for everyone with { reissue: true }.
+export const issueProjectIdCards = catchAsyncHandler(async (req, res, next) => {
+  const { id: projectId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(projectId)) {
+    return next(new ApiError(400, "Invalid project ID"));
+  }
+
+  assertIdCardsConfigured();
+
+  const project = await Project.findById(projectId).select("name endDate");
+  if (!project) {
+    return next(new ApiError(404, "Project not found"));
+  }
+
+  await assertProjectAccess(req, project._id);
+
+  const labourers = await Labourer.find({
+    assignedProjectId: project._id,
+    status: "active",
+  })
+    .select(PHOTO_KEYS)
+    .populate(SKILL_POPULATE)
+    .sort({ fullName: 1 });
+
+  if (!labourers.length) {
+    return next(new ApiError(404, "No active labourers on this project"));
+  }
+  if (labourers.length > MAX_SHEET_CARDS) {
+    return next(
+      new ApiError(
+        400,
+        `A print sheet holds at most ${MAX_SHEET_CARDS} cards, this project has ${labourers.length} active labourers`
+      )
+    );
+  }
+
+  const issued = [];
+  for (const labourer of labourers) {
+    const wasIssued = issueIdCard(labourer, {
+      project,
+      actorId: req.user._id,
+      reissue: req.body?.reissue === true,
+    });
+    if (wasIssued) {
+      await labourer.save();
+      issued.push(labourer._id);
+    }
+  }
+
+  if (issued.length) {
+    await recordAudit(req, {
+      action: "project.issueIdCards",
+      entity: "Project",
+      entityId: project._id,
+      after: { labourerIds: issued },
+    });
+  }
+
+  const cards = [];
+  for (const labourer of labourers) {
+    cards.push(await buildCard(labourer, project));
+  }
+
+  const pdf = await renderIdCards(cards, { sheet: true });
+  sendPdf(res, `id-cards-${project._id}.pdf`, pdf);
+});
+
+// Function to Verify a scanned ID Card code. Cards are shown at any site, so
+// any card can be checked regardless of project scope; only what is printed
+// on the card is returned.
+export const verifyIdCard = catchAsyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code || typeof code !== "string") {
+    return next(new ApiError(400, "The scanned code is required"));
+  }
+
+  const card = readCardCode(code);
+  if (!card) {
+    return res.status(200).json({
+      genuine: false,
+      active: false,
+      reason: "The code was not issued by this system",
+    });
+  }
+
+  const labourer = await Labourer.findById(card.labourerId).populate({
+    path: "assignedProjectId",
+    select: "name",
+  });
+
+  // Deleted labourers and replaced cards were genuine once, but not anymore
+  if (!labourer || labourer.idCard?.serial !== card.serial) {
+    return res.status(200).json({
+      genuine: false,
+      active: false,
+      reason: labourer
+        ? "The card has been replaced by a newer one"
+        : "The card has been withdrawn",
+    });
+  }
+
+  let reason = null;
+  if (card.validUntil < new Date()) {
+    reason = "The card has expired";
+  } else if (labourer.status !== "active") {
+    reason = "The labourer is not active";
+  }
+
+  res.status(200).json({
+    genuine: true,
+    active: !reason,
+    reason,
+    validUntil: card.validUntil,
+    labourer: {
+      _id: labourer._id,
+      fullName: labourer.fullName,
+      status: labourer.status,
+      bloodGroup: labourer.bloodGroup,
+      project: labourer.assignedProjectId
+        ? {
+            _id: labourer.assignedProjectId._id,
+            name: labourer.assignedProjectId.name,
+          }
+        : null,
+      photoUrl: labourer.profilePhoto?.thumbnailUrl ?? null,
+    },
+  });
+});
@@ -0,0 +1,492 @@
+import Invitation from "../models/invitation.model.js";
+import User from "../models/user.model.js";
+import Role from "../models/role.model.js";
+import Project from "../models/project.model.js";
+import Labourer from "../models/labourer.model.js";
+import Setting from "../models/setting.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { hashToken, issueTokens, setAuthCookies } from "../utils/tokens.js";
+import {
+  assertCanGrantRole,
+  ensureSystemRoles,
+  getRolePermissions,
+  hasPermission,
+} from "../utils/permissions.js";
+import { normalizePhone } from "../utils/phoneOtp.js";
+import {
+  getProjectScope,
+  assertProjectAccess,
+  assertLabourerAccess,
+} from "../utils/projectScope.js";
+import {
+  REGISTRATION_MODE_KEY,
+  REGISTRATION_MODES,
+  getRegistrationMode,
+  sendInvitationMail,
+} from "../utils/invitations.js";
+import { recordAssignmentChange } from "../utils/assignments.js";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+const MAX_EXPIRY_DAYS = 30;
+
+// Only roles that can run a project are made its manager on acceptance
+const canManageProjects = (permissions) =>
+  hasPermission(permissions, "project:update");
+
+// Invitations issued by someone else are only visible with global scope
+const findManageableInvitation = async (req, invitationId) => {
+  if (!mongoose.Types.ObjectId.isValid(invitationId)) {
+    throw new ApiError(400, "Invalid invitation ID");
+  }
+
+  const filters = { _id: invitationId };
+  const scope = await getProjectScope(req);
+  if (!scope.global) filters.invitedBy = req.user._id;
+
+  const invitation = await Invitation.findOne(filters);
+  if (!invitation) {
+    throw new ApiError(404, "Invitation not found");
+  }
+  return invitation;
+};
+
+const findPendingInvitationByToken = (token) =>
+  Invitation.findOne({
+    tokenHash: hashToken(token),
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+
+// Function to Invite a new User with a Role (and optionally a Project)
+export const createInvitation = catchAsyncHandler(async (req, res, next) => {
+  const { email, name, role, projectId, labourerId, expiresInDays } = req.body;
+
+  if (!email || !role) {
+    return next(new ApiError(400, "Email and role are required"));
+  }
+
+  if (
+    expiresInDays !== undefined &&
+    !(
+      Number.isInteger(expiresInDays) &&
+      expiresInDays > 0 &&
+      expiresInDays <= MAX_EXPIRY_DAYS
+    )
+  ) {
+    return next(
+      new ApiError(
+        400,
+        `expiresInDays must be a whole number between 1 and ${MAX_EXPIRY_DAYS}`
+      )
+    );
+  }
+
+  await ensureSystemRoles();
+  const invitedRole = await Role.findOne({ name: role.toLowerCase() });
+  if (!invitedRole) {
+    return next(new ApiError(400, `Role '${role}' does not exist`));
+  }
+  await assertCanGrantRole(req, invitedRole);
+
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return next(new ApiError(400, "Invalid projectId"));
+    }
+    if (!(await Project.exists({ _id: projectId }))) {
+      return next(new ApiError(404, "Project not found"));
+    }
+    await assertProjectAccess(req, projectId);
+  }
+
+  if (labourerId) {
+    if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+      return next(new ApiError(400, "Invalid labourerId"));
+    }
+    const labourer = await Labourer.findById(labourerId);
+    if (!labourer) {
+      return next(new ApiError(404, "Labourer not found"));
+    }
+    if (labourer.userId) {
+      return next(
+        new ApiError(409, "Labourer profile is already linked to a user")
+      );
+    }
+    await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+  } else if (projectId) {
+    // Without a labourer profile the invitee takes over the project
+    if (!canManageProjects(invitedRole.permissions)) {
+      return next(
+        new ApiError(
+          400,
+          `Role '${invitedRole.name}' cannot manage a project, link a labourer profile to add the invitee to it`
+        )
+      );
+    }
+    if (!hasPermission(req.permissions, "project:changeManager")) {
+      return next(
+        new ApiError(403, "You are not allowed to change the project manager")
+      );
+    }
+  }
+
+  const normalizedEmail = email.toLowerCase();
+
+  if (await User.exists({ email: normalizedEmail })) {
+    return next(new ApiError(409, "A user with this email already exists"));
+  }
+
+  const pending = await Invitation.findOne({
+    email: normalizedEmail,
+    status: "pending",
+    expiresAt: { $gt: new Date() },
+  });
+  if (pending) {
+    return next(
+      new ApiError(
+        409,
+        "A pending invitation already exists for this email, resend it instead"
+      )
+    );
+  }
+
+  const invitation = new Invitation({
+    email: normalizedEmail,
+    name,
+    role: invitedRole.name,
+    projectId,
+    labourerId,
+    invitedBy: req.user._id,
+  });
+  const token = invitation.createInvitationToken(expiresInDays);
+  invitation.sentCount = 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  try {
+    await sendInvitationMail(invitation, token, req.user);
+  } catch (error) {
+    await Invitation.deleteOne({ _id: invitation._id });
+    return next(new ApiError(500, "Could not send invitation email"));
+  }
+
+  await recordAudit(req, {
+    action: "invitation.create",
+    entity: "Invitation",
+    entityId: invitation._id,
+    after: invitation,
+  });
+
+  res.status(201).json({ invitation });
+});
+
+// Function to List Invitations (own ones, or all with global scope)
+export const listInvitations = catchAsyncHandler(async (req, res, next) => {
+  let { status, email, role, page = 1, limit = 20 } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  const scope = await getProjectScope(req);
+  if (!scope.global) filters.invitedBy = req.user._id;
+
+  if (status) {
+    const allowedStatus = ["pending", "accepted", "revoked", "expired"];
+    if (!allowedStatus.includes(status)) {
+      return next(new ApiError(400, "Invalid status filter"));
+    }
+    // "expired" is a pending invitation whose link ran out
+    if (status === "expired") {
+      filters.status = "pending";
+      filters.expiresAt = { $lte: new Date() };
+    } else {
+      filters.status = status;
+      if (status === "pending") filters.expiresAt = { $gt: new Date() };
+    }
+  }
+
+  if (email) filters.email = email.toLowerCase();
+  if (role) filters.role = role.toLowerCase();
+
+  const total = await Invitation.countDocuments(filters);
+
+  const invitations = await Invitation.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 })
+    .populate({ path: "invitedBy", select: "username email" })
+    .populate({ path: "projectId", select: "name location" });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: invitations.length,
+    },
+    invitations,
+  });
+});
+
+// Function to Resend an Invitation with a new link (also renews expired ones)
+export const resendInvitation = catchAsyncHandler(async (req, res, next) => {
+  const invitation = await findManageableInvitation(req, req.params.id);
+
+  if (invitation.status !== "pending") {
+    return next(
+      new ApiError(
+        400,
+        `Cannot resend an invitation with status '${invitation.status}'`
+      )
+    );
+  }
+
+  const before = toAuditSnapshot(invitation);
+
+  const token = invitation.createInvitationToken();
+  invitation.sentCount += 1;
+  invitation.lastSentAt = new Date();
+  await invitation.save();
+
+  try {
+    await sendInvitationMail(invitation, token, req.user);
+  } catch (error) {
+    return next(new ApiError(500, "Could not send invitation email"));
+  }
+
+  await recordAudit(req, {
+    action: "invitation.resend",
+    entity: "Invitation",
+    entityId: invitation._id,
+    before,
+    after: invitation,
+  });
+
+  res.status(200).json({ invitation });
+});
+
+// Function to Revoke a pending Invitation
+export const revokeInvitation = catchAsyncHandler(async (req, res, next) => {
+  const invitation = await findManageableInvitation(req, req.params.id);
+
+  if (invitation.status !== "pending") {
+    return next(
+      new ApiError(
+        400,
+        `Cannot revoke an invitation with status '${invitation.status}'`
+      )
+    );
+  }
+
+  const before = toAuditSnapshot(invitation);
+
+  invitation.status = "revoked";
+  invitation.tokenHash = undefined;
+  invitation.revokedBy = req.user._id;
+  invitation.revokedAt = new Date();
+  await invitation.save();
+
+  await recordAudit(req, {
+    action: "invitation.revoke",
+    entity: "Invitation",
+    entityId: invitation._id,
+    before,
+    after: invitation,
+  });
+
+  res.status(200).json({ message: "Invitation revoked successfully" });
+});
+
+// Function to look up an Invitation by its Token (before accepting it)
+export const getInvitationByToken = catchAsyncHandler(
+  async (req, res, next) => {
+    const invitation = await findPendingInvitationByToken(req.params.token);
+    if (!invitation) {
+      return next(new ApiError(400, "Invitation is invalid or has expired"));
+    }
+
+    res.status(200).json({
+      invitation: {
+        email: invitation.email,
+        name: invitation.name,
+        role: invitation.role,
+        expiresAt: invitation.expiresAt,
+      },
+    });
+  }
+);
+
+// Function to Accept an Invitation and create the Account
+export const acceptInvitation = catchAsyncHandler(async (req, res, next) => {
+  const { name, username, password } = req.body;
+
+  if (!username || !password) {
+    return next(new ApiError(400, "Username and password are required"));
+  }
+
+  const phone = req.body.phone ? normalizePhone(req.body.phone) : undefined;
+  if (phone === null) {
+    return next(new ApiError(400, "Invalid phone number"));
+  }
+
+  const invitation = await findPendingInvitationByToken(req.params.token);
+  if (!invitation) {
+    return next(new ApiError(400, "Invitation is invalid or has expired"));
+  }
+
+  const conditions = [
+    { username: username.toLowerCase() },
+    { email: invitation.email },
+  ];
+  if (phone) conditions.push({ phone });
+
+  const existing = await User.findOne({ $or: conditions });
+  if (existing) {
+    return next(new ApiError(409, "Email, Username or Phone already exists"));
+  }
+
+  // Claim the invitation first so the token cannot be used twice
+  const claimed = await Invitation.findOneAndUpdate(
+    { _id: invitation._id, status: "pending" },
+    {
+      $set: { status: "accepted", acceptedAt: new Date() },
+      $unset: { tokenHash: 1 },
+    },
+    { new: true }
+  );
+  if (!claimed) {
+    return next(new ApiError(400, "Invitation is invalid or has expired"));
+  }
+
+  let user;
+  try {
+    user = await User.create({
+      name: name || invitation.name,
+      username: username.toLowerCase(),
+      email: invitation.email,
+      password,
+      role: invitation.role,
+      phone,
+      // The invitation link was delivered to this address
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+  } catch (error) {
+    await Invitation.updateOne(
+      { _id: invitation._id },
+      {
+        $set: { status: "pending", tokenHash: hashToken(req.params.token) },
+        $unset: { acceptedAt: 1 },
+      }
+    );
+    throw error;
+  }
+
+  claimed.acceptedBy = user._id;
+  await claimed.save();
+
+  // Nobody was signed in, the new account is the actor from here on
+  req.user = user;
+  await recordAudit(req, {
+    action: "invitation.accept",
+    entity: "Invitation",
+    entityId: claimed._id,
+    after: claimed,
+  });
+
+  if (invitation.labourerId) {
+    const labourerUpdate = { userId: user._id };
+    if (invitation.projectId) {
+      labourerUpdate.assignedProjectId = invitation.projectId;
+    }
+    // Returns the labourer as it was, to record the project change
+    const labourer = await Labourer.findOneAndUpdate(
+      { _id: invitation.labourerId, userId: null },
+      { $set: labourerUpdate }
+    );
+    if (labourer && invitation.projectId) {
+      await recordAssignmentChange({
+        labourer,
+        fromProjectId: labourer.assignedProjectId,
+        toProjectId: invitation.projectId,
+        actorId: invitation.invitedBy,
+      });
+      // The labourer is listed on their new project only
+      await Project.updateMany(
+        { _id: { $ne: invitation.projectId }, assignedLabourers: labourer._id },
+        { $pull: { assignedLabourers: labourer._id } }
+      );
+      await Project.updateOne(
+        { _id: invitation.projectId },
+        { $addToSet: { assignedLabourers: labourer._id } }
+      );
+    }
+  } else if (
+    invitation.projectId &&
+    // The role may have been edited since the invitation was sent
+    canManageProjects(await getRolePermissions(invitation.role))
+  ) {
+    await Project.updateOne(
+      { _id: invitation.projectId },
+      { $set: { managerId: user._id } }
+    );
+  }
+
+  const createdUser = await User.findById(user._id);
+  const { accessToken, refreshToken } = await issueTokens(createdUser, req);
+
+  return setAuthCookies(res.status(201), { accessToken, refreshToken }).json({
+    user: createdUser,
+    accessToken,
+    refreshToken,
+  });
+});
+
+// Function to view the public Registration mode (Access : Admin Only)
+export const getRegistrationPolicy = catchAsyncHandler(
+  async (req, res, next) => {
+    const mode = await getRegistrationMode();
+
+    res.status(200).json({ mode, allowedModes: REGISTRATION_MODES });
+  }
+);
+
+// Function to set the public Registration mode (Access : Admin Only)
+export const updateRegistrationPolicy = catchAsyncHandler(
+  async (req, res, next) => {
+    const { mode } = req.body;
+
+    if (!REGISTRATION_MODES.includes(mode)) {
+      return next(
+        new ApiError(
+          400,
+          `Mode must be one of: ${REGISTRATION_MODES.join(", ")}`
+        )
+      );
+    }
+
+    const previous = await Setting.findOne({ key: REGISTRATION_MODE_KEY });
+    const setting = await Setting.setValue(
+      REGISTRATION_MODE_KEY,
+      mode,
+      req.user._id
+    );
+
+    await recordAudit(req, {
+      action: "setting.update",
+      entity: "Setting",
+      entityId: setting._id,
+      before: previous,
+      after: setting,
+    });
+
+    res.status(200).json({
+      message: "Registration policy updated successfully",
+      mode,
+    });
+  }
+);
@@ -1,14 +1,52 @@
-import Labourer from "../models/labourer.model.js";
+import Labourer, { BLOOD_GROUPS } from "../models/labourer.model.js";
 import Attendance from "../models/attendance.model.js";
 import Project from "../models/project.model.js";
+import Salary from "../models/salary.model.js";
+import Leave from "../models/leave.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import { getFileStorage } from "../utils/storage/index.js";
+import { processProfilePhoto } from "../utils/images.js";
+import {
+  PHOTO_KEYS,
+  profilePhotoUrls,
+  removeProfilePhotoFiles,
+} from "../utils/profilePhotos.js";
+import { recordAssignmentChange } from "../utils/assignments.js";
+import { purgeLabourerRecords } from "../utils/labourerPurge.js";
+import {
+  parseSearchQuery,
+  resolveTermReferences,
+  searchCandidateFilter,
+  scoreSearchResult,
+} from "../utils/labourerSearch.js";
+import {
+  buildBankDetails,
+  buildEmergencyContact,
+} from "../utils/sensitiveDetails.js";
+import {
+  buildLabourerSkill,
+  buildLabourerSkills,
+  labourerSkillFilter,
+} from "../utils/skills.js";
+import {
+  assertProjectAccess,
+  assertLabourerAccess,
+  labourerProfileScopeFilter,
+  deletedLabourerScopeFilter,
+  projectScopeFilter,
+} from "../utils/projectScope.js";
+
+const SKILL_POPULATE = { path: "skills.skillId", select: "name category" };
+
+// Ranked search scores at most this many matching records; beyond that the
+// results are flagged as truncated
+const MAX_SEARCH_CANDIDATES = 1000;
 
 // Function to Create a labourer Entity
 export const createLabourer = catchAsyncHandler(async (req, res, next) => {
-  console.log("req.body : ", req.body);
-
   const {
     userId,
     fullName,
@@ -18,9 +56,13 @@ export const createLabourer = catchAsyncHandler(async (req, res, next) => {
     address,
     assignedProjectId,
     joiningDate,
-    skillType,
+    skills,
     status,
+    bloodGroup,
+    bankDetails,
+    emergencyContact,
   } = req.body;
+  let { skillType } = req.body;
 
   if (
     !fullName ||
@@ -28,7 +70,7 @@ export const createLabourer = catchAsyncHandler(async (req, res, next) => {
     !gender ||
     !contactNumber ||
     !address ||
-    !skillType
+    !(skillType || skills?.length)
   ) {
     return next(
       new ApiError(400, "Please provide all required labourer details")
@@ -45,6 +87,17 @@ export const createLabourer = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "Invalid assignedProjectId"));
   }
 
+  if (bloodGroup !== undefined && !BLOOD_GROUPS.includes(bloodGroup)) {
+    return next(
+      new ApiError(
+        400,
+        `Blood group must be one of: ${BLOOD_GROUPS.join(", ")}`
+      )
+    );
+  }
+
+  await assertProjectAccess(req, assignedProjectId);
+
   if (userId) {
     const existingLabourer = await Labourer.findOne({ userId });
     if (existingLabourer) {
@@ -54,27 +107,16 @@ export const createLabourer = catchAsyncHandler(async (req, res, next) => {
     }
   }
 
-  // { File Uploads are Under Development }
-
-  // let profilePhoto = null;
-  // if (req.file) {
-  //   const uploaded = await new Promise((resolve, reject) => {
-  //     const stream = cloudinary.uploader.upload_stream(
-  //       { folder: "labourer-profiles" },
-  //       (error, result) => {
-  //         if (error || !result) return reject(error || new Error("Cloudinary upload failed"));
-  //         resolve(result);
-  //       }
-  //     );
-  //     stream.end(req.file.buffer);
-  //   });
-  //   profilePhoto = {
-  //     publicId: uploaded.public_id,
-  //     url: uploaded.secure_url,
-  //   };
-  // }
+  const builtSkills = skills ? await buildLabourerSkills(skills) : [];
+  if (!skillType && builtSkills.length) {
+    skillType = builtSkills[0].skill.name;
+  }
 
   const labourer = await Labourer.create({
+    ...(bankDetails && { bankDetails: buildBankDetails(bankDetails) }),
+    ...(emergencyContact && {
+      emergencyContact: buildEmergencyContact(emergencyContact),
+    }),
     userId,
     fullName,
     age,
@@ -84,7 +126,22 @@ export const createLabourer = catchAsyncHandler(async (req, res, next) => {
     assignedProjectId,
     joiningDate,
     skillType,
+    skills: builtSkills.map(({ entry }) => entry),
     status,
+    bloodGroup,
+  });
+
+  await recordAssignmentChange({
+    labourer,
+    toProjectId: labourer.assignedProjectId,
+    actorId: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "labourer.create",
+    entity: "Labourer",
+    entityId: labourer._id,
+    after: labourer,
   });
 
   res.status(201).json({ labourer });
@@ -103,12 +160,15 @@ export const getLabourerById = catchAsyncHandler(async (req, res, next) => {
     .populate({
       path: "assignedProjectId",
       select: "name location startDate endDate",
-    });
+    })
+    .populate(SKILL_POPULATE);
 
   if (!labourer) {
     return next(new ApiError(404, "Labourer not found"));
   }
 
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
   res.status(200).json({ labourer });
 });
 
@@ -130,6 +190,7 @@ export const updateLabourer = catchAsyncHandler(async (req, res, next) => {
     "joiningDate",
     "skillType",
     "status",
+    "bloodGroup",
   ];
 
   const updates = {};
@@ -162,6 +223,20 @@ export const updateLabourer = catchAsyncHandler(async (req, res, next) => {
     updates.status = updates.status.toLowerCase();
   }
 
+  // null clears it
+  if (
+    updates.bloodGroup !== undefined &&
+    updates.bloodGroup !== null &&
+    !BLOOD_GROUPS.includes(updates.bloodGroup)
+  ) {
+    return next(
+      new ApiError(
+        400,
+        `Blood group must be one of: ${BLOOD_GROUPS.join(", ")}`
+      )
+    );
+  }
+
   if (updates.assignedProjectId) {
     if (!mongoose.Types.ObjectId.isValid(updates.assignedProjectId)) {
       return next(new ApiError(400, "Invalid assignedProjectId"));
@@ -186,36 +261,31 @@ export const updateLabourer = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Labourer not found"));
   }
 
-  // { File Uploads are Under Development }
-
-  // if (req.file) {
-  //   // Delete existing photo from Cloudinary if exists
-  //   if (labourer.profilePhoto && labourer.profilePhoto.publicId) {
-  //     await uploadOnCloudinary.uploader.destroy(labourer.profilePhoto.publicId);
-  //   }
-
-  //   // Upload new photo
-  //   const uploaded = await new Promise((resolve, reject) => {
-  //     const stream = uploadOnCloudinary.uploader.upload_stream(
-  //       { folder: "labourer-profiles" },
-  //       (error, result) => {
-  //         if (error || !result) return reject(error || new Error("Cloudinary upload failed"));
-  //         resolve(result);
-  //       }
-  //     );
-  //     stream.end(req.file.buffer);
-  //   });
-
-  //   updates.profilePhoto = {
-  //     publicId: uploaded.public_id,
-  //     url: uploaded.secure_url,
-  //   };
-  // }
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+  await assertProjectAccess(req, updates.assignedProjectId);
+
+  const before = toAuditSnapshot(labourer);
+  const previousProjectId = labourer.assignedProjectId;
 
   Object.assign(labourer, updates);
 
   await labourer.save();
 
+  await recordAssignmentChange({
+    labourer,
+    fromProjectId: previousProjectId,
+    toProjectId: labourer.assignedProjectId,
+    actorId: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "labourer.update",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
+
   res.status(200).json({ labourer });
 });
 
@@ -227,6 +297,10 @@ export const listLabourers = catchAsyncHandler(async (req, res, next) => {
     skillType,
     gender,
     fullName,
+    skill,
+    level,
+    certified,
+    deleted,
     page = 1,
     limit = 20,
   } = req.query;
@@ -242,6 +316,7 @@ export const listLabourers = catchAsyncHandler(async (req, res, next) => {
       return next(new ApiError(400, "Invalid project ID filter"));
     }
     filters.assignedProjectId = assignedProjectId;
+    await assertProjectAccess(req, assignedProjectId);
   }
 
   if (status) {
@@ -266,12 +341,26 @@ export const listLabourers = catchAsyncHandler(async (req, res, next) => {
     filters.fullName = { $regex: fullName, $options: "i" };
   }
 
+  // ?deleted=true lists the soft deleted labourers instead, to restore them
+  if (deleted === "true") {
+    filters.deletedAt = { $ne: null };
+  }
+
+  Object.assign(
+    filters,
+    await labourerSkillFilter({ skill, level, certified }),
+    deleted === "true"
+      ? await deletedLabourerScopeFilter(req)
+      : await labourerProfileScopeFilter(req)
+  );
+
   const totalLabourers = await Labourer.countDocuments(filters);
 
   const labourers = await Labourer.find(filters)
     .skip(skip)
     .limit(limitNumber)
-    .sort({ createdAt: -1 });
+    .sort({ createdAt: -1 })
+    .populate(SKILL_POPULATE);
 
   const totalPages = Math.ceil(totalLabourers / limitNumber);
 
@@ -290,7 +379,7 @@ export const listLabourers = catchAsyncHandler(async (req, res, next) => {
 export const assignLabourerToProject = catchAsyncHandler(
   async (req, res, next) => {
     const { labourerId } = req.params;
-    const { projectId } = req.body;
+    const { projectId, role, startDate, notes } = req.body;
 
     if (!mongoose.Types.ObjectId.isValid(labourerId)) {
       return next(new ApiError(400, "Invalid labourer ID"));
@@ -304,11 +393,23 @@ export const assignLabourerToProject = catchAsyncHandler(
       return next(new ApiError(400, "Invalid project ID"));
     }
 
+    // Backdating is allowed so a late entry still gets the right interval
+    const effectiveDate = startDate ? new Date(startDate) : new Date();
+    if (isNaN(effectiveDate)) {
+      return next(new ApiError(400, "Invalid startDate"));
+    }
+    if (effectiveDate > new Date()) {
+      return next(new ApiError(400, "startDate cannot be in the future"));
+    }
+
     const labourer = await Labourer.findById(labourerId);
     if (!labourer) {
       return next(new ApiError(404, "Labourer not found"));
     }
 
+    await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+    await assertProjectAccess(req, projectId);
+
     if (projectId) {
       const projectExists = await Project.findById(projectId);
       if (!projectExists) {
@@ -316,10 +417,31 @@ export const assignLabourerToProject = catchAsyncHandler(
       }
     }
 
+    const before = toAuditSnapshot(labourer);
+    const previousProjectId = labourer.assignedProjectId;
+
+    await recordAssignmentChange({
+      labourer,
+      fromProjectId: previousProjectId,
+      toProjectId: projectId,
+      role,
+      date: effectiveDate,
+      notes,
+      actorId: req.user._id,
+    });
+
     labourer.assignedProjectId = projectId || null;
 
     await labourer.save();
 
+    await recordAudit(req, {
+      action: "labourer.assign",
+      entity: "Labourer",
+      entityId: labourer._id,
+      before,
+      after: labourer,
+    });
+
     res.status(200).json({ labourer });
   }
 );
@@ -349,15 +471,141 @@ export const changeLabourerStatus = catchAsyncHandler(
       return next(new ApiError(404, "Labourer not found"));
     }
 
+    await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+    const before = toAuditSnapshot(labourer);
+
     labourer.status = status.toLowerCase();
 
     await labourer.save();
 
+    await recordAudit(req, {
+      action: "labourer.changeStatus",
+      entity: "Labourer",
+      entityId: labourer._id,
+      before,
+      after: labourer,
+    });
+
     res.status(200).json({ labourer });
   }
 );
 
-//Function to delete a Labourer Entity by it's ID
+const findLabourerForSkills = async (req) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    throw new ApiError(400, "Invalid labourer ID");
+  }
+
+  const labourer = await Labourer.findById(labourerId);
+  if (!labourer) {
+    throw new ApiError(404, "Labourer not found");
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+  return labourer;
+};
+
+const findSkillEntry = (labourer, skillId) =>
+  labourer.skills.find((entry) => String(entry.skillId) === String(skillId));
+
+// Function to Add a catalog Skill (with level and certification) to a Labourer
+export const addLabourerSkill = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await findLabourerForSkills(req);
+  const { entry } = await buildLabourerSkill(req.body);
+
+  if (findSkillEntry(labourer, entry.skillId)) {
+    return next(
+      new ApiError(409, "Labourer already has this skill, update it instead")
+    );
+  }
+
+  const before = toAuditSnapshot(labourer);
+
+  labourer.skills.push(entry);
+  await labourer.save();
+
+  await recordAudit(req, {
+    action: "labourer.addSkill",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
+
+  await labourer.populate(SKILL_POPULATE);
+
+  res.status(201).json({ labourer });
+});
+
+// Function to Update the level or certification of a Labourer's Skill
+export const updateLabourerSkill = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await findLabourerForSkills(req);
+
+  const current = findSkillEntry(labourer, req.params.skillId);
+  if (!current) {
+    return next(new ApiError(404, "Labourer does not have this skill"));
+  }
+
+  const { entry } = await buildLabourerSkill(
+    { ...current.toObject(), ...req.body, skillId: current.skillId },
+    { allowArchived: true }
+  );
+
+  const before = toAuditSnapshot(labourer);
+
+  current.set(entry);
+  await labourer.save();
+
+  await recordAudit(req, {
+    action: "labourer.updateSkill",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
+
+  await labourer.populate(SKILL_POPULATE);
+
+  res.status(200).json({ labourer });
+});
+
+// Function to Remove a Skill from a Labourer
+export const removeLabourerSkill = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await findLabourerForSkills(req);
+
+  const current = findSkillEntry(labourer, req.params.skillId);
+  if (!current) {
+    return next(new ApiError(404, "Labourer does not have this skill"));
+  }
+
+  if (labourer.skills.length === 1 && !labourer.skillType) {
+    return next(
+      new ApiError(400, "A labourer without a skill type needs one skill")
+    );
+  }
+
+  const before = toAuditSnapshot(labourer);
+
+  labourer.skills.pull(current._id);
+  await labourer.save();
+
+  await recordAudit(req, {
+    action: "labourer.removeSkill",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
+
+  await labourer.populate(SKILL_POPULATE);
+
+  res.status(200).json({ labourer });
+});
+
+// Function to soft Delete a Labourer. Their history stays in place and the
+// record can be restored; purging removes it for good.
 export const deleteLabourer = catchAsyncHandler(async (req, res, next) => {
   const { id: labourerId } = req.params;
 
@@ -370,14 +618,118 @@ export const deleteLabourer = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Labourer not found"));
   }
 
-  await Labourer.findByIdAndDelete(labourerId);
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  const before = toAuditSnapshot(labourer);
+
+  // The intervals stay on record for billing, only the open one is closed.
+  // assignedProjectId is kept so a restore puts them back on the project.
+  await recordAssignmentChange({
+    labourer,
+    fromProjectId: labourer.assignedProjectId,
+    actorId: req.user._id,
+  });
+
+  labourer.deletedAt = new Date();
+  labourer.deletedBy = req.user._id;
+  await labourer.save();
+
+  await recordAudit(req, {
+    action: "labourer.delete",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
 
   res.status(200).json({ message: "Labourer deleted successfully" });
 });
 
-// Function to Search for Labourer details based on queries
+const findDeletedLabourer = async (req, select) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    throw new ApiError(400, "Invalid labourer ID");
+  }
+
+  const query = Labourer.findOne({ _id: labourerId, deletedAt: { $ne: null } });
+  if (select) query.select(select);
+
+  const labourer = await query;
+  if (!labourer) {
+    throw new ApiError(404, "Deleted labourer not found");
+  }
+
+  await assertProjectAccess(req, labourer.assignedProjectId);
+  return labourer;
+};
+
+// Function to Restore a soft deleted Labourer, back on their last project
+export const restoreLabourer = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await findDeletedLabourer(req);
+  const before = toAuditSnapshot(labourer);
+
+  labourer.deletedAt = null;
+  labourer.deletedBy = undefined;
+  await labourer.save();
+
+  await recordAssignmentChange({
+    labourer,
+    toProjectId: labourer.assignedProjectId,
+    actorId: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "labourer.restore",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before,
+    after: labourer,
+  });
+
+  res.status(200).json({ labourer });
+});
+
+// Function to Purge a deleted Labourer and every record that belongs to
+// them. Refused while salaries are unpaid or leave requests are open.
+export const purgeLabourer = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await findDeletedLabourer(req, PHOTO_KEYS);
+
+  const [unpaidSalaries, openLeaves] = await Promise.all([
+    Salary.countDocuments({ labourerId: labourer._id, status: "pending" }),
+    Leave.countDocuments({ labourerId: labourer._id, status: "pending" }),
+  ]);
+  if (unpaidSalaries || openLeaves) {
+    return next(
+      new ApiError(
+        409,
+        `Labourer still has ${unpaidSalaries} unpaid salary record(s) and ${openLeaves} open leave request(s)`
+      )
+    );
+  }
+
+  const removed = await purgeLabourerRecords(labourer, req.user._id);
+
+  await recordAudit(req, {
+    action: "labourer.purge",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before: labourer,
+    after: { purged: true, removed },
+  });
+
+  res.status(200).json({ message: "Labourer purged successfully", removed });
+});
+
+// Function to Search for Labourer details based on queries. With ?q= the
+// results are ranked fuzzy matches over name (any spelling or Devanagari),
+// phone prefix, skill, address and project, paginated with their scores.
+// Terms of one or two letters only match the start of a name. When more
+// records match than can be ranked, meta.truncated is set and the results
+// cover only part of them: the query should be narrowed.
 export const searchLabourers = catchAsyncHandler(async (req, res, next) => {
-  const { fullName, skillType, contactNumber } = req.query;
+  const { q, fullName, skillType, contactNumber, skill, level, certified } =
+    req.query;
 
   const filters = {};
 
@@ -397,9 +749,65 @@ export const searchLabourers = catchAsyncHandler(async (req, res, next) => {
     }
   }
 
-  const labourers = await Labourer.find(filters);
+  Object.assign(
+    filters,
+    await labourerSkillFilter({ skill, level, certified }),
+    await labourerProfileScopeFilter(req)
+  );
+
+  if (q === undefined) {
+    const labourers = await Labourer.find(filters).populate(SKILL_POPULATE);
+    return res.status(200).json({ labourers });
+  }
+
+  const terms = parseSearchQuery(q);
+  if (!terms.length) {
+    return next(new ApiError(400, "Search query is empty"));
+  }
+
+  const page =
+    parseInt(req.query.page, 10) > 0 ? parseInt(req.query.page, 10) : 1;
+  const limit =
+    parseInt(req.query.limit, 10) > 0 ? parseInt(req.query.limit, 10) : 20;
+  const minScore = Number(req.query.minScore) || 1;
+
+  const references = await resolveTermReferences(terms);
+  filters.$and = [searchCandidateFilter(terms, references)];
+
+  const candidates = await Labourer.find(filters)
+    .select("+searchIndex")
+    .sort({ fullName: 1 })
+    .limit(MAX_SEARCH_CANDIDATES + 1)
+    .populate(SKILL_POPULATE)
+    .populate({ path: "assignedProjectId", select: "name" });
+  const truncated = candidates.length > MAX_SEARCH_CANDIDATES;
+
+  const ranked = candidates
+    .slice(0, MAX_SEARCH_CANDIDATES)
+    .map((labourer) => ({
+      ...scoreSearchResult(labourer, terms, references),
+      labourer,
+    }))
+    .filter(({ score }) => score >= minScore)
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        a.labourer.fullName.localeCompare(b.labourer.fullName)
+    );
 
-  res.status(200).json({ labourers });
+  const results = ranked.slice((page - 1) * limit, page * limit);
+
+  res.status(200).json({
+    meta: {
+      total: ranked.length,
+      totalPages: Math.ceil(ranked.length / limit),
+      currentPage: page,
+      pageSize: results.length,
+      truncated,
+    },
+    terms,
+    results,
+  });
 });
 
 ///Function to List al the labourers assigned to a project
@@ -411,6 +819,8 @@ export const listLabourersByProject = catchAsyncHandler(
       return next(new ApiError(400, "Invalid project ID"));
     }
 
+    await assertProjectAccess(req, projectId);
+
     const labourers = await Labourer.find({
       assignedProjectId: projectId,
     }).sort({ fullName: 1 });
@@ -438,7 +848,9 @@ export const attendanceSummary = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Labourer not found"));
   }
 
-  const query = { labourerId };
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  const query = { labourerId, ...(await projectScopeFilter(req)) };
   if (startDate || endDate) {
     query.date = {};
     if (startDate) query.date.$gte = new Date(startDate);
@@ -466,44 +878,149 @@ export const attendanceSummary = catchAsyncHandler(async (req, res, next) => {
   });
 });
 
-// { File Uploads are Under Development }
-
-// export const updateProfilePhoto = catchAsyncHandler(async (req, res, next) => {
-//   const { id: labourerId } = req.params;
-
-//   if (!mongoose.Types.ObjectId.isValid(labourerId)) {
-//     return next(new ApiError(400, "Invalid labourer ID"));
-//   }
-
-//   const labourer = await Labourer.findById(labourerId);
-//   if (!labourer) {
-//     return next(new ApiError(404, "Labourer not found"));
-//   }
-
-//   if (!req.file) {
-//     return next(new ApiError(400, "No file uploaded"));
-//   }
-
-//   if (labourer.profilePhoto && labourer.profilePhoto.publicId) {
-//     await uploadOnCloudinary.uploader.destroy(labourer.profilePhoto.publicId);
-//   }
-
-//   const result = await uploadOnCloudinary.uploader.upload_stream(
-//     { folder: "labourer-profiles" },
-//     (error, result) => {
-//       if (error || !result) {
-//         return next(new ApiError(500, "Cloudinary upload failed"));
-//       }
-
-//       labourer.profilePhoto = {
-//         publicId: result.public_id,
-//         url: result.secure_url,
-//       };
-//       labourer.save().then(updatedLabourer => {
-//         res.status(200).json({ labourer: updatedLabourer });
-//       });
-//     }
-//   );
-
-//   result.end(req.file.buffer);
-// });
+// Function to Upload or Replace a Labourer's Profile Photo
+export const updateProfilePhoto = catchAsyncHandler(async (req, res, next) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    return next(new ApiError(400, "Invalid labourer ID"));
+  }
+
+  if (!req.file) {
+    return next(new ApiError(400, "No file uploaded"));
+  }
+
+  const labourer = await Labourer.findById(labourerId).select(PHOTO_KEYS);
+  if (!labourer) {
+    return next(new ApiError(404, "Labourer not found"));
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  const { photo, thumbnail } = await processProfilePhoto(req.file.buffer);
+
+  const storage = getFileStorage();
+  const folder = `labourer-photos/${labourer._id}`;
+  const previousPhoto = labourer.toObject().profilePhoto ?? null;
+  const stored = {};
+
+  try {
+    stored.key = (
+      await storage.save({ buffer: photo, folder, originalName: "photo.jpg" })
+    ).key;
+    stored.thumbnailKey = (
+      await storage.save({
+        buffer: thumbnail,
+        folder,
+        originalName: "thumbnail.jpg",
+      })
+    ).key;
+  } catch (error) {
+    await removeProfilePhotoFiles({ storage: storage.name, ...stored });
+    return next(new ApiError(500, "Could not store the profile photo"));
+  }
+
+  const updatedAt = new Date();
+
+  labourer.profilePhoto = {
+    storage: storage.name,
+    ...stored,
+    ...profilePhotoUrls(labourer._id, updatedAt),
+    updatedAt,
+  };
+
+  try {
+    await labourer.save();
+  } catch (error) {
+    await removeProfilePhotoFiles(labourer.profilePhoto);
+    throw error;
+  }
+
+  await removeProfilePhotoFiles(previousPhoto);
+
+  await recordAudit(req, {
+    action: "labourer.updateProfilePhoto",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before: { profilePhoto: previousPhoto?.url ?? null },
+    after: { profilePhoto: labourer.profilePhoto.url },
+  });
+
+  res.status(200).json({ labourer: await Labourer.findById(labourer._id) });
+});
+
+// Function to Remove a Labourer's Profile Photo
+export const deleteProfilePhoto = catchAsyncHandler(async (req, res, next) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    return next(new ApiError(400, "Invalid labourer ID"));
+  }
+
+  const labourer = await Labourer.findById(labourerId).select(PHOTO_KEYS);
+  if (!labourer) {
+    return next(new ApiError(404, "Labourer not found"));
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  if (!labourer.profilePhoto?.key) {
+    return next(new ApiError(404, "Labourer has no profile photo"));
+  }
+
+  const previousPhoto = labourer.toObject().profilePhoto;
+
+  labourer.profilePhoto = undefined;
+  await labourer.save();
+
+  await removeProfilePhotoFiles(previousPhoto);
+
+  await recordAudit(req, {
+    action: "labourer.deleteProfilePhoto",
+    entity: "Labourer",
+    entityId: labourer._id,
+    before: { profilePhoto: previousPhoto.url },
+    after: { profilePhoto: null },
+  });
+
+  res.status(200).json({ message: "Profile photo removed successfully" });
+});
+
+// Serves one of the stored photo sizes, "key" or "thumbnailKey"
+const serveProfilePhoto = (keyField) =>
+  catchAsyncHandler(async (req, res, next) => {
+    const { id: labourerId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+      return next(new ApiError(400, "Invalid labourer ID"));
+    }
+
+    const labourer = await Labourer.findById(labourerId).select(PHOTO_KEYS);
+    if (!labourer) {
+      return next(new ApiError(404, "Labourer not found"));
+    }
+
+    await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+    const key = labourer.profilePhoto?.[keyField];
+    if (!key) {
+      return next(new ApiError(404, "Labourer has no profile photo"));
+    }
+
+    let content;
+    try {
+      content = await getFileStorage(labourer.profilePhoto.storage).read(key);
+    } catch (error) {
+      return next(new ApiError(404, "Stored file could not be found"));
+    }
+
+    res.set("Content-Type", "image/jpeg");
+    res.set("Cache-Control", "private, max-age=86400");
+    res.status(200).send(content);
+  });
+
+// Function to get a Labourer's Profile Photo
+export const getProfilePhoto = serveProfilePhoto("key");
+
+// Function to get the Thumbnail of a Labourer's Profile Photo
+export const getProfilePhotoThumbnail = serveProfilePhoto("thumbnailKey");
@@ -0,0 +1,294 @@
+import LabourerDocument, {
+  DOCUMENT_TYPES,
+} from "../models/labourerDocument.model.js";
+import Labourer from "../models/labourer.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { getFileStorage } from "../utils/storage/index.js";
+import { assertLabourerAccess } from "../utils/projectScope.js";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+const DOCUMENT_FOLDER = "labourer-documents";
+
+// Documents are collected while onboarding, before a project is assigned
+const assertDocumentAccess = (req, labourerId) =>
+  assertLabourerAccess(req, labourerId, { allowUnassigned: true });
+
+const findLabourerDocument = async (req, { withKey = false } = {}) => {
+  const { labourerId, documentId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    throw new ApiError(400, "Invalid labourer ID");
+  }
+  if (!mongoose.Types.ObjectId.isValid(documentId)) {
+    throw new ApiError(400, "Invalid document ID");
+  }
+
+  await assertDocumentAccess(req, labourerId);
+
+  const query = LabourerDocument.findOne({ _id: documentId, labourerId });
+  if (withKey) query.select("+file.key");
+
+  const document = await query;
+  if (!document) {
+    throw new ApiError(404, "Document not found");
+  }
+  return document;
+};
+
+const storeFile = async (labourerId, file) => {
+  const storage = getFileStorage();
+
+  let stored;
+  try {
+    stored = await storage.save({
+      buffer: file.buffer,
+      folder: `${DOCUMENT_FOLDER}/${labourerId}`,
+      originalName: file.originalname,
+      mimeType: file.mimetype,
+    });
+  } catch (error) {
+    throw new ApiError(500, "Could not store the uploaded file");
+  }
+
+  return {
+    storage: storage.name,
+    key: stored.key,
+    originalName: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+  };
+};
+
+// The record is the source of truth, a leftover file is only logged
+const removeStoredFile = async (file) => {
+  try {
+    await getFileStorage(file.storage).remove(file.key);
+  } catch (error) {
+    console.error(`Failed to remove stored file ${file.key}:`, error);
+  }
+};
+
+const withoutKey = (document) => {
+  const plain = document.toJSON();
+  delete plain.file?.key;
+  return plain;
+};
+
+// Function to Upload a Document (image or PDF) for a Labourer
+export const uploadLabourerDocument = catchAsyncHandler(
+  async (req, res, next) => {
+    const { labourerId } = req.params;
+    const { type, documentNumber, remarks } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+      return next(new ApiError(400, "Invalid labourer ID"));
+    }
+
+    if (!req.file) {
+      return next(new ApiError(400, "A file is required"));
+    }
+
+    if (!DOCUMENT_TYPES.includes(type)) {
+      return next(
+        new ApiError(
+          400,
+          `Document type must be one of: ${DOCUMENT_TYPES.join(", ")}`
+        )
+      );
+    }
+
+    if (!(await Labourer.exists({ _id: labourerId }))) {
+      return next(new ApiError(404, "Labourer not found"));
+    }
+
+    await assertDocumentAccess(req, labourerId);
+
+    const file = await storeFile(labourerId, req.file);
+
+    let document;
+    try {
+      document = await LabourerDocument.create({
+        labourerId,
+        type,
+        documentNumber,
+        remarks,
+        file,
+        uploadedBy: req.user._id,
+      });
+    } catch (error) {
+      await removeStoredFile(file);
+      throw error;
+    }
+
+    await recordAudit(req, {
+      action: "labourerDocument.upload",
+      entity: "LabourerDocument",
+      entityId: document._id,
+      after: withoutKey(document),
+    });
+
+    res.status(201).json({ document: withoutKey(document) });
+  }
+);
+
+// Function to List a Labourer's Documents (filter by type or status)
+export const listLabourerDocuments = catchAsyncHandler(
+  async (req, res, next) => {
+    const { labourerId } = req.params;
+    const { type, status } = req.query;
+
+    if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+      return next(new ApiError(400, "Invalid labourer ID"));
+    }
+
+    await assertDocumentAccess(req, labourerId);
+
+    const filters = { labourerId };
+    if (type) filters.type = type;
+    if (status) filters.status = status;
+
+    const documents = await LabourerDocument.find(filters)
+      .sort({ createdAt: -1 })
+      .populate({ path: "uploadedBy", select: "username name" })
+      .populate({ path: "reviewedBy", select: "username name" });
+
+    res.status(200).json({ documents });
+  }
+);
+
+// Function to get a Labourer Document by ID
+export const getLabourerDocumentById = catchAsyncHandler(
+  async (req, res, next) => {
+    const document = await findLabourerDocument(req);
+
+    await document.populate([
+      { path: "uploadedBy", select: "username name" },
+      { path: "reviewedBy", select: "username name" },
+    ]);
+
+    res.status(200).json({ document });
+  }
+);
+
+// Function to Download the stored file of a Labourer Document
+export const downloadLabourerDocument = catchAsyncHandler(
+  async (req, res, next) => {
+    const document = await findLabourerDocument(req, { withKey: true });
+
+    let content;
+    try {
+      content = await getFileStorage(document.file.storage).read(
+        document.file.key
+      );
+    } catch (error) {
+      return next(new ApiError(404, "Stored file could not be found"));
+    }
+
+    res.attachment(document.file.originalName || document.type);
+    res.set("Content-Type", document.file.mimeType);
+    res.status(200).send(content);
+  }
+);
+
+// Function to Replace the file of a Labourer Document (review starts over)
+export const replaceLabourerDocument = catchAsyncHandler(
+  async (req, res, next) => {
+    if (!req.file) {
+      return next(new ApiError(400, "A file is required"));
+    }
+
+    const document = await findLabourerDocument(req, { withKey: true });
+    const before = withoutKey(document);
+    const previousFile = {
+      storage: document.file.storage,
+      key: document.file.key,
+    };
+
+    document.file = await storeFile(document.labourerId, req.file);
+    if (req.body.documentNumber !== undefined) {
+      document.documentNumber = req.body.documentNumber;
+    }
+    document.status = "pending";
+    document.reviewedBy = undefined;
+    document.reviewedAt = undefined;
+    document.remarks = req.body.remarks;
+    document.uploadedBy = req.user._id;
+
+    try {
+      await document.save();
+    } catch (error) {
+      await removeStoredFile(document.file);
+      throw error;
+    }
+
+    await removeStoredFile(previousFile);
+
+    await recordAudit(req, {
+      action: "labourerDocument.replace",
+      entity: "LabourerDocument",
+      entityId: document._id,
+      before,
+      after: withoutKey(document),
+    });
+
+    res.status(200).json({ document: withoutKey(document) });
+  }
+);
+
+// Function to Verify or Reject a Labourer Document
+export const reviewLabourerDocument = catchAsyncHandler(
+  async (req, res, next) => {
+    const { status, remarks } = req.body;
+
+    const allowedStatus = ["verified", "rejected"];
+    if (!allowedStatus.includes(status)) {
+      return next(
+        new ApiError(400, `Status must be one of: ${allowedStatus.join(", ")}`)
+      );
+    }
+
+    if (status === "rejected" && !remarks) {
+      return next(new ApiError(400, "Remarks are required when rejecting"));
+    }
+
+    const document = await findLabourerDocument(req);
+    const before = toAuditSnapshot(document);
+
+    document.status = status;
+    document.reviewedBy = req.user._id;
+    document.reviewedAt = new Date();
+    if (remarks !== undefined) document.remarks = remarks;
+    await document.save();
+
+    await recordAudit(req, {
+      action: "labourerDocument.review",
+      entity: "LabourerDocument",
+      entityId: document._id,
+      before,
+      after: document,
+    });
+
+    res.status(200).json({ document });
+  }
+);
+
+// Function to Delete a Labourer Document and its stored file
+export const deleteLabourerDocument = catchAsyncHandler(
+  async (req, res, next) => {
+    const document = await findLabourerDocument(req, { withKey: true });
+
+    await LabourerDocument.deleteOne({ _id: document._id });
+    await removeStoredFile(document.file);
+
+    await recordAudit(req, {
+      action: "labourerDocument.delete",
+      entity: "LabourerDocument",
+      entityId: document._id,
+      before: withoutKey(document),
+    });
+
+    res.status(200).json({ message: "Document deleted successfully" });
+  }
+);
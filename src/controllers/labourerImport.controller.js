@@ -0,0 +1,114 @@
+import Labourer from "../models/labourer.model.js";
+import Project from "../models/project.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit } from "../utils/audit.js";
+import { recordAssignmentChange } from "../utils/assignments.js";
+import { assertProjectAccess } from "../utils/projectScope.js";
+import {
+  parseImportFile,
+  validateImportRow,
+  flagDuplicateContacts,
+} from "../utils/labourerImport.js";
+
+const IMPORT_MODES = ["dry-run", "commit"];
+
+const rowStatus = (entry) => {
+  if (entry.duplicateOf) return "duplicate";
+  return entry.errors.length ? "invalid" : "valid";
+};
+
+const toReportRow = ({ row, data, errors, duplicateOf, status, labourer }) => ({
+  row,
+  status,
+  ...(data.fullName && { fullName: data.fullName }),
+  ...(data.contactNumber && { contactNumber: data.contactNumber }),
+  ...(errors.length && { errors }),
+  ...(duplicateOf && { duplicateOf }),
+  ...(labourer && { labourerId: labourer._id }),
+});
+
+// Function to Import Labourers from a CSV or XLSX file. The default dry run
+// only reports what each row would do; mode=commit creates the valid rows,
+// optionally assigning them all to projectId, and skips the rest.
+export const importLabourers = catchAsyncHandler(async (req, res, next) => {
+  const { mode = "dry-run", projectId } = req.body;
+
+  if (!req.file) {
+    return next(new ApiError(400, "A .csv or .xlsx file is required"));
+  }
+
+  if (!IMPORT_MODES.includes(mode)) {
+    return next(
+      new ApiError(400, `Mode must be one of: ${IMPORT_MODES.join(", ")}`)
+    );
+  }
+
+  if (projectId) {
+    if (!mongoose.Types.ObjectId.isValid(projectId)) {
+      return next(new ApiError(400, "Invalid projectId"));
+    }
+    await assertProjectAccess(req, projectId);
+    if (!(await Project.exists({ _id: projectId }))) {
+      return next(new ApiError(404, "Project not found"));
+    }
+  }
+
+  const { columns, ignoredColumns, rows } = await parseImportFile(req.file);
+  if (!rows.length) {
+    return next(new ApiError(400, "The file has no labourer rows"));
+  }
+
+  const entries = [];
+  for (const { row, values } of rows) {
+    entries.push({ row, ...(await validateImportRow(values)) });
+  }
+  await flagDuplicateContacts(entries);
+  entries.forEach((entry) => (entry.status = rowStatus(entry)));
+
+  if (mode === "commit") {
+    for (const entry of entries) {
+      if (entry.status !== "valid") continue;
+
+      try {
+        entry.labourer = await Labourer.create({
+          ...entry.data,
+          assignedProjectId: projectId || undefined,
+        });
+      } catch (error) {
+        entry.status = "failed";
+        entry.errors.push(error.message);
+        continue;
+      }
+      entry.status = "created";
+
+      await recordAssignmentChange({
+        labourer: entry.labourer,
+        toProjectId: entry.labourer.assignedProjectId,
+        actorId: req.user._id,
+      });
+
+      await recordAudit(req, {
+        action: "labourer.import",
+        entity: "Labourer",
+        entityId: entry.labourer._id,
+        after: entry.labourer,
+      });
+    }
+  }
+
+  const summary = { total: entries.length };
+  for (const { status } of entries) {
+    summary[status] = (summary[status] || 0) + 1;
+  }
+
+  res.status(mode === "commit" ? 201 : 200).json({
+    mode,
+    projectId: projectId || null,
+    columns,
+    ignoredColumns,
+    summary,
+    rows: entries.map(toReportRow),
+  });
+});
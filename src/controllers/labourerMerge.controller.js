@@ -0,0 +1,119 @@
+import Labourer from "../models/labourer.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import { PHOTO_KEYS } from "../utils/profilePhotos.js";
+import { SENSITIVE_KEYS } from "../utils/sensitiveDetails.js";
+import { findDuplicatePairs } from "../utils/labourerDuplicates.js";
+import { mergeLabourerRecords } from "../utils/labourerMerge.js";
+import {
+  assertLabourerAccess,
+  labourerProfileScopeFilter,
+} from "../utils/projectScope.js";
+
+const CANDIDATE_FIELDS =
+  "fullName contactNumber age address assignedProjectId status createdAt";
+
+// Function to find likely Duplicate Labourers, scored by contact number,
+// name, age and address (?labourerId= checks a single labourer)
+export const findDuplicateLabourers = catchAsyncHandler(
+  async (req, res, next) => {
+    let { labourerId, minScore = 40, limit = 50 } = req.query;
+
+    minScore = Number(minScore);
+    if (isNaN(minScore) || minScore < 0 || minScore > 100) {
+      return next(new ApiError(400, "minScore must be between 0 and 100"));
+    }
+    limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 50;
+
+    let target;
+    if (labourerId) {
+      if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+        return next(new ApiError(400, "Invalid labourer ID"));
+      }
+      target = await Labourer.findById(labourerId)
+        .select(CANDIDATE_FIELDS)
+        .lean();
+      if (!target) {
+        return next(new ApiError(404, "Labourer not found"));
+      }
+      await assertLabourerAccess(req, target._id, { allowUnassigned: true });
+    }
+
+    const labourers = await Labourer.find(await labourerProfileScopeFilter(req))
+      .select(CANDIDATE_FIELDS)
+      .lean();
+
+    const pairs = findDuplicatePairs(labourers, { target, minScore });
+
+    res.status(200).json({
+      total: pairs.length,
+      minScore,
+      pairs: pairs.slice(0, limit),
+    });
+  }
+);
+
+// Function to Merge a duplicate Labourer into the one kept (:id). Attendance,
+// salaries, leaves, performance and the rest of the history move over and
+// the duplicate record is deleted. Salaries or wage rates of both labourers
+// covering the same days block the merge (409) until one is corrected.
+export const mergeLabourers = catchAsyncHandler(async (req, res, next) => {
+  const { id: survivorId } = req.params;
+  const { duplicateId } = req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(survivorId)) {
+    return next(new ApiError(400, "Invalid labourer ID"));
+  }
+  if (!mongoose.Types.ObjectId.isValid(duplicateId)) {
+    return next(new ApiError(400, "Invalid duplicateId"));
+  }
+
+  const [survivor, duplicate] = await Promise.all([
+    Labourer.findById(survivorId).select(`${PHOTO_KEYS} ${SENSITIVE_KEYS}`),
+    Labourer.findById(duplicateId).select(`${PHOTO_KEYS} ${SENSITIVE_KEYS}`),
+  ]);
+  if (!survivor || !duplicate) {
+    return next(new ApiError(404, "Labourer not found"));
+  }
+
+  await assertLabourerAccess(req, survivor._id, { allowUnassigned: true });
+  await assertLabourerAccess(req, duplicate._id, { allowUnassigned: true });
+
+  const before = toAuditSnapshot(survivor);
+  const duplicateSnapshot = toAuditSnapshot(duplicate);
+
+  const report = await mergeLabourerRecords({
+    survivor,
+    duplicate,
+    actorId: req.user._id,
+  });
+
+  // One entry for the record that disappeared, one for what the survivor
+  // gained from it
+  await recordAudit(req, {
+    action: "labourer.merge",
+    entity: "Labourer",
+    entityId: duplicate._id,
+    before: duplicateSnapshot,
+    after: { mergedInto: survivor._id, ...report },
+  });
+  await recordAudit(req, {
+    action: "labourer.merge",
+    entity: "Labourer",
+    entityId: survivor._id,
+    before,
+    after: survivor,
+  });
+
+  res.status(200).json({
+    labourer: await Labourer.findById(survivor._id),
+    mergedLabourerId: duplicate._id,
+    moved: report.moved,
+    dropped: {
+      attendance: report.dropped.attendance.length,
+      performance: report.dropped.performance.length,
+    },
+  });
+});
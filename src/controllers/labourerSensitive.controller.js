@@ -0,0 +1,131 @@
+import Labourer from "../models/labourer.model.js";
+import AuditLog from "../models/auditLog.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { auditEntry, recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import { assertLabourerAccess } from "../utils/projectScope.js";
+import {
+  SENSITIVE_GROUPS,
+  SENSITIVE_KEYS,
+  buildBankDetails,
+  buildEmergencyContact,
+  revealSensitiveDetails,
+} from "../utils/sensitiveDetails.js";
+
+const findLabourer = async (req) => {
+  const { id: labourerId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    throw new ApiError(400, "Invalid labourer ID");
+  }
+
+  const labourer = await Labourer.findById(labourerId).select(SENSITIVE_KEYS);
+  if (!labourer) {
+    throw new ApiError(404, "Labourer not found");
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+  return labourer;
+};
+
+// Set or clear one group; the audit trail only ever sees the masked values
+const updateGroup = (group, build, action) =>
+  catchAsyncHandler(async (req, res, next) => {
+    const labourer = await findLabourer(req);
+    const before = toAuditSnapshot(labourer);
+
+    if (build) {
+      labourer[group] = build(req.body);
+    } else {
+      if (!labourer[group]?.encrypted) {
+        return next(new ApiError(404, "Nothing stored to remove"));
+      }
+      labourer[group] = undefined;
+    }
+    await labourer.save();
+
+    await recordAudit(req, {
+      action,
+      entity: "Labourer",
+      entityId: labourer._id,
+      before,
+      after: labourer,
+    });
+
+    res.status(200).json({ labourer: await Labourer.findById(labourer._id) });
+  });
+
+// Function to Set a Labourer's Bank Details (returned masked)
+export const updateBankDetails = updateGroup(
+  "bankDetails",
+  buildBankDetails,
+  "labourer.updateBankDetails"
+);
+
+// Function to Remove a Labourer's Bank Details
+export const deleteBankDetails = updateGroup(
+  "bankDetails",
+  null,
+  "labourer.deleteBankDetails"
+);
+
+// Function to Set a Labourer's Emergency Contact (returned masked)
+export const updateEmergencyContact = updateGroup(
+  "emergencyContact",
+  buildEmergencyContact,
+  "labourer.updateEmergencyContact"
+);
+
+// Function to Remove a Labourer's Emergency Contact
+export const deleteEmergencyContact = updateGroup(
+  "emergencyContact",
+  null,
+  "labourer.deleteEmergencyContact"
+);
+
+// Function to Reveal the full Bank Details and Emergency Contact of a
+// Labourer (?fields=bankDetails,emergencyContact). Every reveal is audited,
+// and fails when the audit entry cannot be written.
+export const revealLabourerDetails = catchAsyncHandler(
+  async (req, res, next) => {
+    const groups = req.query.fields
+      ? String(req.query.fields).split(",")
+      : SENSITIVE_GROUPS;
+
+    const unknown = groups.filter((group) => !SENSITIVE_GROUPS.includes(group));
+    if (unknown.length) {
+      return next(
+        new ApiError(
+          400,
+          `fields must be a list of: ${SENSITIVE_GROUPS.join(", ")}`
+        )
+      );
+    }
+
+    const labourer = await findLabourer(req);
+
+    // Unlike recordAudit this is not allowed to fail quietly: without the
+    // log entry nothing is revealed
+    try {
+      await AuditLog.create(
+        auditEntry(req, {
+          action: "labourer.revealDetails",
+          entity: "Labourer",
+          entityId: labourer._id,
+          after: { fields: groups, reason: req.query.reason },
+        })
+      );
+    } catch (error) {
+      console.error("Failed to write audit entry for a reveal:", error);
+      return next(
+        new ApiError(503, "Details cannot be revealed right now, try again")
+      );
+    }
+
+    const details = revealSensitiveDetails(labourer, groups);
+
+    res.set("Cache-Control", "no-store");
+    res.status(200).json({ labourerId: labourer._id, ...details });
+  }
+);
@@ -2,10 +2,18 @@ import Leave from "../models/leave.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
-
-// Labourer applies for leave
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import {
+  assertLabourerAccess,
+  getOwnLabourer,
+  labourerIdScopeFilter,
+} from "../utils/projectScope.js";
+
+// Labourer applies for leave (labourerId defaults to the caller's own profile)
 export const applyForLeave = catchAsyncHandler(async (req, res, next) => {
-  const { labourerId, fromDate, toDate, reason } = req.body;
+  const { fromDate, toDate, reason } = req.body;
+  const labourerId =
+    req.body.labourerId || (await getOwnLabourer(req))?._id.toString();
 
   if (!labourerId || !fromDate || !toDate || !reason) {
     return next(
@@ -17,6 +25,8 @@ export const applyForLeave = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "Invalid labourerId"));
   }
 
+  await assertLabourerAccess(req, labourerId);
+
   const from = new Date(fromDate);
   const to = new Date(toDate);
   if (isNaN(from) || isNaN(to)) {
@@ -42,6 +52,13 @@ export const applyForLeave = catchAsyncHandler(async (req, res, next) => {
     appliedOn: new Date(),
   });
 
+  await recordAudit(req, {
+    action: "leave.apply",
+    entity: "Leave",
+    entityId: leaveRequest._id,
+    after: leaveRequest,
+  });
+
   res.status(201).json({ leaveRequest });
 });
 
@@ -63,6 +80,8 @@ export const approveLeave = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Leave request not found"));
   }
 
+  await assertLabourerAccess(req, leaveRequest.labourerId);
+
   if (leaveRequest.status !== "pending") {
     return next(
       new ApiError(
@@ -72,11 +91,21 @@ export const approveLeave = catchAsyncHandler(async (req, res, next) => {
     );
   }
 
+  const before = toAuditSnapshot(leaveRequest);
+
   leaveRequest.status = "approved";
   leaveRequest.reviewedBy = reviewedBy;
 
   await leaveRequest.save();
 
+  await recordAudit(req, {
+    action: "leave.approve",
+    entity: "Leave",
+    entityId: leaveRequest._id,
+    before,
+    after: leaveRequest,
+  });
+
   res.status(200).json({ leaveRequest });
 });
 
@@ -98,6 +127,8 @@ export const rejectLeave = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Leave request not found"));
   }
 
+  await assertLabourerAccess(req, leaveRequest.labourerId);
+
   if (leaveRequest.status !== "pending") {
     return next(
       new ApiError(
@@ -107,11 +138,21 @@ export const rejectLeave = catchAsyncHandler(async (req, res, next) => {
     );
   }
 
+  const before = toAuditSnapshot(leaveRequest);
+
   leaveRequest.status = "rejected";
   leaveRequest.reviewedBy = reviewedBy;
 
   await leaveRequest.save();
 
+  await recordAudit(req, {
+    action: "leave.reject",
+    entity: "Leave",
+    entityId: leaveRequest._id,
+    before,
+    after: leaveRequest,
+  });
+
   res.status(200).json({ leaveRequest });
 });
 
@@ -125,6 +166,8 @@ export const getLeaveStatusByLabourer = catchAsyncHandler(
       return next(new ApiError(400, "Invalid labourer ID"));
     }
 
+    await assertLabourerAccess(req, labourerId);
+
     const filters = { labourerId };
 
     if (status) {
@@ -191,7 +234,10 @@ export const listLeaveRequests = catchAsyncHandler(async (req, res, next) => {
 
   const filters = {};
 
+  Object.assign(filters, await labourerIdScopeFilter(req));
+
   if (labourerId && mongoose.Types.ObjectId.isValid(labourerId)) {
+    await assertLabourerAccess(req, labourerId);
     filters.labourerId = labourerId;
   }
 
@@ -247,6 +293,8 @@ export const cancelLeaveRequest = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Leave request not found"));
   }
 
+  await assertLabourerAccess(req, leaveRequest.labourerId);
+
   if (leaveRequest.status !== "pending") {
     return next(
       new ApiError(
@@ -258,6 +306,13 @@ export const cancelLeaveRequest = catchAsyncHandler(async (req, res, next) => {
 
   await Leave.findByIdAndDelete(leaveId);
 
+  await recordAudit(req, {
+    action: "leave.cancel",
+    entity: "Leave",
+    entityId: leaveRequest._id,
+    before: leaveRequest,
+  });
+
   res.status(200).json({ message: "Leave request cancelled successfully" });
 });
 
@@ -280,10 +335,22 @@ export const addRemarkToLeaveRequest = catchAsyncHandler(
       return next(new ApiError(404, "Leave request not found"));
     }
 
+    await assertLabourerAccess(req, leaveRequest.labourerId);
+
+    const before = toAuditSnapshot(leaveRequest);
+
     leaveRequest.remarks = remark.trim();
 
     await leaveRequest.save();
 
+    await recordAudit(req, {
+      action: "leave.remark",
+      entity: "Leave",
+      entityId: leaveRequest._id,
+      before,
+      after: leaveRequest,
+    });
+
     res.status(200).json({ leaveRequest });
   }
 );
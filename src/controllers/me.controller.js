@@ -0,0 +1,33 @@
+import Labourer from "../models/labourer.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import { getOwnLabourer } from "../utils/projectScope.js";
+
+// Function to point a /me route at the logged in User's Labourer profile, so
+// the regular labourer handlers can serve it
+export const useOwnLabourer = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await getOwnLabourer(req);
+  if (!labourer) {
+    return next(
+      new ApiError(404, "No labourer profile is linked to this account")
+    );
+  }
+
+  const labourerId = labourer._id.toString();
+  req.params.labourerId = labourerId;
+  if (req.body) {
+    req.body.labourerId = labourerId;
+  }
+
+  next();
+});
+
+// Function to get the logged in User together with their Labourer profile
+export const getMyProfile = catchAsyncHandler(async (req, res, next) => {
+  const labourer = await Labourer.findOne({ userId: req.user._id }).populate({
+    path: "assignedProjectId",
+    select: "name location status",
+  });
+
+  res.status(200).json({ user: req.user, labourer });
+});
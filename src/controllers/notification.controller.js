@@ -1,7 +1,9 @@
 import Notification from "../models/notification.model.js";
+import User from "../models/user.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
 
 // Create New Notification (email/SMS)
 export const createNotification = catchAsyncHandler(async (req, res, next) => {
@@ -31,6 +33,19 @@ export const createNotification = catchAsyncHandler(async (req, res, next) => {
     );
   }
 
+  // Email notifications only go to addresses the user has confirmed
+  if (type === "email") {
+    const recipient = await User.findById(userId);
+    if (!recipient) {
+      return next(new ApiError(404, "User not found"));
+    }
+    if (!recipient.email || !recipient.emailVerified) {
+      return next(
+        new ApiError(409, "User does not have a verified email address")
+      );
+    }
+  }
+
   const notification = await Notification.create({
     userId,
     message: message.trim(),
@@ -38,6 +53,13 @@ export const createNotification = catchAsyncHandler(async (req, res, next) => {
     status,
   });
 
+  await recordAudit(req, {
+    action: "notification.create",
+    entity: "Notification",
+    entityId: notification._id,
+    after: notification,
+  });
+
   res.status(201).json({ notification });
 });
 
@@ -184,10 +206,20 @@ export const updateNotificationStatus = catchAsyncHandler(
       return next(new ApiError(404, "Notification not found"));
     }
 
+    const before = toAuditSnapshot(notification);
+
     notification.status = status;
 
     await notification.save();
 
+    await recordAudit(req, {
+      action: "notification.updateStatus",
+      entity: "Notification",
+      entityId: notification._id,
+      before,
+      after: notification,
+    });
+
     res.status(200).json({ notification });
   }
 );
@@ -219,5 +251,12 @@ export const deleteNotification = catchAsyncHandler(async (req, res, next) => {
   notification.deleted = true;
   await notification.save();
 
+  await recordAudit(req, {
+    action: "notification.delete",
+    entity: "Notification",
+    entityId: notification._id,
+    before: notification,
+  });
+
   res.status(200).json({ message: "Notification deleted successfully" });
 });
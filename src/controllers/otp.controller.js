@@ -0,0 +1,124 @@
+import User from "../models/user.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import { issueTokens, setAuthCookies } from "../utils/tokens.js";
+import {
+  isTwoFactorRequired,
+  createChallengeToken,
+} from "../utils/twoFactor.js";
+import {
+  accountKey,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import {
+  normalizePhone,
+  getOtpRetryAfter,
+  issueLoginOtp,
+  verifyLoginOtp,
+} from "../utils/phoneOtp.js";
+
+// Function to send a Login Code by SMS to a registered Phone Number
+export const requestLoginOtp = catchAsyncHandler(async (req, res, next) => {
+  const phone = normalizePhone(req.body.phone);
+
+  if (!phone) {
+    return next(new ApiError(400, "A valid phone number is required"));
+  }
+
+  const retryAfter = await getOtpRetryAfter(phone);
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return next(
+      new ApiError(429, "Too many codes requested. Please try again later.")
+    );
+  }
+
+  const user = await User.findOne({ phone });
+
+  let issued;
+  try {
+    issued = await issueLoginOtp(phone, { deliver: user?.status === "active" });
+  } catch (error) {
+    return next(new ApiError(500, "Could not send login code"));
+  }
+
+  // Another request for the number got in first
+  if (!issued) {
+    res.set("Retry-After", String(await getOtpRetryAfter(phone)));
+    return next(
+      new ApiError(429, "Too many codes requested. Please try again later.")
+    );
+  }
+
+  // Same answer whether or not the number is registered
+  res.status(200).json({
+    message: "If that number is registered, a login code has been sent",
+  });
+});
+
+// Function to Login with a Phone Number and the Code sent to it
+export const loginWithOtp = catchAsyncHandler(async (req, res, next) => {
+  const phone = normalizePhone(req.body.phone);
+  const { code } = req.body;
+
+  if (!phone || !code) {
+    return next(new ApiError(400, "Phone number and code are required"));
+  }
+
+  const user = await User.findOne({ phone });
+
+  const account = accountKey(user, phone);
+  const retryAfter = await getLoginRetryAfter({ account, ip: req.ip });
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return next(
+      new ApiError(
+        429,
+        "Too many failed login attempts. Please try again later."
+      )
+    );
+  }
+
+  const isCodeCorrect = await verifyLoginOtp(phone, code);
+
+  if (!user || !isCodeCorrect) {
+    await recordLoginFailure({
+      account,
+      ip: req.ip,
+      user,
+      identifier: String(phone),
+      userAgent: req.get("user-agent"),
+    });
+    return next(new ApiError(401, "Invalid or expired login code"));
+  }
+
+  if (user.status !== "active") {
+    return next(
+      new ApiError(
+        403,
+        "Your account has been deactivated. Please contact an administrator."
+      )
+    );
+  }
+
+  // The code proves the phone, roles that enforce 2FA still need the app
+  if (await isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      twoFactorRequired: true,
+      setupRequired: !user.twoFactor?.enabled,
+      challengeToken: createChallengeToken(user),
+    });
+  }
+
+  await clearLoginFailures(account);
+
+  const { accessToken, refreshToken } = await issueTokens(user, req);
+
+  return setAuthCookies(res.status(200), { accessToken, refreshToken }).json({
+    user,
+    accessToken,
+    refreshToken,
+  });
+});
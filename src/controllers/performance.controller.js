@@ -2,6 +2,13 @@ import Performance from "../models/performance.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import {
+  assertProjectAccess,
+  assertRecordAccess,
+  projectScopeFilter,
+  labourerRecordsScopeFilter,
+} from "../utils/projectScope.js";
 
 // Create Performance Record
 export const createPerformanceRecord = catchAsyncHandler(
@@ -30,6 +37,8 @@ export const createPerformanceRecord = catchAsyncHandler(
       return next(new ApiError(400, "Invalid projectId"));
     }
 
+    await assertProjectAccess(req, projectId);
+
     const perfDate = new Date(date);
     if (isNaN(perfDate)) {
       return next(new ApiError(400, "Invalid date"));
@@ -77,6 +86,13 @@ export const createPerformanceRecord = catchAsyncHandler(
       remarks: remarks.trim(),
     });
 
+    await recordAudit(req, {
+      action: "performance.create",
+      entity: "Performance",
+      entityId: performanceRecord._id,
+      after: performanceRecord,
+    });
+
     res.status(201).json({ performanceRecord });
   }
 );
@@ -159,6 +175,12 @@ export const updatePerformanceRecord = catchAsyncHandler(
       return next(new ApiError(404, "Performance record not found"));
     }
 
+    await assertProjectAccess(
+      req,
+      performanceRecord.projectId,
+      updates.projectId
+    );
+
     const labourerIdToCheck =
       updates.labourerId || performanceRecord.labourerId.toString();
     const projectIdToCheck =
@@ -183,10 +205,20 @@ export const updatePerformanceRecord = catchAsyncHandler(
       }
     }
 
+    const before = toAuditSnapshot(performanceRecord);
+
     Object.assign(performanceRecord, updates);
 
     await performanceRecord.save();
 
+    await recordAudit(req, {
+      action: "performance.update",
+      entity: "Performance",
+      entityId: performanceRecord._id,
+      before,
+      after: performanceRecord,
+    });
+
     res.status(200).json({ performanceRecord });
   }
 );
@@ -207,6 +239,8 @@ export const getPerformanceById = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Performance record not found"));
   }
 
+  await assertRecordAccess(req, performanceRecord);
+
   res.status(200).json({ performanceRecord });
 });
 
@@ -228,11 +262,14 @@ export const listPerformanceRecords = catchAsyncHandler(
 
     const filters = {};
 
+    Object.assign(filters, await projectScopeFilter(req));
+
     if (labourerId && mongoose.Types.ObjectId.isValid(labourerId)) {
       filters.labourerId = labourerId;
     }
 
     if (projectId && mongoose.Types.ObjectId.isValid(projectId)) {
+      await assertProjectAccess(req, projectId);
       filters.projectId = projectId;
     }
 
@@ -288,7 +325,10 @@ export const getPerformanceByLabourer = catchAsyncHandler(
 
     const filters = { labourerId };
 
+    Object.assign(filters, await labourerRecordsScopeFilter(req, labourerId));
+
     if (projectId && mongoose.Types.ObjectId.isValid(projectId)) {
+      await assertRecordAccess(req, { labourerId, projectId });
       filters.projectId = projectId;
     }
 
@@ -337,6 +377,8 @@ export const getPerformanceByProject = catchAsyncHandler(
       return next(new ApiError(400, "Invalid project ID"));
     }
 
+    await assertProjectAccess(req, projectId);
+
     page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
     limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
     const skip = (page - 1) * limit;
@@ -396,8 +438,17 @@ export const deletePerformanceRecord = catchAsyncHandler(
       return next(new ApiError(404, "Performance record not found"));
     }
 
+    await assertProjectAccess(req, performance.projectId);
+
     await Performance.findByIdAndDelete(performanceId);
 
+    await recordAudit(req, {
+      action: "performance.delete",
+      entity: "Performance",
+      entityId: performance._id,
+      before: performance,
+    });
+
     res
       .status(200)
       .json({ message: "Performance record deleted successfully" });
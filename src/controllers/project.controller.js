@@ -1,7 +1,22 @@
 import Project from "../models/project.model.js";
+import User from "../models/user.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import { setProjectRoster } from "../utils/assignments.js";
+import {
+  getProjectScope,
+  assertProjectAccess,
+  assertLabourerAccess,
+  projectScopeFilter,
+} from "../utils/projectScope.js";
+
+const assertManagerExists = async (managerId) => {
+  if (managerId && !(await User.exists({ _id: managerId }))) {
+    throw new ApiError(400, "Manager not found");
+  }
+};
 
 //Function to Create a Project
 export const createProject = catchAsyncHandler(async (req, res, next) => {
@@ -30,6 +45,15 @@ export const createProject = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "Invalid managerId"));
   }
 
+  // Without global access a project can only be created for yourself
+  const scope = await getProjectScope(req);
+  if (!scope.global && managerId && managerId !== req.user._id.toString()) {
+    return next(
+      new ApiError(403, "You can only create projects that you manage")
+    );
+  }
+  await assertManagerExists(managerId);
+
   if (assignedLabourers) {
     if (!Array.isArray(assignedLabourers)) {
       return next(new ApiError(400, "assignedLabourers must be an array"));
@@ -43,6 +67,7 @@ export const createProject = catchAsyncHandler(async (req, res, next) => {
           )
         );
       }
+      await assertLabourerAccess(req, labourerId, { allowUnassigned: true });
     }
   }
 
@@ -53,14 +78,30 @@ export const createProject = catchAsyncHandler(async (req, res, next) => {
     startDate,
     endDate,
     status,
-    managerId,
-    assignedLabourers,
+    managerId: scope.global ? managerId : req.user._id,
+  });
+
+  if (assignedLabourers?.length) {
+    await setProjectRoster({
+      project: newProject,
+      labourerIds: assignedLabourers,
+      actorId: req.user._id,
+    });
+    await newProject.save();
+  }
+
+  await recordAudit(req, {
+    action: "project.create",
+    entity: "Project",
+    entityId: newProject._id,
+    after: newProject,
   });
 
   res.status(201).json({ project: newProject });
 });
 
-//Function to Update Project Details
+//Function to Update Project Details. The manager and the labourers are
+// changed through their own endpoints, which need their own permissions.
 export const updateProject = catchAsyncHandler(async (req, res, next) => {
   const projectId = req.params.id;
 
@@ -75,8 +116,6 @@ export const updateProject = catchAsyncHandler(async (req, res, next) => {
     "startDate",
     "endDate",
     "status",
-    "managerId",
-    "assignedLabourers",
   ];
 
   const updates = {};
@@ -94,32 +133,26 @@ export const updateProject = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "startDate cannot be after endDate"));
   }
 
-  if (
-    updates.managerId &&
-    !mongoose.Types.ObjectId.isValid(updates.managerId)
-  ) {
-    return next(new ApiError(400, "Invalid managerId"));
-  }
-
-  if (updates.assignedLabourers) {
-    if (!Array.isArray(updates.assignedLabourers)) {
-      return next(new ApiError(400, "assignedLabourers must be an array"));
-    }
-    for (const labourerId of updates.assignedLabourers) {
-      if (!mongoose.Types.ObjectId.isValid(labourerId)) {
-        return next(new ApiError(400, `Invalid labourer ID: ${labourerId}`));
-      }
-    }
-  }
-
   const project = await Project.findById(projectId);
   if (!project) {
     return next(new ApiError(404, "Project not found"));
   }
 
+  await assertProjectAccess(req, project._id);
+
+  const before = toAuditSnapshot(project);
+
   Object.assign(project, updates);
   await project.save();
 
+  await recordAudit(req, {
+    action: "project.update",
+    entity: "Project",
+    entityId: project._id,
+    before,
+    after: project,
+  });
+
   res.status(200).json({ project });
 });
 
@@ -192,6 +225,8 @@ export const getAllProjects = catchAsyncHandler(async (req, res, next) => {
     filters.location = { $regex: location, $options: "i" };
   }
 
+  Object.assign(filters, await projectScopeFilter(req, "_id"));
+
   const totalProjects = await Project.countDocuments(filters);
   const projects = await Project.find(filters)
     .skip(skip)
@@ -229,10 +264,14 @@ export const getProjectById = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Project not found"));
   }
 
+  await assertProjectAccess(req, project._id);
+
   res.status(200).json({ project });
 });
 
-// Function to assign Multiple Labourers all at once
+// Function to assign Multiple Labourers all at once. The list replaces the
+// current one: labourers added move to this project and labourers left out
+// leave it, both kept in the assignment history.
 export const assignLabourersToProject = catchAsyncHandler(
   async (req, res, next) => {
     const projectId = req.params.id;
@@ -257,11 +296,29 @@ export const assignLabourersToProject = catchAsyncHandler(
       return next(new ApiError(404, "Project not found"));
     }
 
-    project.assignedLabourers = assignedLabourers.map(
-      (id) => new mongoose.Types.ObjectId(id)
-    );
+    await assertProjectAccess(req, project._id);
+
+    for (const labourerId of assignedLabourers) {
+      await assertLabourerAccess(req, labourerId, { allowUnassigned: true });
+    }
+
+    const before = toAuditSnapshot(project);
+
+    await setProjectRoster({
+      project,
+      labourerIds: assignedLabourers,
+      actorId: req.user._id,
+    });
     await project.save();
 
+    await recordAudit(req, {
+      action: "project.assignLabourers",
+      entity: "Project",
+      entityId: project._id,
+      before,
+      after: project,
+    });
+
     const updatedProject = await Project.findById(projectId)
       .populate({ path: "assignedLabourers", select: "fullName contactNumber" })
       .populate({ path: "managerId", select: "username email" });
@@ -293,9 +350,22 @@ export const changeProjectManager = catchAsyncHandler(
       return next(new ApiError(404, "Project not found"));
     }
 
+    await assertProjectAccess(req, project._id);
+    await assertManagerExists(managerId);
+
+    const before = toAuditSnapshot(project);
+
     project.managerId = managerId ?? null;
     await project.save();
 
+    await recordAudit(req, {
+      action: "project.changeManager",
+      entity: "Project",
+      entityId: project._id,
+      before,
+      after: project,
+    });
+
     const updatedProject = await Project.findById(projectId)
       .populate({ path: "managerId", select: "username email" })
       .populate({
@@ -321,6 +391,10 @@ export const deleteProject = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Project not found"));
   }
 
+  await assertProjectAccess(req, project._id);
+
+  const before = toAuditSnapshot(project);
+
   if (action && action.toLowerCase() === "archive") {
     project.status = "archived";
     await project.save();
@@ -330,6 +404,13 @@ export const deleteProject = catchAsyncHandler(async (req, res, next) => {
   await Project.findByIdAndDelete(projectId);
   console.log("Project deletion done");
 
+  await recordAudit(req, {
+    action: "project.delete",
+    entity: "Project",
+    entityId: project._id,
+    before,
+  });
+
   return res.status(200).json({ message: "Project deleted successfully" });
 });
 
@@ -363,9 +444,21 @@ export const changeProjectStatus = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Project not found"));
   }
 
+  await assertProjectAccess(req, project._id);
+
+  const before = toAuditSnapshot(project);
+
   project.status = status.toLowerCase();
   await project.save();
 
+  await recordAudit(req, {
+    action: "project.changeStatus",
+    entity: "Project",
+    entityId: project._id,
+    before,
+    after: project,
+  });
+
   const updatedProject = await Project.findById(projectId)
     .populate({ path: "managerId", select: "username email" })
     .populate({ path: "assignedLabourers", select: "fullName contactNumber" });
@@ -437,6 +530,8 @@ export const searchProjects = catchAsyncHandler(async (req, res, next) => {
     }
   }
 
+  Object.assign(filters, await projectScopeFilter(req, "_id"));
+
   const totalProjects = await Project.countDocuments(filters);
   const projects = await Project.find(filters)
     .skip(skip)
@@ -468,6 +563,13 @@ export const listProjectsByManager = catchAsyncHandler(
       return next(new ApiError(400, "Invalid manager ID"));
     }
 
+    const scope = await getProjectScope(req);
+    if (!scope.global && managerId !== req.user._id.toString()) {
+      return next(
+        new ApiError(403, "You can only list projects that you manage")
+      );
+    }
+
     page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
     limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
     const skip = (page - 1) * limit;
@@ -512,7 +614,10 @@ export const listProjectsByLabourer = catchAsyncHandler(
     limit = parseInt(limit, 10) > 0 ? Number(limit) : 20;
     const skip = (page - 1) * limit;
 
-    const filter = { assignedLabourers: labourerId };
+    const filter = {
+      assignedLabourers: labourerId,
+      ...(await projectScopeFilter(req, "_id")),
+    };
 
     const totalProjects = await Project.countDocuments(filter);
     const projects = await Project.find(filter)
@@ -0,0 +1,175 @@
+import Role from "../models/role.model.js";
+import User from "../models/user.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import { PERMISSIONS, WILDCARD } from "../config/permissions.js";
+import {
+  ensureSystemRoles,
+  invalidateRoleCache,
+  findUnknownPermissions,
+} from "../utils/permissions.js";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+const validatePermissions = (permissions) => {
+  if (!Array.isArray(permissions)) {
+    return "permissions must be an array";
+  }
+  const unknown = findUnknownPermissions(permissions);
+  if (unknown.length) {
+    return `Unknown permissions: ${unknown.join(", ")}`;
+  }
+  return null;
+};
+
+// Function to List every available Permission
+export const listPermissions = catchAsyncHandler(async (req, res, next) => {
+  res.status(200).json({
+    permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({
+      name,
+      description,
+    })),
+  });
+});
+
+// Function to List all Roles
+export const listRoles = catchAsyncHandler(async (req, res, next) => {
+  await ensureSystemRoles();
+
+  const roles = await Role.find().sort({ isSystem: -1, name: 1 });
+
+  res.status(200).json({ roles });
+});
+
+// Function to get a Role by name
+export const getRoleByName = catchAsyncHandler(async (req, res, next) => {
+  await ensureSystemRoles();
+
+  const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+  if (!role) {
+    return next(new ApiError(404, "Role not found"));
+  }
+
+  res.status(200).json({ role });
+});
+
+// Function to Create a custom Role
+export const createRole = catchAsyncHandler(async (req, res, next) => {
+  const { name, description, permissions = [] } = req.body;
+
+  if (!name) {
+    return next(new ApiError(400, "Role name is required"));
+  }
+
+  const permissionError = validatePermissions(permissions);
+  if (permissionError) {
+    return next(new ApiError(400, permissionError));
+  }
+
+  await ensureSystemRoles();
+
+  const existing = await Role.findOne({ name: name.toLowerCase() });
+  if (existing) {
+    return next(new ApiError(409, "Role already exists"));
+  }
+
+  const role = await Role.create({
+    name,
+    description,
+    permissions: [...new Set(permissions)],
+  });
+
+  invalidateRoleCache(role.name);
+
+  await recordAudit(req, {
+    action: "role.create",
+    entity: "Role",
+    entityId: role._id,
+    after: role,
+  });
+
+  res.status(201).json({ role });
+});
+
+// Function to Update a Role's description and permissions
+export const updateRole = catchAsyncHandler(async (req, res, next) => {
+  const { description, permissions } = req.body;
+
+  await ensureSystemRoles();
+
+  const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+  if (!role) {
+    return next(new ApiError(404, "Role not found"));
+  }
+
+  const before = toAuditSnapshot(role);
+
+  if (permissions !== undefined) {
+    const permissionError = validatePermissions(permissions);
+    if (permissionError) {
+      return next(new ApiError(400, permissionError));
+    }
+
+    // Keep at least one way back in: admin must always hold every permission
+    if (role.name === "admin" && !permissions.includes(WILDCARD)) {
+      return next(
+        new ApiError(400, "The admin role must keep the '*' permission")
+      );
+    }
+    role.permissions = [...new Set(permissions)];
+  }
+
+  if (description !== undefined) {
+    role.description = description;
+  }
+
+  await role.save();
+
+  await recordAudit(req, {
+    action: "role.update",
+    entity: "Role",
+    entityId: role._id,
+    before,
+    after: role,
+  });
+
+  invalidateRoleCache(role.name);
+
+  res.status(200).json({ role });
+});
+
+// Function to Delete a custom Role that no user holds
+export const deleteRole = catchAsyncHandler(async (req, res, next) => {
+  await ensureSystemRoles();
+
+  const role = await Role.findOne({ name: req.params.name.toLowerCase() });
+  if (!role) {
+    return next(new ApiError(404, "Role not found"));
+  }
+
+  if (role.isSystem) {
+    return next(new ApiError(400, "Built-in roles cannot be deleted"));
+  }
+
+  const usersWithRole = await User.countDocuments({ role: role.name });
+  if (usersWithRole > 0) {
+    return next(
+      new ApiError(
+        409,
+        `Role is assigned to ${usersWithRole} user(s), reassign them first`
+      )
+    );
+  }
+
+  await Role.deleteOne({ _id: role._id });
+
+  await recordAudit(req, {
+    action: "role.delete",
+    entity: "Role",
+    entityId: role._id,
+    before: role,
+  });
+
+  invalidateRoleCache(role.name);
+
+  res.status(200).json({ message: "Role deleted successfully" });
+});
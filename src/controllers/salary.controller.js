@@ -1,8 +1,16 @@
 import Salary from "../models/salary.model.js";
 import Attendance from "../models/attendance.model.js";
+import Labourer from "../models/labourer.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
 import mongoose from "mongoose";
+import { recordAudit, recordAudits, toAuditSnapshot } from "../utils/audit.js";
+import {
+  assertLabourerAccess,
+  labourerIdScopeFilter,
+  projectScopeFilter,
+} from "../utils/projectScope.js";
+import { pickWageRate, loadWageRates } from "../utils/wageRates.js";
 
 // Create Salary Record
 export const createSalaryRecord = catchAsyncHandler(async (req, res, next) => {
@@ -35,6 +43,8 @@ export const createSalaryRecord = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(400, "Invalid labourerId"));
   }
 
+  await assertLabourerAccess(req, labourerId);
+
   const start = new Date(startPeriod);
   const end = new Date(endPeriod);
   if (isNaN(start) || isNaN(end)) {
@@ -69,6 +79,13 @@ export const createSalaryRecord = catchAsyncHandler(async (req, res, next) => {
 
   const salary = await Salary.create(salaryData);
 
+  await recordAudit(req, {
+    action: "salary.create",
+    entity: "Salary",
+    entityId: salary._id,
+    after: salary,
+  });
+
   res.status(201).json({ salary });
 });
 
@@ -152,10 +169,25 @@ export const updateSalaryRecord = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+  if (updates.labourerId) {
+    await assertLabourerAccess(req, updates.labourerId);
+  }
+
+  const before = toAuditSnapshot(salary);
+
   Object.assign(salary, updates);
 
   await salary.save();
 
+  await recordAudit(req, {
+    action: "salary.update",
+    entity: "Salary",
+    entityId: salary._id,
+    before,
+    after: salary,
+  });
+
   const updatedSalary = await Salary.findById(salaryId).populate({
     path: "labourerId",
     select: "fullName contactNumber",
@@ -181,6 +213,8 @@ export const getSalaryRecordById = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+
   res.status(200).json({ salary });
 });
 
@@ -202,7 +236,10 @@ export const listSalaryRecords = catchAsyncHandler(async (req, res, next) => {
 
   const filters = {};
 
+  Object.assign(filters, await labourerIdScopeFilter(req));
+
   if (labourerId && mongoose.Types.ObjectId.isValid(labourerId)) {
+    await assertLabourerAccess(req, labourerId);
     filters.labourerId = labourerId;
   }
 
@@ -277,11 +314,23 @@ export const markSalaryAsPaid = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+
+  const before = toAuditSnapshot(salary);
+
   salary.status = "paid";
   salary.paymentDate = payDate;
 
   await salary.save();
 
+  await recordAudit(req, {
+    action: "salary.markPaid",
+    entity: "Salary",
+    entityId: salary._id,
+    before,
+    after: salary,
+  });
+
   res.status(200).json({ salary });
 });
 
@@ -298,8 +347,17 @@ export const deleteSalaryRecord = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+
   await Salary.findByIdAndDelete(salaryId);
 
+  await recordAudit(req, {
+    action: "salary.delete",
+    entity: "Salary",
+    entityId: salary._id,
+    before: salary,
+  });
+
   res.status(200).json({ message: "Salary record deleted successfully" });
 });
 
@@ -321,10 +379,22 @@ export const generatePayslipUrl = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+
+  const before = toAuditSnapshot(salary);
+
   salary.payslipUrl = payslipUrl;
 
   await salary.save();
 
+  await recordAudit(req, {
+    action: "salary.setPayslip",
+    entity: "Salary",
+    entityId: salary._id,
+    before,
+    after: salary,
+  });
+
   res.status(200).json({ salary });
 });
 
@@ -338,6 +408,8 @@ export const salarySummaryByLabourer = catchAsyncHandler(
       return next(new ApiError(400, "Invalid labourer ID"));
     }
 
+    await assertLabourerAccess(req, labourerId);
+
     const dateFilter = {};
     if (startPeriod) {
       const start = new Date(startPeriod);
@@ -405,6 +477,8 @@ export const salarySummaryByPeriod = catchAsyncHandler(
 
     const matchCondition = {};
 
+    Object.assign(matchCondition, await labourerIdScopeFilter(req));
+
     if (startPeriod) {
       const start = new Date(startPeriod);
       if (isNaN(start)) return next(new ApiError(400, "Invalid startPeriod"));
@@ -453,15 +527,54 @@ export const salarySummaryByPeriod = catchAsyncHandler(
   }
 );
 
-// Generate salary for a given period (startPeriod, endPeriod) and possibly dailyWage
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+// Price each attendance day at the wage rate in force on that date, grouped
+// into one breakdown line per rate. Returns null when a day has no rate.
+const priceAttendance = (records, rates, labourer, fallbackWage) => {
+  const lines = new Map();
+
+  for (const record of records) {
+    const rate = pickWageRate(
+      rates,
+      {
+        labourerId: record.labourerId,
+        projectId: record.projectId,
+        skills: labourer?.skills,
+      },
+      record.date
+    );
+    const dailyRate = rate ? rate.dailyRate : fallbackWage;
+    if (dailyRate === undefined) return null;
+
+    const lineKey = rate ? String(rate._id) : "default";
+    const line = lines.get(lineKey) || {
+      wageRateId: rate?._id ?? null,
+      dailyRate,
+      days: 0,
+      amount: 0,
+      from: record.date,
+      to: record.date,
+    };
+    line.days += 1;
+    line.amount = roundMoney(line.amount + dailyRate);
+    if (record.date < line.from) line.from = record.date;
+    if (record.date > line.to) line.to = record.date;
+    lines.set(lineKey, line);
+  }
+
+  return [...lines.values()].sort((a, b) => a.from - b.from);
+};
+
+// Generate salary for a given period (startPeriod, endPeriod). Every present
+// day is paid at the wage rate in force on that date; dailyWage is only the
+// fallback for days no wage rate covers.
 export const generateSalaryForPeriod = catchAsyncHandler(
   async (req, res, next) => {
     const { startPeriod, endPeriod, dailyWage } = req.body;
 
-    if (!startPeriod || !endPeriod || dailyWage === undefined) {
-      return next(
-        new ApiError(400, "startPeriod, endPeriod, and dailyWage are required")
-      );
+    if (!startPeriod || !endPeriod) {
+      return next(new ApiError(400, "startPeriod and endPeriod are required"));
     }
 
     const start = new Date(startPeriod);
@@ -475,26 +588,22 @@ export const generateSalaryForPeriod = catchAsyncHandler(
     if (start > end) {
       return next(new ApiError(400, "startPeriod cannot be after endPeriod"));
     }
-    if (typeof dailyWage !== "number" || dailyWage < 0) {
+    if (
+      dailyWage !== undefined &&
+      (typeof dailyWage !== "number" || dailyWage < 0)
+    ) {
       return next(new ApiError(400, "dailyWage must be a positive number"));
     }
 
-    const attendanceAggregation = await Attendance.aggregate([
-      {
-        $match: {
-          date: { $gte: start, $lte: end },
-          status: "present",
-        },
-      },
-      {
-        $group: {
-          _id: "$labourerId",
-          totalDaysPresent: { $sum: 1 },
-        },
-      },
-    ]);
+    const attendanceRecords = await Attendance.find({
+      date: { $gte: start, $lte: end },
+      status: "present",
+      ...(await projectScopeFilter(req)),
+    })
+      .select("labourerId projectId date")
+      .lean();
 
-    if (!attendanceAggregation.length) {
+    if (!attendanceRecords.length) {
       return res.status(200).json({
         message:
           "No attendance records found for the given period to generate salary.",
@@ -502,7 +611,14 @@ export const generateSalaryForPeriod = catchAsyncHandler(
       });
     }
 
-    const labourerIds = attendanceAggregation.map((rec) => rec._id);
+    const recordsByLabourer = new Map();
+    for (const record of attendanceRecords) {
+      const key = record.labourerId.toString();
+      if (!recordsByLabourer.has(key)) recordsByLabourer.set(key, []);
+      recordsByLabourer.get(key).push(record);
+    }
+
+    const labourerIds = attendanceRecords.map((rec) => rec.labourerId);
 
     const existingSalaries = await Salary.find({
       labourerId: { $in: labourerIds },
@@ -514,32 +630,80 @@ export const generateSalaryForPeriod = catchAsyncHandler(
       existingSalaries.map((s) => s.labourerId.toString())
     );
 
-    const salaryRecordsToCreate = attendanceAggregation
-      .filter((rec) => !existingLabourerIds.has(rec._id.toString()))
-      .map((rec) => ({
-        labourerId: rec._id,
+    const [labourers, rates] = await Promise.all([
+      Labourer.find({ _id: { $in: labourerIds } })
+        .select("skills")
+        .lean(),
+      loadWageRates({
+        start,
+        end,
+        labourerIds,
+        projectIds: attendanceRecords.map((rec) => rec.projectId),
+      }),
+    ]);
+    const labourersById = new Map(labourers.map((l) => [l._id.toString(), l]));
+
+    const salaryRecordsToCreate = [];
+    const missingRates = [];
+
+    for (const [labourerId, records] of recordsByLabourer) {
+      if (existingLabourerIds.has(labourerId)) continue;
+
+      const wageBreakdown = priceAttendance(
+        records,
+        rates,
+        labourersById.get(labourerId),
+        dailyWage
+      );
+      if (!wageBreakdown) {
+        missingRates.push(labourerId);
+        continue;
+      }
+
+      const totalSalary = roundMoney(
+        wageBreakdown.reduce((sum, line) => sum + line.amount, 0)
+      );
+
+      salaryRecordsToCreate.push({
+        labourerId: records[0].labourerId,
         startPeriod: start,
         endPeriod: end,
-        totalDaysPresent: rec.totalDaysPresent,
-        dailyWage,
-        totalSalary: rec.totalDaysPresent * dailyWage,
+        totalDaysPresent: records.length,
+        // average over the period when the rate changed part way through
+        dailyWage: roundMoney(totalSalary / records.length),
+        totalSalary,
+        wageBreakdown,
         status: "pending",
         payslipUrl: "",
-      }));
+      });
+    }
 
     if (salaryRecordsToCreate.length === 0) {
       return res.status(200).json({
-        message:
-          "Salary records for this period already generated for all labourers.",
+        message: missingRates.length
+          ? "No wage rate covers the remaining labourers, add rates or pass a dailyWage."
+          : "Salary records for this period already generated for all labourers.",
         generatedSalaries: [],
+        ...(missingRates.length && { missingRates }),
       });
     }
 
     const createdSalaries = await Salary.insertMany(salaryRecordsToCreate);
 
+    await recordAudits(
+      req,
+      createdSalaries.map((salary) => ({
+        action: "salary.generate",
+        entity: "Salary",
+        entityId: salary._id,
+        after: salary,
+      }))
+    );
+
     res.status(201).json({
       message: `Generated salary records for ${createdSalaries.length} labourers`,
       generatedSalaries: createdSalaries,
+      ...(missingRates.length && { missingRates }),
     });
   }
 );
@@ -554,6 +718,8 @@ export const viewSalaryPayslipDetailsForLabourer = catchAsyncHandler(
       return next(new ApiError(400, "Invalid labourer ID"));
     }
 
+    await assertLabourerAccess(req, labourerId);
+
     // 2. Prepare filters
     const filters = { labourerId };
 
@@ -618,6 +784,8 @@ export const downloadPayslip = catchAsyncHandler(async (req, res, next) => {
     return next(new ApiError(404, "Salary record not found"));
   }
 
+  await assertLabourerAccess(req, salary.labourerId);
+
   if (!salary.payslipUrl || typeof salary.payslipUrl !== "string") {
     return next(
       new ApiError(404, "Payslip URL not set for this salary record")
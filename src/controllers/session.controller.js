@@ -0,0 +1,122 @@
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { revokeSession, revokeUserSessions } from "../utils/tokens.js";
+import { recordAudit } from "../utils/audit.js";
+
+const SESSION_FIELDS = "device userAgent ip lastSeenAt createdAt expiresAt";
+
+const activeSessionFilter = (userId) => ({
+  userId,
+  revokedAt: null,
+  expiresAt: { $gt: new Date() },
+});
+
+// Function to List the logged in User's active Sessions
+export const listMySessions = catchAsyncHandler(async (req, res, next) => {
+  const sessions = await Session.find(activeSessionFilter(req.user._id))
+    .select(SESSION_FIELDS)
+    .sort({ lastSeenAt: -1 });
+
+  const currentSessionId = req.authSession?._id.toString();
+
+  res.status(200).json({
+    sessions: sessions.map((session) => ({
+      ...session.toObject(),
+      current: session._id.toString() === currentSessionId,
+    })),
+  });
+});
+
+// Function to Revoke one of the logged in User's Sessions
+export const revokeMySession = catchAsyncHandler(async (req, res, next) => {
+  const { sessionId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+    return next(new ApiError(400, "Invalid session ID"));
+  }
+
+  const session = await Session.findOne({
+    _id: sessionId,
+    userId: req.user._id,
+  });
+  if (!session) {
+    return next(new ApiError(404, "Session not found"));
+  }
+
+  await revokeSession(session._id, "revoked-by-user", req.user._id);
+
+  res.status(200).json({ message: "Session revoked successfully" });
+});
+
+// Function to Revoke every Session except the current one
+export const revokeOtherSessions = catchAsyncHandler(async (req, res, next) => {
+  if (!req.authSession) {
+    return next(new ApiError(400, "Current session could not be determined"));
+  }
+
+  const revokedCount = await revokeUserSessions(
+    req.user._id,
+    "revoked-by-user",
+    { keepSessionId: req.authSession._id, revokedBy: req.user._id }
+  );
+
+  res.status(200).json({
+    message: "Other sessions revoked successfully",
+    revokedCount,
+  });
+});
+
+// Function to List active Sessions of any User (Access : Admin Only)
+export const listUserSessions = catchAsyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ApiError(400, "Invalid user ID"));
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ApiError(404, "User not found"));
+  }
+
+  const sessions = await Session.find(activeSessionFilter(userId))
+    .select(SESSION_FIELDS)
+    .sort({ lastSeenAt: -1 });
+
+  res.status(200).json({ userId, sessions });
+});
+
+// Function to Revoke all Sessions of any User (Access : Admin Only)
+export const revokeUserSessionsByAdmin = catchAsyncHandler(
+  async (req, res, next) => {
+    const { userId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(new ApiError(400, "Invalid user ID"));
+    }
+
+    const user = await User.findById(userId);
+    if (!user) {
+      return next(new ApiError(404, "User not found"));
+    }
+
+    const revokedCount = await revokeUserSessions(userId, "revoked-by-admin", {
+      revokedBy: req.user._id,
+    });
+
+    await recordAudit(req, {
+      action: "user.revokeSessions",
+      entity: "User",
+      entityId: user._id,
+      after: { revokedCount },
+    });
+
+    res.status(200).json({
+      message: "All sessions revoked for user",
+      revokedCount,
+    });
+  }
+);
@@ -0,0 +1,211 @@
+import Skill, {
+  SKILL_LEVELS,
+  normalizeSkillName,
+} from "../models/skill.model.js";
+import Labourer from "../models/labourer.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+// A name or alias may only point at one catalog entry
+const assertNamesAvailable = async (names, excludeId) => {
+  const normalized = names.map(normalizeSkillName);
+
+  const conflict = await Skill.findOne({
+    _id: { $ne: excludeId },
+    $or: [
+      { normalizedName: { $in: normalized } },
+      { aliases: { $in: normalized } },
+    ],
+  });
+  if (conflict) {
+    throw new ApiError(
+      409,
+      `Name or alias is already used by skill '${conflict.name}'`
+    );
+  }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const validateAliases = (aliases) => {
+  if (!Array.isArray(aliases) || aliases.some((a) => typeof a !== "string")) {
+    throw new ApiError(400, "aliases must be an array of strings");
+  }
+  return aliases;
+};
+
+// Function to Create a Skill in the catalog
+export const createSkill = catchAsyncHandler(async (req, res, next) => {
+  const {
+    name,
+    category,
+    description,
+    aliases = [],
+    requiresCertification,
+  } = req.body;
+
+  if (!name || !category) {
+    return next(new ApiError(400, "Name and category are required"));
+  }
+
+  await assertNamesAvailable([name, ...validateAliases(aliases)]);
+
+  const skill = await Skill.create({
+    name,
+    category,
+    description,
+    aliases,
+    requiresCertification,
+  });
+
+  await recordAudit(req, {
+    action: "skill.create",
+    entity: "Skill",
+    entityId: skill._id,
+    after: skill,
+  });
+
+  res.status(201).json({ skill });
+});
+
+// Function to List Skills (filter by category, name or archived state)
+export const listSkills = catchAsyncHandler(async (req, res, next) => {
+  let { category, search, includeArchived, page = 1, limit = 50 } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 50;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  if (includeArchived !== "true") filters.isActive = true;
+  if (category) filters.category = category.toLowerCase();
+
+  if (search) {
+    const pattern = { $regex: escapeRegex(normalizeSkillName(search)) };
+    filters.$or = [{ normalizedName: pattern }, { aliases: pattern }];
+  }
+
+  const total = await Skill.countDocuments(filters);
+
+  const skills = await Skill.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ category: 1, name: 1 });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: skills.length,
+    },
+    levels: SKILL_LEVELS,
+    skills,
+  });
+});
+
+// Function to get a Skill by ID
+export const getSkillById = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid skill ID"));
+  }
+
+  const skill = await Skill.findById(id);
+  if (!skill) {
+    return next(new ApiError(404, "Skill not found"));
+  }
+
+  const labourerCount = await Labourer.countDocuments({
+    "skills.skillId": skill._id,
+  });
+
+  res.status(200).json({ skill, labourerCount });
+});
+
+// Function to Update a Skill (archive with isActive: false)
+export const updateSkill = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+  const { name, category, description, aliases, requiresCertification } =
+    req.body;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid skill ID"));
+  }
+
+  const skill = await Skill.findById(id);
+  if (!skill) {
+    return next(new ApiError(404, "Skill not found"));
+  }
+
+  const names = [];
+  if (name !== undefined) names.push(name);
+  if (aliases !== undefined) names.push(...validateAliases(aliases));
+  if (names.length) await assertNamesAvailable(names, skill._id);
+
+  const before = toAuditSnapshot(skill);
+
+  if (name !== undefined) skill.name = name;
+  if (category !== undefined) skill.category = category;
+  if (description !== undefined) skill.description = description;
+  if (aliases !== undefined) skill.aliases = aliases;
+  if (requiresCertification !== undefined) {
+    skill.requiresCertification = requiresCertification;
+  }
+  if (req.body.isActive !== undefined) {
+    skill.isActive = Boolean(req.body.isActive);
+  }
+
+  await skill.save();
+
+  await recordAudit(req, {
+    action: "skill.update",
+    entity: "Skill",
+    entityId: skill._id,
+    before,
+    after: skill,
+  });
+
+  res.status(200).json({ skill });
+});
+
+// Function to Delete a Skill that no labourer holds
+export const deleteSkill = catchAsyncHandler(async (req, res, next) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    return next(new ApiError(400, "Invalid skill ID"));
+  }
+
+  const skill = await Skill.findById(id);
+  if (!skill) {
+    return next(new ApiError(404, "Skill not found"));
+  }
+
+  const labourerCount = await Labourer.countDocuments({
+    "skills.skillId": skill._id,
+  });
+  if (labourerCount > 0) {
+    return next(
+      new ApiError(
+        409,
+        `Skill is held by ${labourerCount} labourer(s), archive it instead`
+      )
+    );
+  }
+
+  await Skill.deleteOne({ _id: skill._id });
+
+  await recordAudit(req, {
+    action: "skill.delete",
+    entity: "Skill",
+    entityId: skill._id,
+    before: skill,
+  });
+
+  res.status(200).json({ message: "Skill deleted successfully" });
+});
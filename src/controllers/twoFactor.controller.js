@@ -0,0 +1,371 @@
+import User from "../models/user.model.js";
+import Setting from "../models/setting.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import { issueTokens, setAuthCookies } from "../utils/tokens.js";
+import { recordAudit } from "../utils/audit.js";
+import {
+  getTwoFactorRoles,
+  ENFORCED_ROLES_KEY,
+  getEnforcedRoles,
+  generateTwoFactorSecret,
+  verifyTotp,
+  generateBackupCodes,
+  consumeBackupCode,
+  verifyChallengeToken,
+  consumeChallengeToken,
+} from "../utils/twoFactor.js";
+import {
+  accountKey,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+
+const TWO_FACTOR_SECRETS =
+  "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep";
+
+// A wrong code during login, or a wrong password or code when turning 2FA
+// off, counts as a failed login attempt
+const rejectLoginCode = async (req, user, message) => {
+  await recordLoginFailure({
+    account: accountKey(user),
+    ip: req.ip,
+    user,
+    identifier: user.username,
+    userAgent: req.get("user-agent"),
+  });
+  return new ApiError(401, message);
+};
+
+// Function to start TOTP Enrolment (returns secret and QR code)
+export const setupTwoFactor = catchAsyncHandler(async (req, res, next) => {
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+  if (user.twoFactor?.enabled) {
+    return next(
+      new ApiError(409, "Two-factor authentication is already enabled")
+    );
+  }
+
+  const { secret, otpauthUrl, qrCode } = await generateTwoFactorSecret(user);
+
+  user.twoFactor.pendingSecret = secret;
+  await user.save();
+
+  res.status(200).json({ secret, otpauthUrl, qrCode });
+});
+
+// Function to confirm TOTP Enrolment with the first code
+export const enableTwoFactor = catchAsyncHandler(async (req, res, next) => {
+  const { code } = req.body;
+
+  if (!code) {
+    return next(new ApiError(400, "Verification code is required"));
+  }
+
+  const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+  if (user.twoFactor?.enabled) {
+    return next(
+      new ApiError(409, "Two-factor authentication is already enabled")
+    );
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    return next(new ApiError(400, "Start two-factor setup first"));
+  }
+
+  const step = verifyTotp(user.twoFactor.pendingSecret, code);
+  if (step === null) {
+    return next(new ApiError(401, "Invalid verification code"));
+  }
+
+  const { codes, hashes } = generateBackupCodes();
+
+  user.twoFactor.enabled = true;
+  user.twoFactor.secret = user.twoFactor.pendingSecret;
+  user.twoFactor.pendingSecret = undefined;
+  user.twoFactor.backupCodes = hashes;
+  user.twoFactor.lastUsedStep = step;
+  user.twoFactor.enabledAt = new Date();
+  await user.save();
+
+  res.status(200).json({
+    message: "Two-factor authentication enabled",
+    backupCodes: codes,
+  });
+});
+
+// Function to turn off TOTP (needs password and a current code)
+export const disableTwoFactor = catchAsyncHandler(async (req, res, next) => {
+  const { password, code, backupCode } = req.body;
+
+  if (!password || !(code || backupCode)) {
+    return next(
+      new ApiError(
+        400,
+        "Password and a verification or backup code are required"
+      )
+    );
+  }
+
+  const user = await User.findById(req.user._id).select(
+    `+password ${TWO_FACTOR_SECRETS}`
+  );
+
+  if (!user.twoFactor?.enabled) {
+    return next(new ApiError(400, "Two-factor authentication is not enabled"));
+  }
+
+  const enforcedRoles = await getEnforcedRoles();
+  if (enforcedRoles.includes(user.role)) {
+    return next(
+      new ApiError(
+        403,
+        `Two-factor authentication is mandatory for role '${user.role}'`
+      )
+    );
+  }
+
+  const account = accountKey(user);
+  const retryAfter = await getLoginRetryAfter({ account, ip: req.ip });
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    return next(
+      new ApiError(
+        429,
+        "Too many failed login attempts. Please try again later."
+      )
+    );
+  }
+
+  const isPasswordCorrect = await user.comparePassword(password);
+  const isCodeCorrect = code
+    ? verifyTotp(user.twoFactor.secret, code, user.twoFactor.lastUsedStep) !==
+      null
+    : consumeBackupCode(user, backupCode);
+
+  if (!isPasswordCorrect || !isCodeCorrect) {
+    return next(await rejectLoginCode(req, user, "Invalid credentials"));
+  }
+
+  user.twoFactor = { enabled: false };
+  await user.save();
+  await clearLoginFailures(account);
+
+  res.status(200).json({ message: "Two-factor authentication disabled" });
+});
+
+// Function to Regenerate Backup Codes (invalidates the old ones)
+export const regenerateBackupCodes = catchAsyncHandler(
+  async (req, res, next) => {
+    const { code } = req.body;
+
+    if (!code) {
+      return next(new ApiError(400, "Verification code is required"));
+    }
+
+    const user = await User.findById(req.user._id).select(TWO_FACTOR_SECRETS);
+
+    if (!user.twoFactor?.enabled) {
+      return next(
+        new ApiError(400, "Two-factor authentication is not enabled")
+      );
+    }
+
+    const step = verifyTotp(
+      user.twoFactor.secret,
+      code,
+      user.twoFactor.lastUsedStep
+    );
+    if (step === null) {
+      return next(new ApiError(401, "Invalid verification code"));
+    }
+
+    const { codes, hashes } = generateBackupCodes();
+
+    user.twoFactor.backupCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    await user.save();
+
+    res.status(200).json({ backupCodes: codes });
+  }
+);
+
+// Function to start enrolment during login when the role enforces 2FA
+export const setupTwoFactorChallenge = catchAsyncHandler(
+  async (req, res, next) => {
+    const { challengeToken } = req.body;
+
+    const decoded = verifyChallengeToken(challengeToken);
+
+    const user = await User.findById(decoded._id).select(TWO_FACTOR_SECRETS);
+    if (!user || user.status !== "active") {
+      return next(new ApiError(401, "Invalid User Credentials"));
+    }
+
+    if (user.twoFactor?.enabled) {
+      return next(
+        new ApiError(409, "Two-factor authentication is already enabled")
+      );
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateTwoFactorSecret(user);
+
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({ secret, otpauthUrl, qrCode });
+  }
+);
+
+// Function to complete the second Login step with a TOTP or Backup Code
+export const verifyTwoFactorLogin = catchAsyncHandler(
+  async (req, res, next) => {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return next(
+        new ApiError(400, "Verification code or backup code is required")
+      );
+    }
+
+    const decoded = verifyChallengeToken(challengeToken);
+
+    const user = await User.findById(decoded._id).select(TWO_FACTOR_SECRETS);
+    if (!user) {
+      return next(new ApiError(401, "Invalid User Credentials"));
+    }
+
+    if (user.status !== "active") {
+      return next(
+        new ApiError(
+          403,
+          "Your account has been deactivated. Please contact an administrator."
+        )
+      );
+    }
+
+    const retryAfter = await getLoginRetryAfter({
+      account: accountKey(user),
+      ip: req.ip,
+    });
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return next(
+        new ApiError(
+          429,
+          "Too many failed login attempts. Please try again later."
+        )
+      );
+    }
+
+    let backupCodes;
+
+    if (user.twoFactor?.enabled) {
+      if (code) {
+        const step = verifyTotp(
+          user.twoFactor.secret,
+          code,
+          user.twoFactor.lastUsedStep
+        );
+        if (step === null) {
+          return next(
+            await rejectLoginCode(req, user, "Invalid verification code")
+          );
+        }
+        user.twoFactor.lastUsedStep = step;
+      } else if (!consumeBackupCode(user, backupCode)) {
+        return next(await rejectLoginCode(req, user, "Invalid backup code"));
+      }
+    } else {
+      // Enrolment forced by role policy, confirm the pending secret
+      if (!user.twoFactor?.pendingSecret || !code) {
+        return next(new ApiError(400, "Start two-factor setup first"));
+      }
+
+      const step = verifyTotp(user.twoFactor.pendingSecret, code);
+      if (step === null) {
+        return next(
+          await rejectLoginCode(req, user, "Invalid verification code")
+        );
+      }
+
+      const generated = generateBackupCodes();
+      backupCodes = generated.codes;
+
+      user.twoFactor.enabled = true;
+      user.twoFactor.secret = user.twoFactor.pendingSecret;
+      user.twoFactor.pendingSecret = undefined;
+      user.twoFactor.backupCodes = generated.hashes;
+      user.twoFactor.lastUsedStep = step;
+      user.twoFactor.enabledAt = new Date();
+    }
+
+    await consumeChallengeToken(decoded);
+    await user.save();
+    await clearLoginFailures(accountKey(user));
+
+    const loggedInUser = await User.findById(user._id);
+    const { accessToken, refreshToken } = await issueTokens(loggedInUser, req);
+
+    return setAuthCookies(res.status(200), { accessToken, refreshToken }).json({
+      user: loggedInUser,
+      accessToken,
+      refreshToken,
+      ...(backupCodes && { backupCodes }),
+    });
+  }
+);
+
+// Function to view which roles must use 2FA (Access : Admin Only)
+export const getTwoFactorPolicy = catchAsyncHandler(async (req, res, next) => {
+  const [enforcedRoles, allowedRoles] = await Promise.all([
+    getEnforcedRoles(),
+    getTwoFactorRoles(),
+  ]);
+
+  res.status(200).json({ enforcedRoles, allowedRoles });
+});
+
+// Function to set which roles must use 2FA (Access : Admin Only)
+export const updateTwoFactorPolicy = catchAsyncHandler(
+  async (req, res, next) => {
+    const { enforcedRoles } = req.body;
+
+    if (!Array.isArray(enforcedRoles)) {
+      return next(new ApiError(400, "enforcedRoles must be an array"));
+    }
+
+    const roles = [
+      ...new Set(enforcedRoles.map((r) => String(r).toLowerCase())),
+    ];
+    const allowedRoles = await getTwoFactorRoles();
+    const invalidRole = roles.find((r) => !allowedRoles.includes(r));
+    if (invalidRole) {
+      return next(
+        new ApiError(400, `Role must be one of: ${allowedRoles.join(", ")}`)
+      );
+    }
+
+    const previous = await Setting.findOne({ key: ENFORCED_ROLES_KEY });
+    const setting = await Setting.setValue(
+      ENFORCED_ROLES_KEY,
+      roles,
+      req.user._id
+    );
+
+    await recordAudit(req, {
+      action: "setting.update",
+      entity: "Setting",
+      entityId: setting._id,
+      before: previous,
+      after: setting,
+    });
+
+    res.status(200).json({
+      message: "Two-factor policy updated successfully",
+      enforcedRoles: roles,
+    });
+  }
+);
@@ -1,47 +1,136 @@
+import bcrypt from "bcryptjs";
 import User from "../models/user.model.js";
+import Role from "../models/role.model.js";
+import Labourer from "../models/labourer.model.js";
+import LoginThrottle from "../models/loginThrottle.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
 import ApiError from "../utils/error.js";
 import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import { extractAccessToken } from "../middlewares/auth.js";
+import mongoose from "mongoose";
+import { sendMail } from "../utils/mail/index.js";
+import {
+  isTwoFactorRequired,
+  createChallengeToken,
+} from "../utils/twoFactor.js";
+import {
+  hashToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAccessTokenSession,
+  revokeUserSessions,
+  setAuthCookies,
+  clearAuthCookies,
+} from "../utils/tokens.js";
+import {
+  assertCanGrantRole,
+  ensureSystemRoles,
+  getRolePermissions,
+  losesPermissions,
+} from "../utils/permissions.js";
+import { revokeUserApiKeys } from "../utils/apiKeys.js";
+import {
+  accountKey,
+  getLoginRetryAfter,
+  recordLoginFailure,
+  clearLoginFailures,
+} from "../utils/loginThrottle.js";
+import { normalizePhone } from "../utils/phoneOtp.js";
+import { getRegistrationMode } from "../utils/invitations.js";
+import {
+  getVerificationRetryAfter,
+  sendVerificationMail,
+} from "../utils/emailVerification.js";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync("dummy-password", 10);
 
 //Function for New User Registration
 export const register = catchAsyncHandler(async (req, res, next) => {
-  const { name, email, password, phone, role, username } = req.body;
-
-  if (!name || !username || !email || !password || !phone) {
-    return next(new ApiError("All Fields Required", 400));
+  const { name, email, password, role } = req.body;
+  const phone = req.body.phone && normalizePhone(req.body.phone);
+
+  // Without email and password the account logs in by phone number and OTP
+  const isPhoneOnly = !email && !password;
+
+  if (
+    !name ||
+    !phone ||
+    (!isPhoneOnly && !(req.body.username && email && password))
+  ) {
+    return next(new ApiError(400, "All Fields Required"));
   }
 
-  const existing = await User.findOne({
-    $or: [{ username }, { email }],
-  });
+  const username = (req.body.username || String(phone)).toLowerCase();
+
+  const conditions = [{ username }, { phone }];
+  if (email) conditions.push({ email: email.toLowerCase() });
+
+  const existing = await User.findOne({ $or: conditions });
 
   if (existing) {
-    throw new ApiError(409, "Email or Username already exists");
+    throw new ApiError(409, "Email, Username or Phone already exists");
+  }
+
+  // The very first account may pick its role so a fresh install can get an
+  // admin; after that other roles are only handed out through invitations
+  const isFirstUser = (await User.countDocuments()) === 0;
+
+  if (!isFirstUser) {
+    const mode = await getRegistrationMode();
+    if (mode === "disabled") {
+      throw new ApiError(
+        403,
+        "Public registration is disabled, please ask for an invitation"
+      );
+    }
+    if (role && role.toLowerCase() !== "labourer") {
+      throw new ApiError(
+        403,
+        "Public registration is limited to the labourer role, please ask for an invitation"
+      );
+    }
+  }
+
+  if (role) {
+    await ensureSystemRoles();
+    if (!(await Role.exists({ name: role.toLowerCase() }))) {
+      throw new ApiError(400, `Role '${role}' does not exist`);
+    }
   }
 
   const user = await User.create({
     name,
-    username: username.toLowerCase(),
-    email: email.toLowerCase(),
+    username,
+    email: email?.toLowerCase(),
     password,
     role,
     phone,
   });
 
-  const refreshToken = await user.generateRefreshToken();
-
   const createdUser = await User.findById(user._id);
 
   if (!createdUser) {
     throw new ApiError(500, "Something went wrong while registering the user");
   }
 
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-  };
+  // A failed email should not undo the signup, the user can ask for a resend
+  let emailVerificationSent = false;
+  if (createdUser.email) {
+    try {
+      await sendVerificationMail(createdUser);
+      emailVerificationSent = true;
+    } catch (error) {
+      console.error("Failed to send verification email:", error);
+    }
+  }
+
+  const tokens = await issueTokens(createdUser, req);
 
-  return res.status(201).cookie("refreshToken", refreshToken, options).json({
-    user: createdUser,
+  return setAuthCookies(res.status(201), tokens).json({
+    user: await User.findById(createdUser._id),
+    ...(createdUser.email && { emailVerificationSent }),
   });
 });
 
@@ -53,50 +142,97 @@ export const login = catchAsyncHandler(async (req, res, next) => {
     throw new ApiError(400, "Username or Email and Password are required");
   }
 
-  const user = await User.findOne({ $or: [{ username }, { email }] }).select(
-    "+password"
-  );
+  const identifier = (username || email).toLowerCase();
+  const conditions = [];
+  if (username) conditions.push({ username: username.toLowerCase() });
+  if (email) conditions.push({ email: email.toLowerCase() });
 
-  if (!user) {
-    throw new ApiError(401, "User does not exist");
-  }
+  const user = await User.findOne({ $or: conditions }).select("+password");
 
-  const isPasswordCorrect = await user.comparePassword(password);
+  const account = accountKey(user, identifier);
+  const retryAfter = await getLoginRetryAfter({ account, ip: req.ip });
+  if (retryAfter > 0) {
+    res.set("Retry-After", String(retryAfter));
+    throw new ApiError(
+      429,
+      "Too many failed login attempts. Please try again later."
+    );
+  }
 
-  if (!isPasswordCorrect) {
+  // Compare against a dummy hash for unknown users so both cases take as long
+  const isPasswordCorrect = user
+    ? await user.comparePassword(password)
+    : await bcrypt.compare(password, DUMMY_PASSWORD_HASH);
+
+  if (!user || !isPasswordCorrect) {
+    await recordLoginFailure({
+      account,
+      ip: req.ip,
+      user,
+      identifier,
+      userAgent: req.get("user-agent"),
+    });
     throw new ApiError(401, "Invalid User Credentials");
   }
 
-  const refreshToken = await user.generateRefreshToken();
+  // Only told once the password is right, so it does not reveal accounts
+  if (user.status !== "active") {
+    throw new ApiError(
+      403,
+      "Your account has been deactivated. Please contact an administrator."
+    );
+  }
+
+  // Password alone is not enough, the client must finish the 2FA step
+  if (await isTwoFactorRequired(user)) {
+    return res.status(200).json({
+      twoFactorRequired: true,
+      setupRequired: !user.twoFactor?.enabled,
+      challengeToken: createChallengeToken(user),
+    });
+  }
+
+  await clearLoginFailures(account);
 
   const loggedInUser = await User.findById(user._id);
 
-  const options = {
-    httpOnly: true,
-    secure: process.env.NODE_ENV === "production",
-  };
+  const { accessToken, refreshToken } = await issueTokens(loggedInUser, req);
 
-  return res.status(200).cookie("refreshToken", refreshToken, options).json({
+  return setAuthCookies(res.status(200), { accessToken, refreshToken }).json({
     user: loggedInUser,
+    accessToken,
     refreshToken,
   });
 });
 
-//Function to Logout (clear token cookies)
-export const logout = catchAsyncHandler(async (req, res, next) => {
-  const options = {
-    httpOnly: true,
-    expires: new Date(0),
-    sameSite: "lax",
-    secure: process.env.NODE_ENV === "production",
-  };
+//Function to Rotate the Refresh Token and issue a new Access Token
+export const refreshAccessToken = catchAsyncHandler(async (req, res, next) => {
+  const incomingToken = req.cookies?.refreshToken || req.body?.refreshToken;
+
+  const { accessToken, refreshToken } = await rotateRefreshToken(
+    incomingToken,
+    req
+  );
 
-  console.log(req.cookies.refreshToken);
+  return setAuthCookies(res.status(200), { accessToken, refreshToken }).json({
+    accessToken,
+    refreshToken,
+  });
+});
 
-  return res
-    .status(200)
-    .clearCookie("refreshToken", options)
-    .json({ message: "Logged Out Successfully" });
+//Function to Logout (revoke the current session and clear cookies). Needs
+// no valid access token: the refresh token, or an expired access token,
+// identifies the session to end.
+export const logout = catchAsyncHandler(async (req, res, next) => {
+  await revokeRefreshToken(
+    req.cookies?.refreshToken || req.body?.refreshToken,
+    "logout"
+  );
+  await revokeAccessTokenSession(extractAccessToken(req), "logout");
+
+  return clearAuthCookies(res.status(200)).json({
+    message: "Logged Out Successfully",
+  });
 });
 
 //Function to fetch User Details
@@ -145,15 +281,40 @@ export const updateUser = catchAsyncHandler(async (req, res, next) => {
     updates.username = updates.username.toLowerCase();
   }
 
+  if (updates.phone !== undefined) {
+    updates.phone = normalizePhone(updates.phone);
+    if (!updates.phone) {
+      return next(new ApiError(400, "Invalid phone number"));
+    }
+
+    const existingPhone = await User.findOne({
+      phone: updates.phone,
+      _id: { $ne: userId },
+    });
+    if (existingPhone) {
+      return next(new ApiError(409, "Phone number already in use"));
+    }
+  }
+
   const user = await User.findById(userId);
   if (!user) {
     return next(new ApiError(404, "User not found"));
   }
 
+  const before = toAuditSnapshot(user);
+
   Object.assign(user, updates);
 
   await user.save();
 
+  await recordAudit(req, {
+    action: "user.update",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
   const updatedUser = await User.findById(userId);
 
   res.status(200).json({ user: updatedUser });
@@ -167,31 +328,161 @@ export const changePassword = catchAsyncHandler(async (req, res, next) => {
   }
   const { currentPassword, newPassword } = req.body;
 
-  if (!(currentPassword && newPassword)) {
+  const user = await User.findById(userId).select("+password");
+
+  if (!user) {
+    return next(new ApiError(401, "User not found"));
+  }
+
+  // Phone-only accounts have no password yet and may set a first one
+  if (!newPassword || (user.password && !currentPassword)) {
     throw new ApiError(
       400,
       "Both currentPassword and newPassword are required"
     );
   }
 
-  const user = await User.findById(userId).select("+password");
+  if (user.password && !(await user.comparePassword(currentPassword))) {
+    return next(new ApiError(401, "Current password is incorrect"));
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Sign out every other device, this one stays logged in
+  await revokeUserSessions(user._id, "password-changed", {
+    keepSessionId: req.authSession?._id,
+  });
+
+  return res.status(200).json({ message: "Password changed successfully" });
+});
+
+// Function to Request a Password Reset Link
+export const forgotPassword = catchAsyncHandler(async (req, res, next) => {
+  const { email } = req.body;
 
+  if (!email) {
+    return next(new ApiError(400, "Email is required"));
+  }
+
+  // Same answer whether or not the account exists
+  const response = {
+    message: "If that email is registered, a password reset link has been sent",
+  };
+
+  const user = await User.findOne({ email: email.toLowerCase() });
   if (!user) {
-    return next(new ApiError(401, "User not found"));
+    return res.status(200).json(response);
   }
 
-  const isPasswordCorrect = await user.comparePassword(currentPassword);
+  const resetToken = user.createPasswordResetToken();
+  await user.save();
 
-  if (!isPasswordCorrect) {
-    return next(new ApiError(401, "Current password is incorrect"));
+  const resetUrl = `${process.env.CLIENT_URL}/reset-password/${resetToken}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Password reset request",
+      text: `Hi ${user.name},\n\nUse the link below to reset your password. It expires shortly and can only be used once.\n\n${resetUrl}\n\nIf you did not request this, you can ignore this email.`,
+    });
+  } catch (error) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+    return next(new ApiError(500, "Could not send password reset email"));
   }
 
-  user.password = newPassword;
+  res.status(200).json(response);
+});
+
+// Function to Reset Password using a one-time Reset Token
+export const resetPassword = catchAsyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+  const { password } = req.body;
+
+  if (!token || !password) {
+    return next(new ApiError(400, "Reset token and new password are required"));
+  }
+
+  const user = await User.findOne({
+    passwordResetToken: hashToken(token),
+    passwordResetExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return next(new ApiError(400, "Reset token is invalid or has expired"));
+  }
+
+  user.password = password;
+  // The reset link reached the inbox, which proves the address
+  if (!user.emailVerified) user.markEmailVerified();
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
   await user.save();
 
-  return res.status(200).json({ message: "Password changed successfully" });
+  await revokeUserSessions(user._id, "password-reset");
+
+  res.status(200).json({ message: "Password has been reset successfully" });
+});
+
+// Function to Verify an Email Address using the link sent to it
+export const verifyEmail = catchAsyncHandler(async (req, res, next) => {
+  const { token } = req.params;
+
+  const user = await User.findOne({
+    emailVerificationToken: hashToken(token),
+    emailVerificationExpires: { $gt: new Date() },
+  });
+
+  if (!user) {
+    return next(
+      new ApiError(400, "Verification link is invalid or has expired")
+    );
+  }
+
+  user.markEmailVerified();
+  await user.save();
+
+  res.status(200).json({ message: "Email address verified successfully" });
 });
 
+// Function to Resend the Verification Email to the logged in User
+export const resendVerificationEmail = catchAsyncHandler(
+  async (req, res, next) => {
+    const user = await User.findById(req.user._id).select(
+      "+emailVerificationSentAt"
+    );
+
+    if (!user.email) {
+      return next(new ApiError(400, "No email address on this account"));
+    }
+
+    if (user.emailVerified) {
+      return next(new ApiError(400, "Email address is already verified"));
+    }
+
+    const retryAfter = getVerificationRetryAfter(user);
+    if (retryAfter > 0) {
+      res.set("Retry-After", String(retryAfter));
+      return next(
+        new ApiError(
+          429,
+          "A verification email was sent recently. Please try again later."
+        )
+      );
+    }
+
+    try {
+      await sendVerificationMail(user);
+    } catch (error) {
+      return next(new ApiError(500, "Could not send verification email"));
+    }
+
+    res.status(200).json({ message: "Verification email sent" });
+  }
+);
+
 // Function to List all Users (Access : Admin Only)
 export const listAllUsers = catchAsyncHandler(async (req, res, next) => {
   const userId = req.user._id;
@@ -199,10 +490,6 @@ export const listAllUsers = catchAsyncHandler(async (req, res, next) => {
     throw new ApiError(401, "User Authentication failed");
   }
 
-  if (req.user.role !== "admin") {
-    throw new ApiError(403, "Unauthorized Access: Access denied. Admins only.");
-  }
-
   const page = parseInt(req.query.page, 10) || 1;
   const limit = parseInt(req.query.limit, 10) || 20;
   const skip = (page - 1) * limit;
@@ -232,34 +519,58 @@ export const listAllUsers = catchAsyncHandler(async (req, res, next) => {
   });
 });
 
-// Update Role of A User (Access : Admin Only)
-const ALLOWED_ROLES = ["admin", "manager", "labourer"];
-
+// Update Role of A User (Access : Admin Only). Nobody can change their own
+// role or grant one that can do more than they can; a user who loses
+// permissions is signed out and their API keys are revoked.
 export const updateUserRole = catchAsyncHandler(async (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return next(new ApiError(403, "Access denied. Admins only."));
-  }
-
   const { userId, newRole } = req.body;
 
   if (!userId || !newRole) {
     return next(new ApiError(400, "User ID and new role are required"));
   }
 
-  if (!ALLOWED_ROLES.includes(newRole.toLowerCase())) {
-    return next(
-      new ApiError(400, `Role must be one of: ${ALLOWED_ROLES.join(", ")}`)
-    );
+  if (userId === req.user._id.toString()) {
+    return next(new ApiError(400, "You cannot change your own role"));
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ApiError(400, "Invalid user ID"));
+  }
+
+  await ensureSystemRoles();
+  const role = await Role.findOne({ name: newRole.toLowerCase() });
+  if (!role) {
+    return next(new ApiError(400, `Role '${newRole}' does not exist`));
   }
 
+  await assertCanGrantRole(req, role);
+
   const targetUser = await User.findById(userId);
   if (!targetUser) {
     return next(new ApiError(404, "User not found"));
   }
 
-  targetUser.role = newRole.toLowerCase();
+  const before = toAuditSnapshot(targetUser);
+  const previousPermissions = await getRolePermissions(targetUser.role);
+
+  targetUser.role = role.name;
   await targetUser.save();
 
+  if (losesPermissions(previousPermissions, role.permissions)) {
+    await revokeUserSessions(targetUser._id, "role-changed", {
+      revokedBy: req.user._id,
+    });
+    await revokeUserApiKeys(targetUser._id, req.user._id);
+  }
+
+  await recordAudit(req, {
+    action: "user.updateRole",
+    entity: "User",
+    entityId: targetUser._id,
+    before,
+    after: targetUser,
+  });
+
   const updatedUser = await User.findById(userId);
 
   res.status(200).json({
@@ -270,22 +581,226 @@ export const updateUserRole = catchAsyncHandler(async (req, res, next) => {
 
 //Function to delete User (Access : Admin Only)
 export const deleteUser = catchAsyncHandler(async (req, res, next) => {
-  if (req.user.role !== "admin") {
-    return next(new ApiError(403, "Access denied. Admins only."));
-  }
-
   const { userId } = req.params;
 
   if (!userId) {
     return next(new ApiError(400, "User ID is required"));
   }
 
+  if (userId === req.user._id.toString()) {
+    return next(new ApiError(400, "You cannot delete your own account"));
+  }
+
   const user = await User.findById(userId);
   if (!user) {
     return next(new ApiError(404, "User not found"));
   }
 
+  await revokeUserSessions(userId, "user-deleted");
   await User.findByIdAndDelete(userId);
 
+  // The labourer profile outlives the account, but not as active
+  await Labourer.updateMany(
+    { userId: user._id },
+    { $set: { status: "inactive" }, $unset: { userId: 1 } }
+  );
+
+  await recordAudit(req, {
+    action: "user.delete",
+    entity: "User",
+    entityId: user._id,
+    before: user,
+  });
+
   res.status(200).json({ message: "User deleted successfully" });
 });
+
+//Function to Deactivate a User, blocking login and ending sessions (Access : Admin Only)
+export const deactivateUser = catchAsyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { reason } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ApiError(400, "Invalid user ID"));
+  }
+
+  if (userId === req.user._id.toString()) {
+    return next(new ApiError(400, "You cannot deactivate your own account"));
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ApiError(404, "User not found"));
+  }
+
+  if (user.status === "inactive") {
+    return next(new ApiError(400, "User is already deactivated"));
+  }
+
+  const before = toAuditSnapshot(user);
+
+  // Sessions, refresh tokens and the linked labourer follow in the save hook
+  user.status = "inactive";
+  user.deactivatedAt = new Date();
+  user.deactivatedBy = req.user._id;
+  user.deactivationReason = reason;
+  await user.save();
+
+  await recordAudit(req, {
+    action: "user.deactivate",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  res.status(200).json({ message: "User deactivated successfully", user });
+});
+
+//Function to Reactivate a User (Access : Admin Only)
+export const reactivateUser = catchAsyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+  const { reactivateLabourer = false } = req.body || {};
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ApiError(400, "Invalid user ID"));
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ApiError(404, "User not found"));
+  }
+
+  if (user.status === "active") {
+    return next(new ApiError(400, "User is already active"));
+  }
+
+  const before = toAuditSnapshot(user);
+
+  user.status = "active";
+  user.deactivatedAt = undefined;
+  user.deactivatedBy = undefined;
+  user.deactivationReason = undefined;
+  await user.save();
+
+  // Labourers can be inactive for reasons of their own, so only on request
+  if (reactivateLabourer) {
+    await Labourer.updateMany(
+      { userId: user._id },
+      { $set: { status: "active" } }
+    );
+  }
+
+  await recordAudit(req, {
+    action: "user.reactivate",
+    entity: "User",
+    entityId: user._id,
+    before,
+    after: user,
+  });
+
+  res.status(200).json({ message: "User reactivated successfully", user });
+});
+
+//Function to Unlock an Account locked by failed logins (Access : Admin Only)
+export const unlockUser = catchAsyncHandler(async (req, res, next) => {
+  const { userId } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(userId)) {
+    return next(new ApiError(400, "Invalid user ID"));
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return next(new ApiError(404, "User not found"));
+  }
+
+  const { deletedCount } = await LoginThrottle.deleteOne({
+    key: accountKey(user),
+  });
+
+  await SecurityEvent.create({
+    type: "account-unlocked",
+    userId: user._id,
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+    performedBy: req.user._id,
+  });
+
+  res.status(200).json({
+    message: "User account unlocked successfully",
+    cleared: deletedCount > 0,
+  });
+});
+
+//Function to List Security Events such as Lockouts (Access : Admin Only)
+export const listSecurityEvents = catchAsyncHandler(async (req, res, next) => {
+  let {
+    type,
+    userId,
+    ip,
+    role,
+    startDate,
+    endDate,
+    page = 1,
+    limit = 20,
+  } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  if (type) {
+    const allowedTypes = ["account-locked", "ip-locked", "account-unlocked"];
+    if (!allowedTypes.includes(type)) {
+      return next(
+        new ApiError(400, `type must be one of: ${allowedTypes.join(", ")}`)
+      );
+    }
+    filters.type = type;
+  }
+
+  if (userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return next(new ApiError(400, "Invalid userId"));
+    }
+    filters.userId = userId;
+  }
+
+  if (ip) filters.ip = ip;
+  if (role) filters["details.role"] = role.toLowerCase();
+
+  if (startDate || endDate) {
+    filters.createdAt = {};
+    if (startDate) {
+      const start = new Date(startDate);
+      if (isNaN(start)) return next(new ApiError(400, "Invalid startDate"));
+      filters.createdAt.$gte = start;
+    }
+    if (endDate) {
+      const end = new Date(endDate);
+      if (isNaN(end)) return next(new ApiError(400, "Invalid endDate"));
+      filters.createdAt.$lte = end;
+    }
+  }
+
+  const total = await SecurityEvent.countDocuments(filters);
+  const events = await SecurityEvent.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ createdAt: -1 })
+    .populate({ path: "userId", select: "username email role" })
+    .populate({ path: "performedBy", select: "username email" });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: events.length,
+    },
+    events,
+  });
+});
@@ -0,0 +1,373 @@
+import WageRate from "../models/wageRate.model.js";
+import Labourer from "../models/labourer.model.js";
+import Project from "../models/project.model.js";
+import Skill, { SKILL_LEVELS } from "../models/skill.model.js";
+import ApiError from "../utils/error.js";
+import catchAsyncHandler from "../middlewares/catchAsyncHandler.js";
+import mongoose from "mongoose";
+import { recordAudit, toAuditSnapshot } from "../utils/audit.js";
+import {
+  getProjectScope,
+  getScopedLabourerIds,
+  assertProjectAccess,
+  assertLabourerAccess,
+} from "../utils/projectScope.js";
+import { startOfDay, endOfDay, dayBefore } from "../utils/dates.js";
+import {
+  RATE_SCOPE_FIELDS,
+  pickWageRate,
+  loadWageRates,
+  findOverlappingRates,
+} from "../utils/wageRates.js";
+
+const REFERENCES = {
+  labourerId: { model: Labourer, label: "Labourer" },
+  projectId: { model: Project, label: "Project" },
+  skillId: { model: Skill, label: "Skill" },
+};
+
+const parseDate = (value, field) => {
+  const date = new Date(value);
+  if (isNaN(date)) {
+    throw new ApiError(400, `Invalid ${field}`);
+  }
+  return date;
+};
+
+// Validate the scope, rate and period fields present in `body`
+const buildRateFields = async (body) => {
+  const fields = {};
+
+  for (const [field, { model, label }] of Object.entries(REFERENCES)) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null) {
+      fields[field] = null;
+      continue;
+    }
+    if (!mongoose.Types.ObjectId.isValid(body[field])) {
+      throw new ApiError(400, `Invalid ${field}`);
+    }
+    if (!(await model.exists({ _id: body[field] }))) {
+      throw new ApiError(404, `${label} not found`);
+    }
+    fields[field] = body[field];
+  }
+
+  if (body.level !== undefined) {
+    if (body.level !== null && !SKILL_LEVELS.includes(body.level)) {
+      throw new ApiError(
+        400,
+        `Level must be one of: ${SKILL_LEVELS.join(", ")}`
+      );
+    }
+    fields.level = body.level;
+  }
+
+  if (body.dailyRate !== undefined) {
+    if (typeof body.dailyRate !== "number" || body.dailyRate < 0) {
+      throw new ApiError(400, "dailyRate must be a positive number");
+    }
+    fields.dailyRate = body.dailyRate;
+  }
+
+  if (body.effectiveFrom !== undefined) {
+    fields.effectiveFrom = startOfDay(
+      parseDate(body.effectiveFrom, "effectiveFrom")
+    );
+  }
+  if (body.effectiveTo !== undefined) {
+    fields.effectiveTo =
+      body.effectiveTo === null
+        ? null
+        : endOfDay(parseDate(body.effectiveTo, "effectiveTo"));
+  }
+
+  if (body.notes !== undefined) fields.notes = body.notes;
+
+  return fields;
+};
+
+// Rates follow the project or labourer they are tied to. A rate without a
+// project applies on every project (a labourer's own rate outranks project
+// rates wherever they work), so setting one needs global scope.
+const assertRateAccess = async (req, { labourerId, projectId }) => {
+  const scope = await getProjectScope(req);
+  if (scope.global) return;
+
+  if (!projectId) {
+    throw new ApiError(
+      403,
+      labourerId
+        ? "Access denied: a labourer's rate must be tied to one of your projects"
+        : "Access denied: organisation-wide wage rates need global access"
+    );
+  }
+  await assertProjectAccess(req, projectId);
+  if (labourerId) {
+    await assertLabourerAccess(req, labourerId, { allowUnassigned: true });
+  }
+};
+
+const findRate = async (req) => {
+  const { id } = req.params;
+
+  if (!mongoose.Types.ObjectId.isValid(id)) {
+    throw new ApiError(400, "Invalid wage rate ID");
+  }
+
+  const rate = await WageRate.findById(id);
+  if (!rate) {
+    throw new ApiError(404, "Wage rate not found");
+  }
+  return rate;
+};
+
+const conflictError = (conflicts) =>
+  new ApiError(
+    409,
+    `Overlaps an existing rate for the same scope (${conflicts
+      .map((rate) => rate._id)
+      .join(", ")})`
+  );
+
+// Function to Create a Wage Rate. A new open-ended rate closes the open-ended
+// rate of the same scope the day before it takes effect (e.g. a raise).
+export const createWageRate = catchAsyncHandler(async (req, res, next) => {
+  if (req.body.dailyRate === undefined || !req.body.effectiveFrom) {
+    return next(new ApiError(400, "dailyRate and effectiveFrom are required"));
+  }
+
+  const fields = await buildRateFields(req.body);
+  await assertRateAccess(req, fields);
+
+  const overlapping = await findOverlappingRates(
+    fields,
+    fields.effectiveFrom,
+    fields.effectiveTo
+  );
+
+  const superseded = fields.effectiveTo
+    ? []
+    : overlapping.filter(
+        (rate) => !rate.effectiveTo && rate.effectiveFrom < fields.effectiveFrom
+      );
+  const conflicts = overlapping.filter((rate) => !superseded.includes(rate));
+  if (conflicts.length) {
+    return next(conflictError(conflicts));
+  }
+
+  for (const rate of superseded) {
+    const before = toAuditSnapshot(rate);
+    rate.effectiveTo = dayBefore(fields.effectiveFrom);
+    await rate.save();
+
+    await recordAudit(req, {
+      action: "wageRate.update",
+      entity: "WageRate",
+      entityId: rate._id,
+      before,
+      after: rate,
+    });
+  }
+
+  const wageRate = await WageRate.create({
+    ...fields,
+    createdBy: req.user._id,
+  });
+
+  await recordAudit(req, {
+    action: "wageRate.create",
+    entity: "WageRate",
+    entityId: wageRate._id,
+    after: wageRate,
+  });
+
+  res.status(201).json({
+    wageRate,
+    ...(superseded.length && { closedRates: superseded }),
+  });
+});
+
+// Function to List Wage Rates (filter by scope fields or the date in force)
+export const listWageRates = catchAsyncHandler(async (req, res, next) => {
+  let { activeOn, page = 1, limit = 20 } = req.query;
+
+  page = parseInt(page, 10) > 0 ? parseInt(page, 10) : 1;
+  limit = parseInt(limit, 10) > 0 ? parseInt(limit, 10) : 20;
+  const skip = (page - 1) * limit;
+
+  const filters = {};
+
+  for (const field of RATE_SCOPE_FIELDS) {
+    const value = req.query[field];
+    if (value === undefined) continue;
+    if (value === "none") {
+      filters[field] = null;
+    } else if (field !== "level" && !mongoose.Types.ObjectId.isValid(value)) {
+      return next(new ApiError(400, `Invalid ${field}`));
+    } else {
+      filters[field] = value;
+    }
+  }
+
+  if (activeOn) {
+    const date = parseDate(activeOn, "activeOn");
+    filters.effectiveFrom = { $lte: date };
+    filters.$or = [{ effectiveTo: null }, { effectiveTo: { $gte: date } }];
+  }
+
+  // Outside global scope: own projects, own labourers and organisation-wide
+  const scope = await getProjectScope(req);
+  if (!scope.global) {
+    filters.$and = [
+      {
+        $or: [
+          { projectId: { $in: scope.projectIds } },
+          { labourerId: { $in: await getScopedLabourerIds(req) } },
+          { projectId: null, labourerId: null },
+        ],
+      },
+    ];
+  }
+
+  const total = await WageRate.countDocuments(filters);
+
+  const wageRates = await WageRate.find(filters)
+    .skip(skip)
+    .limit(limit)
+    .sort({ effectiveFrom: -1 })
+    .populate({ path: "labourerId", select: "fullName" })
+    .populate({ path: "projectId", select: "name" })
+    .populate({ path: "skillId", select: "name category" });
+
+  res.status(200).json({
+    meta: {
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      pageSize: wageRates.length,
+    },
+    wageRates,
+  });
+});
+
+// Function to get a Wage Rate by ID
+export const getWageRateById = catchAsyncHandler(async (req, res, next) => {
+  const wageRate = await findRate(req);
+
+  // Anyone may read organisation-wide rates, the rest need their scope
+  const scope = await getProjectScope(req);
+  if (!scope.global) {
+    await assertProjectAccess(req, wageRate.projectId);
+    if (wageRate.labourerId) {
+      await assertLabourerAccess(req, wageRate.labourerId, {
+        allowUnassigned: true,
+      });
+    }
+  }
+
+  await wageRate.populate([
+    { path: "labourerId", select: "fullName" },
+    { path: "projectId", select: "name" },
+    { path: "skillId", select: "name category" },
+  ]);
+
+  res.status(200).json({ wageRate });
+});
+
+// Function to Update a Wage Rate (scope, amount or period)
+export const updateWageRate = catchAsyncHandler(async (req, res, next) => {
+  const wageRate = await findRate(req);
+  await assertRateAccess(req, wageRate);
+
+  const fields = await buildRateFields(req.body);
+  const before = toAuditSnapshot(wageRate);
+
+  wageRate.set(fields);
+  await assertRateAccess(req, wageRate);
+
+  const conflicts = await findOverlappingRates(
+    wageRate,
+    wageRate.effectiveFrom,
+    wageRate.effectiveTo,
+    wageRate._id
+  );
+  if (conflicts.length) {
+    return next(conflictError(conflicts));
+  }
+
+  await wageRate.save();
+
+  await recordAudit(req, {
+    action: "wageRate.update",
+    entity: "WageRate",
+    entityId: wageRate._id,
+    before,
+    after: wageRate,
+  });
+
+  res.status(200).json({ wageRate });
+});
+
+// Function to Delete a Wage Rate
+export const deleteWageRate = catchAsyncHandler(async (req, res, next) => {
+  const wageRate = await findRate(req);
+  await assertRateAccess(req, wageRate);
+
+  await WageRate.deleteOne({ _id: wageRate._id });
+
+  await recordAudit(req, {
+    action: "wageRate.delete",
+    entity: "WageRate",
+    entityId: wageRate._id,
+    before: wageRate,
+  });
+
+  res.status(200).json({ message: "Wage rate deleted successfully" });
+});
+
+// Function to show which Wage Rate a Labourer gets on a given date
+export const resolveWageRate = catchAsyncHandler(async (req, res, next) => {
+  const { labourerId, date } = req.query;
+
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) {
+    return next(new ApiError(400, "Invalid labourerId"));
+  }
+
+  const labourer = await Labourer.findById(labourerId).select(
+    "skills assignedProjectId"
+  );
+  if (!labourer) {
+    return next(new ApiError(404, "Labourer not found"));
+  }
+
+  await assertLabourerAccess(req, labourer._id, { allowUnassigned: true });
+
+  const projectId = req.query.projectId || labourer.assignedProjectId;
+  if (projectId && !mongoose.Types.ObjectId.isValid(projectId)) {
+    return next(new ApiError(400, "Invalid projectId"));
+  }
+
+  const on = date ? parseDate(date, "date") : new Date();
+
+  const rates = await loadWageRates({
+    start: on,
+    end: on,
+    labourerIds: [labourer._id],
+    projectIds: projectId ? [projectId] : [],
+  });
+
+  const wageRate = pickWageRate(
+    rates,
+    { labourerId: labourer._id, projectId, skills: labourer.skills },
+    on
+  );
+
+  res.status(200).json({
+    labourerId: labourer._id,
+    projectId: projectId || null,
+    date: on,
+    dailyRate: wageRate?.dailyRate ?? null,
+    wageRate,
+  });
+});
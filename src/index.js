@@ -2,9 +2,33 @@ import app from "./app.js";
 import { config } from "dotenv";
 import connectdb from "./config/database.js";
 import { v2 as cloudinary } from "cloudinary";
+import { backfillSearchIndex } from "./utils/labourerSearch.js";
+import { markLegacyEmailsVerified } from "./utils/emailVerification.js";
+import { ensureUniqueUserPhones } from "./utils/phoneOtp.js";
 
 config();
-connectdb();
+// One-off data fixes, safe to repeat: labourers saved before the search
+// index existed (or by an older version of it) are indexed here rather than
+// on every search, and accounts older than email verification are marked
+// verified. Phone logins are unsafe while accounts share a number, so the
+// server stops if they do.
+const startupMigrations = [
+  ensureUniqueUserPhones,
+  backfillSearchIndex,
+  markLegacyEmailsVerified,
+];
+const requiredMigrations = new Set([ensureUniqueUserPhones]);
+
+connectdb().then(async () => {
+  for (const migrate of startupMigrations) {
+    try {
+      await migrate();
+    } catch (error) {
+      console.log(`error in startup migration ${migrate.name} : `, error);
+      if (requiredMigrations.has(migrate)) process.exit(1);
+    }
+  }
+});
 
 cloudinary.config({
   cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
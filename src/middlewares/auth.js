@@ -1,23 +1,138 @@
 import ApiError from "../utils/error.js";
 import jwt from "jsonwebtoken";
 import User from "../models/user.model.js";
+import Session from "../models/session.model.js";
+import { getGrantedPermissions, hasPermission } from "../utils/permissions.js";
+import { isApiKey, findApiKey } from "../utils/apiKeys.js";
+
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// Access tokens come from the cookie set at login, or a Bearer header for
+// clients that cannot keep cookies
+export const extractAccessToken = (req) => {
+  if (req.cookies?.accessToken) return req.cookies.accessToken;
+
+  const header = req.headers.authorization;
+  if (header && header.startsWith("Bearer ")) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+// Machine clients send "Authorization: ApiKey <key>" instead
+const extractApiKey = (req) => {
+  const header = req.headers.authorization;
+  if (header && header.startsWith("ApiKey ")) {
+    return header.slice(7).trim();
+  }
+  return null;
+};
+
+// Requests made with an API key act as the user who created it
+const authenticateApiKey = async (req, key) => {
+  const apiKey = isApiKey(key) ? await findApiKey(key) : null;
+  if (!apiKey || !apiKey.isActive()) {
+    throw new ApiError(401, "Invalid or expired API key");
+  }
+
+  const owner = await User.findById(apiKey.createdBy);
+  if (!owner || owner.status !== "active") {
+    throw new ApiError(401, "API key owner is no longer active");
+  }
+
+  if (
+    !apiKey.lastUsedAt ||
+    Date.now() - apiKey.lastUsedAt.getTime() > LAST_SEEN_INTERVAL_MS
+  ) {
+    apiKey.lastUsedAt = new Date();
+    apiKey.lastUsedIp = req.ip;
+    await apiKey.save();
+  }
+
+  req.user = owner;
+  req.apiKey = apiKey;
+};
 
 export const isAuthenticated = async (req, res, next) => {
-  const { refreshToken } = req.cookies;
+  const apiKey = extractApiKey(req);
+  if (apiKey) {
+    try {
+      await authenticateApiKey(req, apiKey);
+    } catch (err) {
+      return next(err);
+    }
+    return next();
+  }
 
+  const accessToken = extractAccessToken(req);
+
+  if (!accessToken) {
+    return next(new ApiError(401, "Please LogIn"));
+  }
+
+  let decoded;
   try {
-    const decoded = jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+    decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET);
     req.user = await User.findById(decoded._id);
-    next();
   } catch (err) {
+    if (err.name === "TokenExpiredError") {
+      return next(
+        new ApiError(401, "Access token expired. Please refresh your session.")
+      );
+    }
+    return next(new ApiError(401, "Please LogIn"));
+  }
+
+  if (!req.user) {
     return next(new ApiError(401, "Please LogIn"));
   }
+
+  if (req.user.status !== "active") {
+    return next(new ApiError(401, "User account is deactivated"));
+  }
+
+  // Revoking a session must cut off its access tokens straight away
+  if (decoded.sid) {
+    const session = await Session.findById(decoded.sid);
+    if (!session || !session.isActive()) {
+      return next(new ApiError(401, "Session has been revoked"));
+    }
+
+    if (Date.now() - session.lastSeenAt.getTime() > LAST_SEEN_INTERVAL_MS) {
+      session.lastSeenAt = new Date();
+      session.ip = req.ip;
+      await session.save();
+    }
+    req.authSession = session;
+  }
+
+  next();
+};
+
+// Account self-service (password, sessions, 2FA) needs a real login
+export const rejectApiKey = (req, res, next) => {
+  if (req.apiKey) {
+    return next(new ApiError(403, "Not available when using an API key"));
+  }
+  next();
 };
 
-export const isAuthorized =
-  (...roles) =>
-  (req, res, next) => {
-    // Check if user is authenticated and has role info
+// Actions that lean on the account's email address wait until it is
+// verified; phone-only accounts have no address to check
+export const requireVerifiedEmail = (req, res, next) => {
+  if (req.user?.email && !req.user.emailVerified) {
+    return next(
+      new ApiError(403, "Please verify your email address to continue")
+    );
+  }
+  next();
+};
+
+// Allow the request only if the user's role (or the API key in use) grants
+// every listed permission
+export const isPermitted =
+  (...permissions) =>
+  async (req, res, next) => {
     if (!req.user) {
       return next(new ApiError(401, "User not authenticated "));
     }
@@ -26,16 +141,25 @@ export const isAuthorized =
       return next(new ApiError(401, "role not found"));
     }
 
-    // Check if user role is in allowed roles
-    if (!roles.includes(req.user.role)) {
+    let granted;
+    try {
+      granted = await getGrantedPermissions(req);
+    } catch (err) {
+      return next(err);
+    }
+
+    const missing = permissions.filter(
+      (permission) => !hasPermission(granted, permission)
+    );
+
+    if (missing.length) {
       return next(
         new ApiError(
-          403, // Forbidden is proper status for insufficient permissions
-          `Unauthorized Access: role '${req.user.role}' is not allowed`
+          403,
+          `Unauthorized Access: missing permission '${missing.join("', '")}'`
         )
       );
     }
 
-    // User has valid role to access route
     next();
   };
@@ -3,8 +3,12 @@ import ApiError from "../utils/error.js";
 export default (error, req, res, next) => {
   error.message = error.message || "internal server error";
   error.statusCode = error.statusCode || 500;
+  // Upload limits (file too large, unexpected field, ...) are client errors
+  if (error.name === "MulterError") {
+    error = new ApiError(400, error.message);
+  }
   if (error.name === "TokenExpiredError") {
-    error = new ApiError("Session expired. Please log in again.", 401);
+    error = new ApiError(401, "Session expired. Please log in again.");
   }
 
   res.status(error.statusCode).json({
@@ -1,5 +1,6 @@
 // middlewares/multer.js
 import multer from "multer";
+import ApiError from "../utils/error.js";
 
 // Use memory storage for direct buffer upload to cloudinary
 const storage = multer.memoryStorage();
@@ -9,7 +10,41 @@ const upload = multer({
   limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
   fileFilter: (req, file, cb) => {
     if (!file.mimetype.startsWith("image/")) {
-      return cb(new Error("Only image files are allowed!"), false);
+      return cb(new ApiError(400, "Only image files are allowed!"), false);
+    }
+    cb(null, true);
+  },
+});
+
+// Scanned documents (KYC etc.) may be images or PDFs
+export const documentUpload = multer({
+  storage,
+  limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+  fileFilter: (req, file, cb) => {
+    if (
+      !file.mimetype.startsWith("image/") &&
+      file.mimetype !== "application/pdf"
+    ) {
+      return cb(
+        new ApiError(400, "Only image or PDF files are allowed"),
+        false
+      );
+    }
+    cb(null, true);
+  },
+});
+
+// Bulk imports are spreadsheets, browsers disagree on the CSV mime type so
+// the extension decides
+export const importUpload = multer({
+  storage,
+  limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+  fileFilter: (req, file, cb) => {
+    if (!/\.(csv|xlsx)$/i.test(file.originalname)) {
+      return cb(
+        new ApiError(400, "Only .csv or .xlsx files are allowed"),
+        false
+      );
     }
     cb(null, true);
   },
@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// Credentials for machine clients (attendance terminals, payroll scripts).
+// Requests made with a key act as the admin who created it, limited to the
+// key's own permissions and projects.
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Name is required"],
+      trim: true,
+    },
+    prefix: {
+      type: String,
+      required: true,
+    }, // first characters of the key, shown so keys can be told apart
+    keyHash: {
+      type: String,
+      required: true,
+      select: false,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    projectIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Project",
+      },
+    ], // empty means not limited beyond the permissions
+    expiresAt: {
+      type: Date,
+    }, // no expiry when unset
+    lastUsedAt: {
+      type: Date,
+    },
+    lastUsedIp: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Creator is required"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.index({ keyHash: 1 }, { unique: true });
+
+apiKeySchema.methods.isActive = function () {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+
+export default ApiKey;
@@ -0,0 +1,59 @@
+import mongoose from "mongoose";
+
+// One interval of a labourer working on a project. The open interval
+// (endDate null) mirrors Labourer.assignedProjectId.
+const assignmentSchema = new mongoose.Schema(
+  {
+    labourerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Labourer",
+      required: [true, "Labourer ID is required"],
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      required: [true, "Project ID is required"],
+    },
+    role: {
+      type: String,
+      trim: true,
+    }, // role on site, e.g. mason, helper, supervisor
+    startDate: {
+      type: Date,
+      required: [true, "Start date is required"],
+    },
+    endDate: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.startDate || value >= this.startDate;
+        },
+        message: "endDate must be on or after startDate",
+      },
+    },
+    assignedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    endedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    inferred: {
+      type: Boolean,
+      default: false,
+    }, // reconstructed for assignments made before history was kept
+    notes: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+assignmentSchema.index({ labourerId: 1, startDate: -1 });
+assignmentSchema.index({ projectId: 1, startDate: 1, endDate: 1 });
+
+const Assignment = mongoose.model("Assignment", assignmentSchema);
+
+export default Assignment;
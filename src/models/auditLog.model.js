@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One entry per mutation. `before` and `after` only hold the fields that
+// changed (all fields for creates and deletes).
+const auditLogSchema = new mongoose.Schema(
+  {
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    actorRole: {
+      type: String,
+    },
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "ApiKey",
+    }, // set when the change came through an API key
+    action: {
+      type: String,
+      required: [true, "Action is required"],
+    }, // e.g. "attendance.update"
+    entity: {
+      type: String,
+      required: [true, "Entity is required"],
+    }, // model name, e.g. "Attendance"
+    entityId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: [true, "Entity ID is required"],
+    },
+    before: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    after: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditLogSchema.index({ entity: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ actor: 1, createdAt: -1 });
+auditLogSchema.index({ action: 1, createdAt: -1 });
+
+const AuditLog = mongoose.model("AuditLog", auditLogSchema);
+
+export default AuditLog;
@@ -0,0 +1,92 @@
+import mongoose from "mongoose";
+import crypto from "crypto";
+
+const invitationSchema = new mongoose.Schema(
+  {
+    email: {
+      type: String,
+      lowercase: true,
+      trim: true,
+      required: [true, "Email is required"],
+    },
+    name: {
+      type: String,
+    },
+    role: {
+      type: String,
+      lowercase: true,
+      required: [true, "Role is required"],
+    }, // name of a Role document, see config/permissions.js
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+    },
+    labourerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Labourer",
+    }, // existing labourer profile the new account gets linked to
+    tokenHash: {
+      type: String,
+      select: false,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    status: {
+      type: String,
+      enum: ["pending", "accepted", "revoked"],
+      default: "pending",
+    },
+    invitedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Inviter is required"],
+    },
+    sentCount: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    acceptedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    acceptedAt: {
+      type: Date,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    revokedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+invitationSchema.index({ tokenHash: 1 }, { unique: true, sparse: true });
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.methods.isPending = function () {
+  return this.status === "pending" && this.expiresAt > new Date();
+};
+
+// Generates a fresh one-time token (invalidating any earlier one) and pushes
+// the expiry forward. Returns the plain token for the invitation link.
+invitationSchema.methods.createInvitationToken = function (expiresInDays) {
+  const token = crypto.randomBytes(32).toString("hex");
+  const days = expiresInDays || Number(process.env.INVITATION_EXPIRES) || 7;
+
+  this.tokenHash = crypto.createHash("sha256").update(token).digest("hex");
+  this.expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+
+  return token;
+};
+
+const Invitation = mongoose.model("Invitation", invitationSchema);
+
+export default Invitation;
@@ -1,4 +1,32 @@
 import mongoose from "mongoose";
+import { SKILL_LEVELS } from "./skill.model.js";
+import { buildSearchIndex } from "../utils/searchTerms.js";
+
+export const BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+
+const labourerSkillSchema = new mongoose.Schema({
+  skillId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Skill",
+    required: [true, "Skill ID is required"],
+  },
+  level: {
+    type: String,
+    enum: SKILL_LEVELS,
+    required: [true, "Skill level is required"],
+  },
+  certificationNumber: {
+    type: String,
+    trim: true,
+  },
+  issuingBody: {
+    type: String,
+    trim: true,
+  },
+  certificationExpiry: {
+    type: Date,
+  },
+});
 
 const labourerSchema = new mongoose.Schema(
   {
@@ -28,6 +56,10 @@ const labourerSchema = new mongoose.Schema(
       type: String,
       required: [true, " Address is required"],
     },
+    bloodGroup: {
+      type: String,
+      enum: BLOOD_GROUPS,
+    },
     assignedProjectId: {
       type: mongoose.Schema.Types.ObjectId,
       ref: "Project",
@@ -39,7 +71,16 @@ const labourerSchema = new mongoose.Schema(
 
     skillType: {
       type: String,
-      required: [true, " Skill Type is required"],
+      required: [
+        function () {
+          return !this.skills?.length;
+        },
+        " Skill Type is required",
+      ],
+    }, // free-text trade, kept for records created before the skills catalog
+    skills: {
+      type: [labourerSkillSchema],
+      default: [],
     },
 
     status: {
@@ -47,9 +88,150 @@ const labourerSchema = new mongoose.Schema(
       enum: ["active", "inactive"],
       default: "inactive",
     },
+
+    // Only masked copies are readable, the full values sit encrypted in
+    // `encrypted` (see utils/sensitiveDetails.js)
+    bankDetails: {
+      encrypted: {
+        type: String,
+        select: false,
+      },
+      accountNumber: {
+        type: String,
+      },
+      ifsc: {
+        type: String,
+      },
+      accountHolderName: {
+        type: String,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+    emergencyContact: {
+      encrypted: {
+        type: String,
+        select: false,
+      },
+      name: {
+        type: String,
+      },
+      phone: {
+        type: String,
+      },
+      relation: {
+        type: String,
+        trim: true,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
+
+    // Derived terms for searchLabourers, rebuilt on every save
+    searchIndex: {
+      type: {
+        _id: false,
+        version: Number,
+        name: [String],
+        phonetic: [String],
+        grams: [String],
+        other: [String],
+        phone: String,
+      },
+      select: false,
+    },
+
+    // The printed ID card currently in use. Reissuing bumps the serial, which
+    // turns the QR code on every older card invalid (see utils/idCards.js).
+    idCard: {
+      serial: {
+        type: Number,
+      },
+      issuedAt: {
+        type: Date,
+      },
+      validUntil: {
+        type: Date,
+      },
+      issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+    },
+
+    // Soft delete, see the query hook below
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    deletedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+
+    // Files live in utils/storage, the URLs point at the API routes that
+    // serve them
+    profilePhoto: {
+      storage: {
+        type: String,
+      },
+      key: {
+        type: String,
+        select: false,
+      },
+      thumbnailKey: {
+        type: String,
+        select: false,
+      },
+      url: {
+        type: String,
+      },
+      thumbnailUrl: {
+        type: String,
+      },
+      updatedAt: {
+        type: Date,
+      },
+    },
   },
   {
     timestamps: true,
+    // Fields that are never selected by default stay out of responses even
+    // on a document that was just created or loaded with them
+    toJSON: {
+      transform: (doc, ret) => {
+        delete ret.searchIndex;
+        delete ret.bankDetails?.encrypted;
+        delete ret.emergencyContact?.encrypted;
+        return ret;
+      },
+    },
+  }
+);
+
+labourerSchema.index({ "skills.skillId": 1, "skills.level": 1 });
+labourerSchema.index({ "searchIndex.name": 1 });
+labourerSchema.index({ "searchIndex.phonetic": 1 });
+labourerSchema.index({ "searchIndex.grams": 1 });
+labourerSchema.index({ "searchIndex.other": 1 });
+labourerSchema.index({ "searchIndex.phone": 1 });
+labourerSchema.index({ "searchIndex.version": 1 });
+
+labourerSchema.pre("save", function () {
+  this.searchIndex = buildSearchIndex(this);
+});
+
+// Deleted labourers are left out of every read, populate included, so they
+// behave as if they were gone. Queries that filter on deletedAt themselves
+// (restore, purge, the deleted list) still see them.
+labourerSchema.pre(
+  ["find", "findOne", "findOneAndUpdate", "countDocuments", "distinct"],
+  function () {
+    if (this.getFilter().deletedAt === undefined) {
+      this.where({ deletedAt: null });
+    }
   }
 );
 
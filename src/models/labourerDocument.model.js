@@ -0,0 +1,81 @@
+import mongoose from "mongoose";
+
+export const DOCUMENT_TYPES = [
+  "idProof",
+  "addressProof",
+  "bankPassbook",
+  "policeVerification",
+  "other",
+];
+
+export const DOCUMENT_STATUSES = ["pending", "verified", "rejected"];
+
+const labourerDocumentSchema = new mongoose.Schema(
+  {
+    labourerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Labourer",
+      required: [true, "Labourer ID is required"],
+    },
+    type: {
+      type: String,
+      enum: DOCUMENT_TYPES,
+      required: [true, "Document type is required"],
+    },
+    documentNumber: {
+      type: String,
+      trim: true,
+    }, // e.g. the ID or account number printed on the document
+    file: {
+      storage: {
+        type: String,
+        required: true,
+      }, // backend the file was written to, see utils/storage
+      key: {
+        type: String,
+        required: true,
+        select: false,
+      },
+      originalName: {
+        type: String,
+      },
+      mimeType: {
+        type: String,
+        required: true,
+      },
+      size: {
+        type: Number,
+      },
+    },
+    status: {
+      type: String,
+      enum: DOCUMENT_STATUSES,
+      default: "pending",
+    }, // back to pending whenever the file is replaced
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    remarks: {
+      type: String,
+      maxlength: [500, "Remarks must be at most 500 characters long"],
+    },
+  },
+  { timestamps: true }
+);
+
+labourerDocumentSchema.index({ labourerId: 1, type: 1 });
+
+const LabourerDocument = mongoose.model(
+  "LabourerDocument",
+  labourerDocumentSchema
+);
+
+export default LabourerDocument;
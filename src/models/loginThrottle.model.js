@@ -0,0 +1,33 @@
+import mongoose from "mongoose";
+
+const loginThrottleSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Throttle key is required"],
+      unique: true,
+    }, // "account:<userId or identifier>" or "ip:<address>"
+    failures: {
+      type: Number,
+      default: 0,
+    },
+    lastFailureAt: {
+      type: Date,
+    },
+    lockedUntil: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Counters are forgotten once they have been quiet long enough
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const LoginThrottle = mongoose.model("LoginThrottle", loginThrottleSchema);
+
+export default LoginThrottle;
@@ -0,0 +1,45 @@
+import mongoose from "mongoose";
+
+// Login codes sent by SMS, one document per phone number. It also carries the
+// send counters used to rate-limit the number.
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    phone: {
+      type: Number,
+      required: [true, "Phone is required"],
+      unique: true,
+    },
+    codeHash: {
+      type: String,
+      select: false,
+    }, // cleared once the code is used
+    codeExpiresAt: {
+      type: Date,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    }, // wrong guesses against the current code
+    sendCount: {
+      type: Number,
+      default: 0,
+    }, // codes sent in the current window
+    windowStartedAt: {
+      type: Date,
+    },
+    lastSentAt: {
+      type: Date,
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PhoneOtp = mongoose.model("PhoneOtp", phoneOtpSchema);
+
+export default PhoneOtp;
@@ -0,0 +1,51 @@
+import mongoose from "mongoose";
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Token hash is required"],
+      unique: true,
+    }, // sha256 of the issued refresh token, the raw token is never stored
+    family: {
+      type: String,
+      required: [true, "Token family is required"],
+    }, // every token rotated from the same login shares one family
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+    replacedByHash: {
+      type: String,
+    },
+    createdByIp: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+
+// Let MongoDB clean up expired tokens on its own
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+refreshTokenSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+
+export default RefreshToken;
@@ -0,0 +1,34 @@
+import mongoose from "mongoose";
+
+const roleSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Role name is required"],
+      unique: true,
+      lowercase: true,
+      trim: true,
+      match: [
+        /^[a-z][a-z0-9_-]{1,31}$/,
+        "Role name must be 2-32 characters: letters, digits, '-' or '_'",
+      ],
+    },
+    description: {
+      type: String,
+      maxlength: 200,
+    },
+    permissions: {
+      type: [String],
+      default: [],
+    },
+    isSystem: {
+      type: Boolean,
+      default: false,
+    }, // built-in roles cannot be deleted
+  },
+  { timestamps: true }
+);
+
+const Role = mongoose.model("Role", roleSchema);
+
+export default Role;
@@ -42,6 +42,20 @@ const salarySchema = new mongoose.Schema(
       required: [true, "Status is required"],
       default: "pending",
     },
+    wageBreakdown: [
+      {
+        _id: false,
+        wageRateId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: "WageRate",
+        }, // null when the request's fallback dailyWage was used
+        dailyRate: Number,
+        days: Number,
+        amount: Number,
+        from: Date,
+        to: Date,
+      },
+    ], // one line per wage rate applied, set by payroll generation
     payslipUrl: {
       // (Under Development)
       type: String,
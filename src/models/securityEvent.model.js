@@ -0,0 +1,39 @@
+import mongoose from "mongoose";
+
+const securityEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["account-locked", "ip-locked", "account-unlocked"],
+      required: [true, "Event type is required"],
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    identifier: {
+      type: String,
+    }, // username/email the attempt was made with
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    details: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+  },
+  { timestamps: true }
+);
+
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ userId: 1, createdAt: -1 });
+
+const SecurityEvent = mongoose.model("SecurityEvent", securityEventSchema);
+
+export default SecurityEvent;
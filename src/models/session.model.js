@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// One session per login. Its _id is the family shared by every refresh token
+// rotated from that login, and is carried as `sid` in access tokens.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    device: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+    },
+    ip: {
+      type: String,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: () => new Date(),
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Expiry is required"],
+    }, // pushed forward whenever the refresh token is rotated
+    revokedAt: {
+      type: Date,
+    },
+    revokedReason: {
+      type: String,
+    },
+    revokedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function () {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const Session = mongoose.model("Session", sessionSchema);
+
+export default Session;
@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Setting key is required"],
+      unique: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+settingSchema.statics.getValue = async function (key, defaultValue) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { $set: { value, updatedBy } },
+    { new: true, upsert: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", settingSchema);
+
+export default Setting;
@@ -0,0 +1,67 @@
+import mongoose from "mongoose";
+
+export const SKILL_LEVELS = [
+  "helper",
+  "semi-skilled",
+  "skilled",
+  "highly-skilled",
+];
+
+// "Mason ", "mason" and "MASON" all map to the same catalog entry
+export const normalizeSkillName = (name) =>
+  String(name).trim().replace(/\s+/g, " ").toLowerCase();
+
+const skillSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, "Skill name is required"],
+      trim: true,
+    },
+    normalizedName: {
+      type: String,
+      required: true,
+    },
+    aliases: {
+      type: [String],
+      default: [],
+    }, // normalized alternative names, e.g. "masonry" for "Mason"
+    category: {
+      type: String,
+      required: [true, "Category is required"],
+      trim: true,
+      lowercase: true,
+    }, // e.g. civil, electrical, plumbing
+    description: {
+      type: String,
+    },
+    requiresCertification: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    }, // archived skills stay on labourers but cannot be newly assigned
+  },
+  { timestamps: true }
+);
+
+skillSchema.index({ normalizedName: 1 }, { unique: true });
+skillSchema.index({ aliases: 1 });
+
+skillSchema.pre("validate", function (next) {
+  if (this.isModified("name")) {
+    this.normalizedName = normalizeSkillName(this.name);
+  }
+  if (this.isModified("aliases")) {
+    this.aliases = [...new Set(this.aliases.map(normalizeSkillName))].filter(
+      (alias) => alias && alias !== this.normalizedName
+    );
+  }
+  next();
+});
+
+const Skill = mongoose.model("Skill", skillSchema);
+
+export default Skill;
@@ -0,0 +1,32 @@
+import mongoose from "mongoose";
+
+// Login challenges that have been used to sign in, kept until the challenge
+// token would have expired anyway so it cannot open a second session
+const twoFactorChallengeSchema = new mongoose.Schema(
+  {
+    jti: {
+      type: String,
+      required: [true, "Challenge ID is required"],
+      unique: true,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "User ID is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+twoFactorChallengeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const TwoFactorChallenge = mongoose.model(
+  "TwoFactorChallenge",
+  twoFactorChallengeSchema
+);
+
+export default TwoFactorChallenge;
@@ -1,6 +1,15 @@
 import mongoose from "mongoose";
 import bcrypt from "bcryptjs";
 import jwt from "jsonwebtoken";
+import crypto from "crypto";
+import RefreshToken from "./refreshToken.model.js";
+import Session from "./session.model.js";
+import Labourer from "./labourer.model.js";
+
+// Labourers may sign up with only a phone number and log in with an SMS code
+function hasNoPhone() {
+  return !this.phone;
+}
 
 const userSchema = new mongoose.Schema(
   {
@@ -15,26 +24,91 @@ const userSchema = new mongoose.Schema(
     email: {
       type: String,
       unique: true,
-      required: [true, "Email is required"],
+      sparse: true,
+      required: [hasNoPhone, "Email is required"],
     },
     password: {
       type: String,
-      required: [true, "Password is required"],
+      required: [hasNoPhone, "Password is required"],
+      select: false,
+    }, // hashed
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    }, // unverified addresses get no notifications
+    emailVerifiedAt: {
+      type: Date,
+    },
+    emailVerificationToken: {
+      type: String,
       select: false,
     }, // hashed
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: {
+      type: Date,
+      select: false,
+    },
     phone: {
       type: Number,
-    },
+      unique: true,
+      sparse: true,
+    }, // normalizePhone form; shared numbers stop startup, see index.js
 
     role: {
       type: String,
-      enum: ["admin", "manager", "labourer"],
+      lowercase: true,
       default: "labourer",
-    },
+    }, // name of a Role document, see config/permissions.js
     status: {
       type: String,
       enum: ["active", "inactive"],
       default: "active",
+    }, // inactive users cannot log in
+    deactivatedAt: {
+      type: Date,
+    },
+    deactivatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    deactivationReason: {
+      type: String,
+    },
+    twoFactor: {
+      enabled: {
+        type: Boolean,
+        default: false,
+      },
+      secret: {
+        type: String,
+        select: false,
+      },
+      pendingSecret: {
+        type: String,
+        select: false,
+      }, // set during enrolment until the first code is confirmed
+      backupCodes: {
+        type: [String],
+        select: false,
+      }, // hashed
+      lastUsedStep: {
+        type: Number,
+        select: false,
+      },
+      enabledAt: {
+        type: Date,
+      },
+    },
+    passwordResetToken: {
+      type: String,
+      select: false,
+    }, // hashed
+    passwordResetExpires: {
+      type: Date,
+      select: false,
     },
   },
   {
@@ -50,22 +124,104 @@ userSchema.pre("save", async function (next) {
   next();
 });
 
+// Deactivating an account ends all of its sessions and deactivates the
+// labourer profile linked to it
+userSchema.pre("save", function (next) {
+  this.$locals.deactivated =
+    !this.isNew && this.isModified("status") && this.status === "inactive";
+  next();
+});
+
+userSchema.post("save", async function () {
+  if (this.$locals.deactivated) {
+    const revoked = {
+      $set: { revokedAt: new Date(), revokedReason: "user-deactivated" },
+    };
+    await Promise.all([
+      Session.updateMany({ userId: this._id, revokedAt: null }, revoked),
+      RefreshToken.updateMany({ userId: this._id, revokedAt: null }, revoked),
+      Labourer.updateMany(
+        { userId: this._id, status: "active" },
+        { $set: { status: "inactive" } }
+      ),
+    ]);
+  }
+});
+
 userSchema.methods.comparePassword = async function (password) {
+  if (!this.password) return false;
   return await bcrypt.compare(password, this.password);
 };
 
-userSchema.methods.generateRefreshToken = function () {
+userSchema.methods.generateAccessToken = function (sessionId) {
+  return jwt.sign(
+    {
+      _id: this._id,
+      role: this.role,
+      sid: sessionId,
+    },
+    process.env.ACCESS_TOKEN_SECRET,
+    {
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRES || "15m",
+    }
+  );
+};
+
+// REFRESH_TOKEN_EXPIRES is configured in days
+userSchema.methods.generateRefreshToken = function (family) {
   return jwt.sign(
     {
       _id: this._id,
+      family,
+      jti: crypto.randomUUID(),
     },
     process.env.REFRESH_TOKEN_SECRET,
     {
-      expiresIn: process.env.REFRESH_TOKEN_EXPIRES * 24 * 60 * 60 * 1000,
+      expiresIn: `${Number(process.env.REFRESH_TOKEN_EXPIRES) || 7}d`,
     }
   );
 };
 
+// Returns the raw reset token, only its hash is kept on the user
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires = new Date(
+    Date.now() + (Number(process.env.PASSWORD_RESET_EXPIRES) || 15) * 60 * 1000
+  );
+
+  return resetToken;
+};
+
+// Returns the raw verification token, only its hash is kept on the user.
+// EMAIL_VERIFICATION_EXPIRES is configured in hours
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+  this.emailVerificationExpires = new Date(
+    Date.now() +
+      (Number(process.env.EMAIL_VERIFICATION_EXPIRES) || 24) * 60 * 60 * 1000
+  );
+  this.emailVerificationSentAt = new Date();
+
+  return verificationToken;
+};
+
+userSchema.methods.markEmailVerified = function () {
+  this.emailVerified = true;
+  this.emailVerifiedAt = new Date();
+  this.emailVerificationToken = undefined;
+  this.emailVerificationExpires = undefined;
+};
+
 const User = mongoose.model("User", userSchema);
 
 export default User;
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import { SKILL_LEVELS } from "./skill.model.js";
+
+// A daily rate applies to every attendance day it matches. Each optional
+// field narrows who it applies to, and the most specific match wins:
+// labourer > project > skill > level (see utils/wageRates.js).
+const wageRateSchema = new mongoose.Schema(
+  {
+    labourerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Labourer",
+      default: null,
+    }, // individual override
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Project",
+      default: null,
+    },
+    skillId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Skill",
+      default: null,
+    },
+    level: {
+      type: String,
+      enum: [...SKILL_LEVELS, null],
+      default: null,
+    },
+    dailyRate: {
+      type: Number,
+      required: [true, "Daily rate is required"],
+      min: [0, "Daily rate cannot be negative"],
+    },
+    effectiveFrom: {
+      type: Date,
+      required: [true, "effectiveFrom is required"],
+    }, // start of day, inclusive
+    effectiveTo: {
+      type: Date,
+      default: null,
+      validate: {
+        validator: function (value) {
+          return !value || !this.effectiveFrom || value >= this.effectiveFrom;
+        },
+        message: "effectiveTo must be on or after effectiveFrom",
+      },
+    }, // end of day, inclusive; null means open-ended
+    notes: {
+      type: String,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+wageRateSchema.index({ labourerId: 1, projectId: 1, effectiveFrom: 1 });
+wageRateSchema.index({ skillId: 1, level: 1, effectiveFrom: 1 });
+
+const WageRate = mongoose.model("WageRate", wageRateSchema);
+
+export default WageRate;
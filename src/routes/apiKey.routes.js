@@ -0,0 +1,50 @@
+import { Router } from "express";
+import {
+  createApiKey,
+  listApiKeys,
+  getApiKeyById,
+  updateApiKey,
+  revokeApiKey,
+} from "../controllers/apiKey.controller.js";
+
+import {
+  isAuthenticated,
+  isPermitted,
+  requireVerifiedEmail,
+} from "../middlewares/auth.js";
+
+const router = Router();
+
+router.post(
+  "/",
+  isAuthenticated,
+  requireVerifiedEmail,
+  isPermitted("apiKey:manage"),
+  createApiKey
+);
+
+router.get("/", isAuthenticated, isPermitted("apiKey:manage"), listApiKeys);
+
+router.get(
+  "/:id",
+  isAuthenticated,
+  isPermitted("apiKey:manage"),
+  getApiKeyById
+);
+
+router.patch(
+  "/:id",
+  isAuthenticated,
+  requireVerifiedEmail,
+  isPermitted("apiKey:manage"),
+  updateApiKey
+);
+
+router.delete(
+  "/:id",
+  isAuthenticated,
+  isPermitted("apiKey:manage"),
+  revokeApiKey
+);
+
+export default router;
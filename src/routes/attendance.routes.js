@@ -14,25 +14,30 @@ import {
   dashboardStats,
 } from "../controllers/attendance.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js"; // Adjust paths as needed
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js"; // Adjust paths as needed
 
 const router = Router();
 
 router.post(
   "/",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("attendance:mark"),
   markAttendance
 );
 
 router.put(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("attendance:update"),
   updateAttendance
 );
 
-router.delete("/:id", isAuthenticated, isAuthorized("admin"), deleteAttendance);
+router.delete(
+  "/:id",
+  isAuthenticated,
+  isPermitted("attendance:delete"),
+  deleteAttendance
+);
 
 router.get("/labourer/:labourerId", isAuthenticated, getAttendanceByLabourer);
 
@@ -43,7 +48,7 @@ router.get("/date", isAuthenticated, getAttendanceByDate);
 router.get(
   "/download",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("attendance:export"),
   bulkDownloadAttendance
 );
 
@@ -64,14 +69,14 @@ router.get(
 router.post(
   "/bulk",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("attendance:bulkAdd"),
   bulkAddAttendance
 );
 
 router.get(
   "/dashboard/stats",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("attendance:dashboard"),
   dashboardStats
 );
 
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import {
+  listAuditLogs,
+  getAuditLogById,
+} from "../controllers/audit.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.get("/", isAuthenticated, isPermitted("audit:view"), listAuditLogs);
+
+router.get("/:id", isAuthenticated, isPermitted("audit:view"), getAuditLogById);
+
+export default router;
@@ -0,0 +1,15 @@
+import { Router } from "express";
+import { verifyIdCard } from "../controllers/idCard.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.post(
+  "/verify",
+  isAuthenticated,
+  isPermitted("idCard:verify"),
+  verifyIdCard
+);
+
+export default router;
@@ -0,0 +1,48 @@
+import { Router } from "express";
+import {
+  createInvitation,
+  listInvitations,
+  resendInvitation,
+  revokeInvitation,
+  getInvitationByToken,
+  acceptInvitation,
+} from "../controllers/invitation.controller.js";
+
+import {
+  isAuthenticated,
+  isPermitted,
+  requireVerifiedEmail,
+} from "../middlewares/auth.js";
+
+const router = Router();
+
+// Public routes (the token is the credential)
+router.get("/accept/:token", getInvitationByToken);
+router.post("/accept/:token", acceptInvitation);
+
+router.post(
+  "/",
+  isAuthenticated,
+  requireVerifiedEmail,
+  isPermitted("user:invite"),
+  createInvitation
+);
+
+router.get("/", isAuthenticated, isPermitted("user:invite"), listInvitations);
+
+router.post(
+  "/:id/resend",
+  isAuthenticated,
+  requireVerifiedEmail,
+  isPermitted("user:invite"),
+  resendInvitation
+);
+
+router.delete(
+  "/:id",
+  isAuthenticated,
+  isPermitted("user:invite"),
+  revokeInvitation
+);
+
+export default router;
@@ -1,5 +1,5 @@
 import { Router } from "express";
-import upload from "../middlewares/multer.js";
+import upload, { documentUpload, importUpload } from "../middlewares/multer.js";
 
 import {
   createLabourer,
@@ -7,77 +7,250 @@ import {
   listLabourers,
   updateLabourer,
   deleteLabourer,
+  restoreLabourer,
+  purgeLabourer,
   assignLabourerToProject,
   changeLabourerStatus,
   searchLabourers,
   listLabourersByProject,
   attendanceSummary,
+  updateProfilePhoto,
+  deleteProfilePhoto,
+  getProfilePhoto,
+  getProfilePhotoThumbnail,
+  addLabourerSkill,
+  updateLabourerSkill,
+  removeLabourerSkill,
 } from "../controllers/labourer.controller.js";
+import {
+  uploadLabourerDocument,
+  listLabourerDocuments,
+  getLabourerDocumentById,
+  downloadLabourerDocument,
+  replaceLabourerDocument,
+  reviewLabourerDocument,
+  deleteLabourerDocument,
+} from "../controllers/labourerDocument.controller.js";
+import {
+  getLabourerAssignments,
+  updateAssignment,
+} from "../controllers/assignment.controller.js";
+import { importLabourers } from "../controllers/labourerImport.controller.js";
+import {
+  findDuplicateLabourers,
+  mergeLabourers,
+} from "../controllers/labourerMerge.controller.js";
+import {
+  updateBankDetails,
+  deleteBankDetails,
+  updateEmergencyContact,
+  deleteEmergencyContact,
+  revealLabourerDetails,
+} from "../controllers/labourerSensitive.controller.js";
+import { issueLabourerIdCard } from "../controllers/idCard.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 
 const router = Router();
 
 router.post(
   "/",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:create"),
   createLabourer
 );
-router.get(
-  "/",
+router.get("/", isAuthenticated, isPermitted("labourer:read"), listLabourers);
+router.post(
+  "/import",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
-  listLabourers
+  isPermitted("labourer:create"),
+  importUpload.single("file"),
+  importLabourers
 );
 router.get(
   "/search",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:read"),
   searchLabourers
 );
+router.get(
+  "/duplicates",
+  isAuthenticated,
+  isPermitted("labourer:read"),
+  findDuplicateLabourers
+);
 router.get(
   "/project/:projectId",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:read"),
   listLabourersByProject
 );
 router.get(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:read"),
   getLabourerById
 );
 router.put(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:update"),
   updateLabourer
 );
 router.delete(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:delete"),
   deleteLabourer
 );
+router.post(
+  "/:id/restore",
+  isAuthenticated,
+  isPermitted("labourer:delete"),
+  restoreLabourer
+);
+router.delete(
+  "/:id/purge",
+  isAuthenticated,
+  isPermitted("labourer:purge"),
+  purgeLabourer
+);
+router.post(
+  "/:id/merge",
+  isAuthenticated,
+  isPermitted("labourer:merge"),
+  mergeLabourers
+);
 router.patch(
   "/:id/status",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:changeStatus"),
   changeLabourerStatus
 );
 router.put(
   "/:labourerId/project",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:assign"),
   assignLabourerToProject
 );
-//router.put("/:id/profile-photo", isAuthenticated, isAuthorized("admin", "manager"), upload.single("photo"), updateProfilePhoto);
+router
+  .route("/:id/profile-photo")
+  .get(isAuthenticated, isPermitted("labourer:read"), getProfilePhoto)
+  .put(
+    isAuthenticated,
+    isPermitted("labourer:update"),
+    upload.single("photo"),
+    updateProfilePhoto
+  )
+  .delete(isAuthenticated, isPermitted("labourer:update"), deleteProfilePhoto);
+router.get(
+  "/:id/profile-photo/thumbnail",
+  isAuthenticated,
+  isPermitted("labourer:read"),
+  getProfilePhotoThumbnail
+);
+
+// Bank details and emergency contact, masked unless revealed
+router
+  .route("/:id/bank-details")
+  .put(isAuthenticated, isPermitted("labourer:update"), updateBankDetails)
+  .delete(isAuthenticated, isPermitted("labourer:update"), deleteBankDetails);
+router
+  .route("/:id/emergency-contact")
+  .put(isAuthenticated, isPermitted("labourer:update"), updateEmergencyContact)
+  .delete(
+    isAuthenticated,
+    isPermitted("labourer:update"),
+    deleteEmergencyContact
+  );
+router.get(
+  "/:id/sensitive-details",
+  isAuthenticated,
+  isPermitted("labourer:revealDetails"),
+  revealLabourerDetails
+);
+router.post(
+  "/:id/id-card",
+  isAuthenticated,
+  isPermitted("idCard:issue"),
+  issueLabourerIdCard
+);
+
 router.get(
   "/:labourerId/attendance-summary",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("labourer:read"),
   attendanceSummary
 );
+router.get(
+  "/:labourerId/assignments",
+  isAuthenticated,
+  isPermitted("labourer:read"),
+  getLabourerAssignments
+);
+router.patch(
+  "/:labourerId/assignments/:assignmentId",
+  isAuthenticated,
+  isPermitted("labourer:assign"),
+  updateAssignment
+);
+
+// Catalog skills held by a labourer
+router.post(
+  "/:id/skills",
+  isAuthenticated,
+  isPermitted("labourer:update"),
+  addLabourerSkill
+);
+router
+  .route("/:id/skills/:skillId")
+  .put(isAuthenticated, isPermitted("labourer:update"), updateLabourerSkill)
+  .delete(isAuthenticated, isPermitted("labourer:update"), removeLabourerSkill);
+
+// KYC and other documents
+router.post(
+  "/:labourerId/documents",
+  isAuthenticated,
+  isPermitted("document:upload"),
+  documentUpload.single("file"),
+  uploadLabourerDocument
+);
+router.get(
+  "/:labourerId/documents",
+  isAuthenticated,
+  isPermitted("document:read"),
+  listLabourerDocuments
+);
+router.get(
+  "/:labourerId/documents/:documentId",
+  isAuthenticated,
+  isPermitted("document:read"),
+  getLabourerDocumentById
+);
+router.get(
+  "/:labourerId/documents/:documentId/download",
+  isAuthenticated,
+  isPermitted("document:read"),
+  downloadLabourerDocument
+);
+router.put(
+  "/:labourerId/documents/:documentId",
+  isAuthenticated,
+  isPermitted("document:upload"),
+  documentUpload.single("file"),
+  replaceLabourerDocument
+);
+router.patch(
+  "/:labourerId/documents/:documentId/review",
+  isAuthenticated,
+  isPermitted("document:verify"),
+  reviewLabourerDocument
+);
+router.delete(
+  "/:labourerId/documents/:documentId",
+  isAuthenticated,
+  isPermitted("document:delete"),
+  deleteLabourerDocument
+);
 
 export default router;
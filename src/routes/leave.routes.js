@@ -9,46 +9,46 @@ import {
   addRemarkToLeaveRequest,
 } from "../controllers/leave.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 
 const router = Router();
 
-router.post("/apply", isAuthenticated, isAuthorized("labourer"), applyForLeave);
+router.post(
+  "/apply",
+  isAuthenticated,
+  isPermitted("leave:apply"),
+  applyForLeave
+);
 
 router.patch(
   "/:id/approve",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("leave:review"),
   approveLeave
 );
 
 router.patch(
   "/:id/reject",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("leave:review"),
   rejectLeave
 );
 
 router.get("/labourer/:labourerId", isAuthenticated, getLeaveStatusByLabourer);
 
-router.get(
-  "/",
-  isAuthenticated,
-  isAuthorized("admin", "manager"),
-  listLeaveRequests
-);
+router.get("/", isAuthenticated, isPermitted("leave:list"), listLeaveRequests);
 
 router.delete(
   "/:id/cancel",
   isAuthenticated,
-  isAuthorized("labourer"),
+  isPermitted("leave:cancel"),
   cancelLeaveRequest
 );
 
 router.put(
   "/:id/remark",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("leave:remark"),
   addRemarkToLeaveRequest
 );
 
@@ -0,0 +1,102 @@
+import { Router } from "express";
+import { getMyProfile, useOwnLabourer } from "../controllers/me.controller.js";
+import {
+  getAttendanceByLabourer,
+  getLabourerAttendanceSummary,
+} from "../controllers/attendance.controller.js";
+import {
+  applyForLeave,
+  getLeaveStatusByLabourer,
+  cancelLeaveRequest,
+} from "../controllers/leave.controller.js";
+import {
+  viewSalaryPayslipDetailsForLabourer,
+  salarySummaryByLabourer,
+  downloadPayslip,
+} from "../controllers/salary.controller.js";
+import { getPerformanceByLabourer } from "../controllers/performance.controller.js";
+import {
+  listLabourerDocuments,
+  downloadLabourerDocument,
+} from "../controllers/labourerDocument.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.get("/", isAuthenticated, getMyProfile);
+
+router.get(
+  "/attendance",
+  isAuthenticated,
+  useOwnLabourer,
+  getAttendanceByLabourer
+);
+router.get(
+  "/attendance/summary",
+  isAuthenticated,
+  useOwnLabourer,
+  getLabourerAttendanceSummary
+);
+
+router.get(
+  "/leaves",
+  isAuthenticated,
+  useOwnLabourer,
+  getLeaveStatusByLabourer
+);
+router.post(
+  "/leaves",
+  isAuthenticated,
+  isPermitted("leave:apply"),
+  useOwnLabourer,
+  applyForLeave
+);
+router.delete(
+  "/leaves/:id",
+  isAuthenticated,
+  isPermitted("leave:cancel"),
+  useOwnLabourer,
+  cancelLeaveRequest
+);
+
+router.get(
+  "/salaries",
+  isAuthenticated,
+  useOwnLabourer,
+  viewSalaryPayslipDetailsForLabourer
+);
+router.get(
+  "/salaries/summary",
+  isAuthenticated,
+  useOwnLabourer,
+  salarySummaryByLabourer
+);
+router.get(
+  "/salaries/:id/payslip",
+  isAuthenticated,
+  useOwnLabourer,
+  downloadPayslip
+);
+
+router.get(
+  "/performance",
+  isAuthenticated,
+  useOwnLabourer,
+  getPerformanceByLabourer
+);
+
+router.get(
+  "/documents",
+  isAuthenticated,
+  useOwnLabourer,
+  listLabourerDocuments
+);
+router.get(
+  "/documents/:documentId/download",
+  isAuthenticated,
+  useOwnLabourer,
+  downloadLabourerDocument
+);
+
+export default router;
@@ -7,14 +7,14 @@ import {
   deleteNotification,
 } from "../controllers/notification.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 
 const router = Router();
 
 router.post(
   "/",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("notification:create"),
   createNotification
 );
 
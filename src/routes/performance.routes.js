@@ -9,21 +9,21 @@ import {
   deletePerformanceRecord,
 } from "../controllers/performance.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 
 const router = Router();
 
 router.post(
   "/",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("performance:create"),
   createPerformanceRecord
 );
 
 router.put(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("performance:update"),
   updatePerformanceRecord
 );
 
@@ -38,7 +38,7 @@ router.get("/project/:projectId", isAuthenticated, getPerformanceByProject);
 router.delete(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin"),
+  isPermitted("performance:delete"),
   deletePerformanceRecord
 );
 
@@ -12,49 +12,58 @@ import {
   listProjectsByManager,
   listProjectsByLabourer,
 } from "../controllers/project.controller.js";
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { getProjectAssignments } from "../controllers/assignment.controller.js";
+import { issueProjectIdCards } from "../controllers/idCard.controller.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 
 const router = Router();
 
-router.post(
-  "/",
-  isAuthenticated,
-  isAuthorized("admin", "manager"),
-  createProject
-);
+router.post("/", isAuthenticated, isPermitted("project:create"), createProject);
 router.get("/", isAuthenticated, getAllProjects);
 router.get("/search", isAuthenticated, searchProjects);
 router.get("/manager/:managerId", isAuthenticated, listProjectsByManager);
 router.get("/labourer/:labourerId", isAuthenticated, listProjectsByLabourer);
 router.get("/:id", isAuthenticated, getProjectById);
+router.get(
+  "/:id/assignments",
+  isAuthenticated,
+  isPermitted("labourer:read"),
+  getProjectAssignments
+);
+router.post(
+  "/:id/id-cards",
+  isAuthenticated,
+  isPermitted("idCard:issue"),
+  issueProjectIdCards
+);
 router.put(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("project:update"),
   updateProject
 );
 router.put(
   "/:id/labourers",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("project:assignLabourers"),
   assignLabourersToProject
 );
 router.put(
   "/:id/manager",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("project:changeManager"),
   changeProjectManager
 );
 router.patch(
   "/:id/status",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("project:changeStatus"),
   changeProjectStatus
 );
 router.delete(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("project:delete"),
   deleteProject
 );
 
@@ -0,0 +1,42 @@
+import { Router } from "express";
+import {
+  listPermissions,
+  listRoles,
+  getRoleByName,
+  createRole,
+  updateRole,
+  deleteRole,
+} from "../controllers/role.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.get(
+  "/permissions",
+  isAuthenticated,
+  isPermitted("role:manage"),
+  listPermissions
+);
+
+router.get("/", isAuthenticated, isPermitted("role:manage"), listRoles);
+
+router.post("/", isAuthenticated, isPermitted("role:manage"), createRole);
+
+router.get(
+  "/:name",
+  isAuthenticated,
+  isPermitted("role:manage"),
+  getRoleByName
+);
+
+router.put("/:name", isAuthenticated, isPermitted("role:manage"), updateRole);
+
+router.delete(
+  "/:name",
+  isAuthenticated,
+  isPermitted("role:manage"),
+  deleteRole
+);
+
+export default router;
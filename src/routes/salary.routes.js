@@ -14,20 +14,20 @@ import {
   downloadPayslip,
 } from "../controllers/salary.controller.js";
 
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
 const router = Router();
 
 router.post(
   "/",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:create"),
   createSalaryRecord
 );
 
 router.put(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:update"),
   updateSalaryRecord
 );
 
@@ -38,14 +38,14 @@ router.get("/", isAuthenticated, listSalaryRecords);
 router.patch(
   "/:id/mark-paid",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:markPaid"),
   markSalaryAsPaid
 );
 
 router.delete(
   "/:id",
   isAuthenticated,
-  isAuthorized("admin"),
+  isPermitted("salary:delete"),
   deleteSalaryRecord
 );
 
@@ -53,7 +53,7 @@ router.delete(
 router.put(
   "/:id/payslip-url",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:payslip"),
   generatePayslipUrl
 );
 
@@ -66,14 +66,14 @@ router.get(
 router.get(
   "/summary/period",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:summary"),
   salarySummaryByPeriod
 );
 
 router.post(
   "/generate",
   isAuthenticated,
-  isAuthorized("admin", "manager"),
+  isPermitted("salary:generate"),
   generateSalaryForPeriod
 );
 
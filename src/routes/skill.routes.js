@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+  createSkill,
+  listSkills,
+  getSkillById,
+  updateSkill,
+  deleteSkill,
+} from "../controllers/skill.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.post("/", isAuthenticated, isPermitted("skill:manage"), createSkill);
+
+router.get("/", isAuthenticated, isPermitted("labourer:read"), listSkills);
+
+router.get("/:id", isAuthenticated, isPermitted("labourer:read"), getSkillById);
+
+router.put("/:id", isAuthenticated, isPermitted("skill:manage"), updateSkill);
+
+router.delete(
+  "/:id",
+  isAuthenticated,
+  isPermitted("skill:manage"),
+  deleteSkill
+);
+
+export default router;
@@ -3,36 +3,177 @@ import {
   register,
   login,
   logout,
+  refreshAccessToken,
   getCurrentUser,
   updateUser,
   changePassword,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerificationEmail,
   listAllUsers,
   updateUserRole,
   deleteUser,
+  deactivateUser,
+  reactivateUser,
+  unlockUser,
+  listSecurityEvents,
 } from "../controllers/user.controller.js";
-import { isAuthenticated, isAuthorized } from "../middlewares/auth.js";
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateBackupCodes,
+  setupTwoFactorChallenge,
+  verifyTwoFactorLogin,
+  getTwoFactorPolicy,
+  updateTwoFactorPolicy,
+} from "../controllers/twoFactor.controller.js";
+import {
+  requestLoginOtp,
+  loginWithOtp,
+} from "../controllers/otp.controller.js";
+import {
+  listMySessions,
+  revokeMySession,
+  revokeOtherSessions,
+  listUserSessions,
+  revokeUserSessionsByAdmin,
+} from "../controllers/session.controller.js";
+import {
+  getRegistrationPolicy,
+  updateRegistrationPolicy,
+} from "../controllers/invitation.controller.js";
+import {
+  isAuthenticated,
+  isPermitted,
+  rejectApiKey,
+  requireVerifiedEmail,
+} from "../middlewares/auth.js";
 
 const router = Router();
 
 // Public routes
 router.route("/register").post(register);
 router.route("/login").post(login);
+router.route("/login/2fa").post(verifyTwoFactorLogin);
+router.route("/login/2fa/setup").post(setupTwoFactorChallenge);
+router.route("/login/otp/request").post(requestLoginOtp);
+router.route("/login/otp").post(loginWithOtp);
+router.route("/refresh-token").post(refreshAccessToken);
+router.route("/logout").post(logout);
+router.route("/forgot-password").post(forgotPassword);
+router.route("/reset-password/:token").post(resetPassword);
+router.route("/verify-email/:token").post(verifyEmail);
 
 // Protected routes (Authentication Needed)
-router.route("/logout").post(isAuthenticated, logout);
 router.route("/profile").get(isAuthenticated, getCurrentUser);
-router.route("/profile").put(isAuthenticated, updateUser);
-router.route("/change-password").put(isAuthenticated, changePassword);
+router.route("/profile").put(isAuthenticated, rejectApiKey, updateUser);
+router
+  .route("/change-password")
+  .put(isAuthenticated, rejectApiKey, changePassword);
+router
+  .route("/resend-verification")
+  .post(isAuthenticated, rejectApiKey, resendVerificationEmail);
+
+// Session / device management
+router.route("/sessions").get(isAuthenticated, rejectApiKey, listMySessions);
+router
+  .route("/sessions/others")
+  .delete(isAuthenticated, rejectApiKey, revokeOtherSessions);
+router
+  .route("/sessions/:sessionId")
+  .delete(isAuthenticated, rejectApiKey, revokeMySession);
+
+// Two-factor authentication (Admins and Managers)
+router
+  .route("/2fa/setup")
+  .post(
+    isAuthenticated,
+    rejectApiKey,
+    requireVerifiedEmail,
+    isPermitted("account:twoFactor"),
+    setupTwoFactor
+  );
+router
+  .route("/2fa/enable")
+  .post(
+    isAuthenticated,
+    rejectApiKey,
+    requireVerifiedEmail,
+    isPermitted("account:twoFactor"),
+    enableTwoFactor
+  );
+router
+  .route("/2fa/disable")
+  .post(
+    isAuthenticated,
+    rejectApiKey,
+    isPermitted("account:twoFactor"),
+    disableTwoFactor
+  );
+router
+  .route("/2fa/backup-codes")
+  .post(
+    isAuthenticated,
+    rejectApiKey,
+    isPermitted("account:twoFactor"),
+    regenerateBackupCodes
+  );
 
 // Admin-only routes
+router
+  .route("/2fa/policy")
+  .get(
+    isAuthenticated,
+    isPermitted("security:managePolicy"),
+    getTwoFactorPolicy
+  )
+  .put(
+    isAuthenticated,
+    isPermitted("security:managePolicy"),
+    updateTwoFactorPolicy
+  );
+router
+  .route("/registration-policy")
+  .get(
+    isAuthenticated,
+    isPermitted("security:managePolicy"),
+    getRegistrationPolicy
+  )
+  .put(
+    isAuthenticated,
+    isPermitted("security:managePolicy"),
+    updateRegistrationPolicy
+  );
 router
   .route("/users")
-  .get(isAuthenticated, isAuthorized("admin"), listAllUsers);
+  .get(isAuthenticated, isPermitted("user:list"), listAllUsers);
 router
   .route("/users/role")
-  .put(isAuthenticated, isAuthorized("admin"), updateUserRole);
+  .put(isAuthenticated, isPermitted("user:updateRole"), updateUserRole);
 router
   .route("/users/:userId")
-  .delete(isAuthenticated, isAuthorized("admin"), deleteUser);
+  .delete(isAuthenticated, isPermitted("user:delete"), deleteUser);
+router
+  .route("/users/:userId/sessions")
+  .get(isAuthenticated, isPermitted("user:manageSessions"), listUserSessions)
+  .delete(
+    isAuthenticated,
+    isPermitted("user:manageSessions"),
+    revokeUserSessionsByAdmin
+  );
+router
+  .route("/users/:userId/deactivate")
+  .patch(isAuthenticated, isPermitted("user:changeStatus"), deactivateUser);
+router
+  .route("/users/:userId/reactivate")
+  .patch(isAuthenticated, isPermitted("user:changeStatus"), reactivateUser);
+router
+  .route("/users/:userId/unlock")
+  .patch(isAuthenticated, isPermitted("user:unlock"), unlockUser);
+router
+  .route("/security-events")
+  .get(isAuthenticated, isPermitted("security:viewEvents"), listSecurityEvents);
 
 export default router;
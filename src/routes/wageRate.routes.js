@@ -0,0 +1,52 @@
+import { Router } from "express";
+import {
+  createWageRate,
+  listWageRates,
+  getWageRateById,
+  updateWageRate,
+  deleteWageRate,
+  resolveWageRate,
+} from "../controllers/wageRate.controller.js";
+
+import { isAuthenticated, isPermitted } from "../middlewares/auth.js";
+
+const router = Router();
+
+router.post(
+  "/",
+  isAuthenticated,
+  isPermitted("wageRate:manage"),
+  createWageRate
+);
+
+router.get("/", isAuthenticated, isPermitted("wageRate:manage"), listWageRates);
+
+router.get(
+  "/resolve",
+  isAuthenticated,
+  isPermitted("wageRate:manage"),
+  resolveWageRate
+);
+
+router.get(
+  "/:id",
+  isAuthenticated,
+  isPermitted("wageRate:manage"),
+  getWageRateById
+);
+
+router.put(
+  "/:id",
+  isAuthenticated,
+  isPermitted("wageRate:manage"),
+  updateWageRate
+);
+
+router.delete(
+  "/:id",
+  isAuthenticated,
+  isPermitted("wageRate:manage"),
+  deleteWageRate
+);
+
+export default router;
@@ -0,0 +1,28 @@
+import crypto from "crypto";
+import ApiKey from "../models/apiKey.model.js";
+import { hashToken } from "./tokens.js";
+
+const KEY_PREFIX = "lmk";
+
+// Returns the plain key (shown once) with the values to store for it
+export const generateApiKey = () => {
+  const prefix = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}_${prefix}_${secret}`;
+
+  return { key, prefix: `${KEY_PREFIX}_${prefix}`, keyHash: hashToken(key) };
+};
+
+export const isApiKey = (value) =>
+  typeof value === "string" && value.startsWith(`${KEY_PREFIX}_`);
+
+export const findApiKey = (key) => ApiKey.findOne({ keyHash: hashToken(key) });
+
+// Revoke every active key a user created, returns how many were revoked
+export const revokeUserApiKeys = async (userId, revokedBy) => {
+  const { modifiedCount } = await ApiKey.updateMany(
+    { createdBy: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy } }
+  );
+  return modifiedCount;
+};
@@ -0,0 +1,113 @@
+import Assignment from "../models/assignment.model.js";
+import Labourer from "../models/labourer.model.js";
+import Project from "../models/project.model.js";
+import mongoose from "mongoose";
+import ApiError from "./error.js";
+
+const idOf = (value) => (value ? String(value?._id ?? value) : null);
+
+// Record a change of Labourer.assignedProjectId as of `date`: the open
+// interval is closed and, when there is a new project, a new one is opened.
+// Call it with the project the labourer had before the change.
+export const recordAssignmentChange = async ({
+  labourer,
+  fromProjectId,
+  toProjectId,
+  role,
+  date = new Date(),
+  notes,
+  actorId,
+}) => {
+  if (idOf(fromProjectId) === idOf(toProjectId)) return null;
+
+  const open = await Assignment.findOne({
+    labourerId: labourer._id,
+    endDate: null,
+  });
+
+  if (open && date < open.startDate) {
+    throw new ApiError(
+      400,
+      "The change cannot start before the current assignment began"
+    );
+  }
+
+  if (open) {
+    open.endDate = date;
+    open.endedBy = actorId;
+    await open.save();
+  } else if (fromProjectId) {
+    // Assigned before history was recorded, keep what we know about it
+    await Assignment.create({
+      labourerId: labourer._id,
+      projectId: fromProjectId,
+      startDate: new Date(
+        Math.min(labourer.joiningDate || labourer.createdAt || date, date)
+      ),
+      endDate: date,
+      endedBy: actorId,
+      inferred: true,
+    });
+  }
+
+  if (!toProjectId) return null;
+
+  return Assignment.create({
+    labourerId: labourer._id,
+    projectId: toProjectId,
+    role,
+    startDate: date,
+    assignedBy: actorId,
+    notes,
+  });
+};
+
+// Replace a project's labourer list. The list is an assignment like
+// Labourer.assignedProjectId, so labourers added are moved to the project
+// (and off other projects' lists) and labourers removed from it leave it,
+// each recorded as an assignment change. The caller saves the project.
+export const setProjectRoster = async ({ project, labourerIds, actorId }) => {
+  const current = new Set(project.assignedLabourers.map(idOf));
+  const wanted = new Set(labourerIds.map(idOf));
+
+  const added = [...wanted].filter((id) => !current.has(id));
+  const removed = [...current].filter((id) => !wanted.has(id));
+
+  for (const labourer of await Labourer.find({ _id: { $in: added } })) {
+    const fromProjectId = labourer.assignedProjectId;
+    if (idOf(fromProjectId) !== idOf(project._id)) {
+      labourer.assignedProjectId = project._id;
+      await labourer.save();
+      await recordAssignmentChange({
+        labourer,
+        fromProjectId,
+        toProjectId: project._id,
+        actorId,
+      });
+    }
+  }
+  if (added.length) {
+    await Project.updateMany(
+      { _id: { $ne: project._id }, assignedLabourers: { $in: added } },
+      { $pull: { assignedLabourers: { $in: added } } }
+    );
+  }
+
+  for (const labourer of await Labourer.find({
+    _id: { $in: removed },
+    assignedProjectId: project._id,
+  })) {
+    labourer.assignedProjectId = null;
+    await labourer.save();
+    await recordAssignmentChange({
+      labourer,
+      fromProjectId: project._id,
+      toProjectId: null,
+      actorId,
+    });
+  }
+
+  project.assignedLabourers = [...wanted].map(
+    (id) => new mongoose.Types.ObjectId(id)
+  );
+};
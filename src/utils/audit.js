@@ -0,0 +1,117 @@
+import AuditLog from "../models/auditLog.model.js";
+
+// Bookkeeping and derived data (search terms) that say nothing about a change
+const IGNORED_FIELDS = ["_id", "__v", "createdAt", "updatedAt", "searchIndex"];
+
+// Never copied into the audit trail
+const REDACTED_FIELDS = [
+  "password",
+  "passwordResetToken",
+  "passwordResetExpires",
+  "emailVerificationToken",
+  "emailVerificationExpires",
+  "twoFactor",
+  "tokenHash",
+  "keyHash",
+  "bankDetails.encrypted",
+  "emergencyContact.encrypted",
+];
+
+// Plain JSON copy of a document (populated refs reduced to their IDs), so it
+// can be taken before the document is modified
+export const toAuditSnapshot = (doc) => {
+  if (!doc) return null;
+
+  const plain =
+    typeof doc.toObject === "function"
+      ? doc.toObject({ depopulate: true })
+      : doc;
+  const snapshot = JSON.parse(JSON.stringify(plain));
+
+  for (const field of [...IGNORED_FIELDS, ...REDACTED_FIELDS]) {
+    const path = field.split(".");
+    const parent = path
+      .slice(0, -1)
+      .reduce((value, key) => value?.[key], snapshot);
+    if (parent) delete parent[path[path.length - 1]];
+  }
+  return snapshot;
+};
+
+// Keep only the fields whose value differs between the two snapshots
+export const diffSnapshots = (before, after) => {
+  if (!before || !after) {
+    return { before, after };
+  }
+
+  const diff = { before: {}, after: {} };
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+
+  for (const field of fields) {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff.before[field] = before[field];
+      diff.after[field] = after[field];
+    }
+  }
+  return diff;
+};
+
+// The AuditLog fields for an action by the caller of `req`. Use it with
+// AuditLog.create directly where the action must not go ahead unlogged.
+export const auditEntry = (
+  req,
+  { action, entity, entityId, before, after }
+) => ({
+  actor: req.user?._id,
+  actorRole: req.user?.role,
+  apiKeyId: req.apiKey?._id,
+  action,
+  entity,
+  entityId,
+  before,
+  after,
+  ip: req.ip,
+  userAgent: req.get?.("user-agent"),
+});
+
+// The entry for one change, null when nothing changed
+const buildAuditEntry = (req, { action, entity, entityId, before, after }) => {
+  const diff = diffSnapshots(toAuditSnapshot(before), toAuditSnapshot(after));
+
+  if (diff.before && diff.after && !Object.keys(diff.after).length) {
+    return null;
+  }
+  return auditEntry(req, { action, entity, entityId, ...diff });
+};
+
+// Write audit entries for a batch of mutations (bulk inserts, generated
+// records) in one go. `changes` take the same shape as recordAudit's.
+export const recordAudits = async (req, changes) => {
+  const entries = changes
+    .map((change) => buildAuditEntry(req, change))
+    .filter(Boolean);
+  if (!entries.length) return;
+
+  try {
+    await AuditLog.insertMany(entries);
+  } catch (error) {
+    console.error(
+      `Failed to write audit entries for ${entries[0].action}:`,
+      error
+    );
+  }
+};
+
+// Write an audit entry for a mutation. `before`/`after` may be documents or
+// snapshots; pass only `before` for deletes and only `after` for creates.
+// A failure here is logged rather than failing a change that already happened.
+export const recordAudit = async (req, change) => {
+  const entry = buildAuditEntry(req, change);
+  if (!entry) return;
+
+  try {
+    await AuditLog.create(entry);
+  } catch (error) {
+    console.error(`Failed to write audit entry for ${change.action}:`, error);
+  }
+};
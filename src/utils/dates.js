@@ -0,0 +1,16 @@
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// Day boundaries in UTC, matching how dates are stored
+export const startOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+};
+
+export const endOfDay = (value) => {
+  const date = new Date(value);
+  date.setUTCHours(23, 59, 59, 999);
+  return date;
+};
+
+export const dayBefore = (value) => endOfDay(startOfDay(value) - DAY_IN_MS);
@@ -0,0 +1,30 @@
+const PLATFORMS = [
+  ["Android", /android/i],
+  ["iPhone", /iphone/i],
+  ["iPad", /ipad/i],
+  ["Windows", /windows/i],
+  ["macOS", /mac os x|macintosh/i],
+  ["Linux", /linux/i],
+];
+
+const CLIENTS = [
+  ["Edge", /edg\//i],
+  ["Chrome", /chrome\//i],
+  ["Firefox", /firefox\//i],
+  ["Safari", /safari\//i],
+  ["Mobile App", /okhttp|dart|expo|cfnetwork/i],
+];
+
+const match = (list, userAgent) =>
+  list.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+// Short human readable label such as "Chrome on Android"
+export const describeDevice = (userAgent) => {
+  if (!userAgent) return "Unknown device";
+
+  const platform = match(PLATFORMS, userAgent);
+  const client = match(CLIENTS, userAgent);
+
+  if (client && platform) return `${client} on ${platform}`;
+  return client || platform || "Unknown device";
+};
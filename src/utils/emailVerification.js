@@ -0,0 +1,67 @@
+import User from "../models/user.model.js";
+import Setting from "../models/setting.model.js";
+import { sendMail } from "./mail/index.js";
+
+const RESEND_COOLDOWN_SECONDS = 60;
+
+const LEGACY_EMAILS_VERIFIED_KEY = "migrations.legacyEmailsVerified";
+
+// Seconds until another verification email may be sent, 0 when allowed
+export const getVerificationRetryAfter = (user) => {
+  if (!user.emailVerificationSentAt) return 0;
+
+  const elapsed = (Date.now() - user.emailVerificationSentAt.getTime()) / 1000;
+  return Math.max(0, Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed));
+};
+
+// Issue a fresh verification link and email it. The token is cleared again
+// when sending fails so a dead link is never left behind.
+export const sendVerificationMail = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save();
+
+  const verifyUrl = `${process.env.CLIENT_URL}/verify-email/${token}`;
+
+  try {
+    await sendMail({
+      to: user.email,
+      subject: "Verify your email address",
+      text: `Hi ${
+        user.name
+      },\n\nPlease confirm that this is your email address by opening the link below. It expires on ${user.emailVerificationExpires.toUTCString()}.\n\n${verifyUrl}\n\nIf you did not create an account, you can ignore this email.`,
+    });
+  } catch (error) {
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $unset: {
+          emailVerificationToken: 1,
+          emailVerificationExpires: 1,
+          emailVerificationSentAt: 1,
+        },
+      }
+    );
+    throw error;
+  }
+};
+
+// Accounts created before email verification existed signed up under the
+// old rules and would otherwise be locked out of invitations, API keys and
+// 2FA. They are the accounts that never had a verification email sent (the
+// stored emailVerified flag is no help, saving an old account writes its
+// default). Runs once at startup, a setting records that it is done.
+export const markLegacyEmailsVerified = async () => {
+  if (await Setting.getValue(LEGACY_EMAILS_VERIFIED_KEY)) return;
+
+  const { modifiedCount } = await User.updateMany(
+    {
+      email: { $exists: true, $ne: null },
+      emailVerified: { $ne: true },
+      emailVerificationSentAt: { $exists: false },
+    },
+    { $set: { emailVerified: true } }
+  );
+  await Setting.setValue(LEGACY_EMAILS_VERIFIED_KEY, new Date());
+
+  console.log(`Marked ${modifiedCount} existing accounts as email verified`);
+};
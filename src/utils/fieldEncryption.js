@@ -0,0 +1,57 @@
+import crypto from "crypto";
+import ApiError from "./error.js";
+
+const ALGORITHM = "aes-256-gcm";
+const VERSION = "v1";
+
+// FIELD_ENCRYPTION_KEY holds 32 random bytes, hex or base64 encoded, e.g.
+// `openssl rand -hex 32`
+const getKey = () => {
+  const raw = process.env.FIELD_ENCRYPTION_KEY || "";
+  const key = /^[0-9a-f]{64}$/i.test(raw)
+    ? Buffer.from(raw, "hex")
+    : Buffer.from(raw, "base64");
+
+  if (key.length !== 32) {
+    throw new ApiError(500, "Field encryption is not configured");
+  }
+  return key;
+};
+
+// Encrypt a JSON value into "v1.<iv>.<tag>.<ciphertext>" (base64url parts)
+export const encryptJson = (value) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(value), "utf8"),
+    cipher.final(),
+  ]);
+
+  return [VERSION, iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => (Buffer.isBuffer(part) ? part.toString("base64url") : part))
+    .join(".");
+};
+
+export const decryptJson = (payload) => {
+  const [version, iv, tag, ciphertext] = String(payload).split(".");
+  if (version !== VERSION || !ciphertext) {
+    throw new ApiError(500, "Stored value has an unknown encryption format");
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      ALGORITHM,
+      getKey(),
+      Buffer.from(iv, "base64url")
+    );
+    decipher.setAuthTag(Buffer.from(tag, "base64url"));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(ciphertext, "base64url")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch (error) {
+    if (error instanceof ApiError) throw error;
+    throw new ApiError(500, "Stored value could not be decrypted");
+  }
+};
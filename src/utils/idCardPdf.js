@@ -0,0 +1,212 @@
+import PDFDocument from "pdfkit";
+import QRCode from "qrcode";
+import { devanagariToLatin, hasDevanagari } from "./transliteration.js";
+
+// CR80, the usual ID card size, in points
+const CARD_WIDTH = 242.6;
+const CARD_HEIGHT = 153;
+
+// A4 print sheet, 2 x 5 cards with room to cut between them
+const SHEET_COLUMNS = 2;
+const SHEET_ROWS = 5;
+const SHEET_GAP = 8;
+
+const HEADER_HEIGHT = 22;
+const PHOTO_WIDTH = 56;
+const PHOTO_HEIGHT = 68;
+const QR_SIZE = 64;
+const PADDING = 8;
+const ACCENT = "#1f4e79";
+
+// The built-in PDF fonts have no Devanagari, such names are printed in
+// Latin letters instead
+const printable = (text) => {
+  const value = String(text ?? "");
+  if (!hasDevanagari(value)) return value;
+  return devanagariToLatin(value).replace(/\b\w/g, (c) => c.toUpperCase());
+};
+
+// Cut text that would run past `width` in the current font, so long names
+// and project names stay on their line
+const fitText = (doc, text, width) => {
+  if (doc.widthOfString(text) <= width) return text;
+
+  let fitted = text;
+  while (fitted && doc.widthOfString(`${fitted}...`) > width) {
+    fitted = fitted.slice(0, -1);
+  }
+  return `${fitted.trimEnd()}...`;
+};
+
+const formatDate = (date) =>
+  date.toLocaleDateString("en-GB", {
+    day: "2-digit",
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+
+const drawPhoto = (doc, x, y, photo) => {
+  if (photo) {
+    try {
+      doc.image(photo, x, y, {
+        fit: [PHOTO_WIDTH, PHOTO_HEIGHT],
+        align: "center",
+        valign: "center",
+      });
+      return;
+    } catch (error) {
+      console.error("Failed to place an ID card photo:", error);
+    }
+  }
+
+  doc.rect(x, y, PHOTO_WIDTH, PHOTO_HEIGHT).lineWidth(0.5).stroke("#999999");
+  doc
+    .font("Helvetica")
+    .fontSize(6)
+    .fillColor("#999999")
+    .text("No photo", x, y + PHOTO_HEIGHT / 2 - 3, {
+      width: PHOTO_WIDTH,
+      align: "center",
+    });
+};
+
+const drawCard = async (doc, x, y, card) => {
+  const { labourer, organisation, projectName, skill, photo, code } = card;
+
+  doc
+    .roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 6)
+    .lineWidth(0.75)
+    .stroke("#888888");
+
+  doc.save();
+  doc.roundedRect(x, y, CARD_WIDTH, CARD_HEIGHT, 6).clip();
+  doc.rect(x, y, CARD_WIDTH, HEADER_HEIGHT).fill(ACCENT);
+  doc.restore();
+  const headerWidth = CARD_WIDTH - 2 * PADDING;
+  doc.font("Helvetica-Bold").fontSize(9).fillColor("#ffffff");
+  doc.text(
+    fitText(doc, printable(organisation), headerWidth),
+    x + PADDING,
+    y + 7,
+    { width: headerWidth, lineBreak: false }
+  );
+
+  const top = y + HEADER_HEIGHT + PADDING;
+  drawPhoto(doc, x + PADDING, top, photo);
+
+  const textX = x + 2 * PADDING + PHOTO_WIDTH;
+  const textWidth = CARD_WIDTH - PHOTO_WIDTH - QR_SIZE - 4 * PADDING;
+  const line = { width: textWidth, lineBreak: false };
+
+  doc.font("Helvetica-Bold").fontSize(9).fillColor("#000000");
+  doc.text(
+    fitText(doc, printable(labourer.fullName), textWidth),
+    textX,
+    top,
+    line
+  );
+
+  let rowY = top + 16;
+  for (const [label, value] of [
+    ["Skill", skill],
+    ["Project", projectName],
+    ["Blood group", labourer.bloodGroup],
+    ["Valid until", formatDate(labourer.idCard.validUntil)],
+  ]) {
+    doc
+      .font("Helvetica")
+      .fontSize(6)
+      .fillColor("#666666")
+      .text(label.toUpperCase(), textX, rowY, line);
+    doc.font("Helvetica").fontSize(7.5).fillColor("#000000");
+    doc.text(
+      fitText(doc, printable(value || "-"), textWidth),
+      textX,
+      rowY + 7,
+      line
+    );
+    rowY += 18;
+  }
+
+  const qr = await QRCode.toBuffer(code, {
+    errorCorrectionLevel: "M",
+    margin: 0,
+    width: QR_SIZE * 4,
+  });
+  doc.image(qr, x + CARD_WIDTH - PADDING - QR_SIZE, top, {
+    width: QR_SIZE,
+    height: QR_SIZE,
+  });
+
+  doc
+    .font("Helvetica")
+    .fontSize(5.5)
+    .fillColor("#666666")
+    .text(
+      `ID ${labourer._id}  ·  Card ${labourer.idCard.serial}`,
+      x + PADDING,
+      y + CARD_HEIGHT - PADDING - 6,
+      { width: CARD_WIDTH - 2 * PADDING, lineBreak: false }
+    );
+};
+
+const toBuffer = (doc) =>
+  new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on("data", (chunk) => chunks.push(chunk));
+    doc.on("end", () => resolve(Buffer.concat(chunks)));
+    doc.on("error", reject);
+  });
+
+// One card per page at card size, or with `sheet` as many A4 pages of cards
+// as needed. Each card is { labourer, organisation, projectName, skill,
+// photo (image buffer or null), code }.
+export const renderIdCards = async (cards, { sheet = false } = {}) => {
+  const doc = new PDFDocument({
+    size: sheet ? "A4" : [CARD_WIDTH, CARD_HEIGHT],
+    margin: 0,
+    autoFirstPage: false,
+    info: { Title: sheet ? "ID cards" : "ID card" },
+  });
+  const done = toBuffer(doc);
+
+  if (!sheet) {
+    for (const card of cards) {
+      doc.addPage();
+      await drawCard(doc, 0, 0, card);
+    }
+  } else {
+    const perPage = SHEET_COLUMNS * SHEET_ROWS;
+    let left;
+    let top;
+
+    for (const [index, card] of cards.entries()) {
+      if (index % perPage === 0) {
+        doc.addPage();
+        const { width, height } = doc.page;
+        left =
+          (width -
+            SHEET_COLUMNS * CARD_WIDTH -
+            (SHEET_COLUMNS - 1) * SHEET_GAP) /
+          2;
+        top =
+          (height - SHEET_ROWS * CARD_HEIGHT - (SHEET_ROWS - 1) * SHEET_GAP) /
+          2;
+      }
+
+      const slot = index % perPage;
+      const column = slot % SHEET_COLUMNS;
+      const row = Math.floor(slot / SHEET_COLUMNS);
+      await drawCard(
+        doc,
+        left + column * (CARD_WIDTH + SHEET_GAP),
+        top + row * (CARD_HEIGHT + SHEET_GAP),
+        card
+      );
+    }
+  }
+
+  doc.end();
+  return done;
+};
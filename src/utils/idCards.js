@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import ApiError from "./error.js";
+
+// Printed in the QR code as "LC1.<labourerId>.<serial>.<validUntil>.<sig>",
+// short enough to stay a small, easily scanned code
+const CODE_VERSION = "LC1";
+const SIGNATURE_LENGTH = 22; // 128 bits of the HMAC, base64url
+const DEFAULT_VALIDITY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ID_CARD_SECRET signs the codes; changing it invalidates every printed card
+const getSecret = () => {
+  const secret = process.env.ID_CARD_SECRET;
+  if (!secret) {
+    throw new ApiError(500, "ID cards are not configured");
+  }
+  return secret;
+};
+
+// Called before a card is issued, so a missing secret fails the request
+// before anything is saved
+export const assertIdCardsConfigured = () => {
+  getSecret();
+};
+
+const sign = (payload) =>
+  crypto
+    .createHmac("sha256", getSecret())
+    .update(payload)
+    .digest("base64url")
+    .slice(0, SIGNATURE_LENGTH);
+
+const toDay = (date) => Math.floor(date.getTime() / DAY_MS).toString(36);
+
+// The code printed on a labourer's current card
+export const signCardCode = (labourer) => {
+  const { serial, validUntil } = labourer.idCard;
+  const payload = [
+    CODE_VERSION,
+    labourer._id,
+    serial.toString(36),
+    toDay(validUntil),
+  ].join(".");
+
+  return `${payload}.${sign(payload)}`;
+};
+
+// { labourerId, serial, validUntil } for a code we signed, null for anything
+// else (misread, edited or forged)
+export const readCardCode = (code) => {
+  const parts = String(code ?? "")
+    .trim()
+    .split(".");
+  if (parts.length !== 5 || parts[0] !== CODE_VERSION) return null;
+
+  const [, labourerId, serial, day, signature] = parts;
+  if (!mongoose.Types.ObjectId.isValid(labourerId)) return null;
+
+  const expected = Buffer.from(sign(parts.slice(0, 4).join(".")));
+  const given = Buffer.from(signature);
+  if (
+    given.length !== expected.length ||
+    !crypto.timingSafeEqual(given, expected)
+  ) {
+    return null;
+  }
+
+  return {
+    labourerId,
+    serial: parseInt(serial, 36),
+    // Valid through the whole of the last day
+    validUntil: new Date((parseInt(day, 36) + 1) * DAY_MS - 1),
+  };
+};
+
+// ID_CARD_VALIDITY_DAYS from today, but never past the end of the project
+// the labourer works on
+export const cardValidUntil = (project) => {
+  const days =
+    Number(process.env.ID_CARD_VALIDITY_DAYS) || DEFAULT_VALIDITY_DAYS;
+  const validUntil = new Date(Date.now() + days * DAY_MS);
+
+  if (project?.endDate && project.endDate > new Date()) {
+    return project.endDate < validUntil ? project.endDate : validUntil;
+  }
+  return validUntil;
+};
+
+export const hasValidCard = (labourer) =>
+  Boolean(labourer.idCard?.serial) && labourer.idCard.validUntil > new Date();
+
+// Give the labourer a new card unless the current one is still valid (or
+// always, with `reissue`). Returns whether a card was issued; the caller
+// saves the labourer.
+export const issueIdCard = (labourer, { project, actorId, reissue }) => {
+  if (!reissue && hasValidCard(labourer)) return false;
+
+  labourer.idCard = {
+    serial: (labourer.idCard?.serial ?? 0) + 1,
+    issuedAt: new Date(),
+    validUntil: cardValidUntil(project),
+    issuedBy: actorId,
+  };
+  return true;
+};
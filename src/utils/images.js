@@ -0,0 +1,34 @@
+import sharp from "sharp";
+import ApiError from "./error.js";
+
+const PHOTO_SIZE = 512;
+const THUMBNAIL_SIZE = 128;
+
+// Square JPEGs for the profile photo and its thumbnail. EXIF orientation is
+// applied first and the metadata (GPS etc.) is dropped with it.
+export const processProfilePhoto = async (buffer) => {
+  let image;
+  try {
+    image = sharp(buffer).rotate();
+    await image.metadata();
+  } catch (error) {
+    throw new ApiError(400, "Uploaded file is not a valid image");
+  }
+
+  const render = (size, quality) =>
+    image
+      .clone()
+      .resize(size, size, { fit: "cover", position: "attention" })
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer();
+
+  try {
+    const [photo, thumbnail] = await Promise.all([
+      render(PHOTO_SIZE, 85),
+      render(THUMBNAIL_SIZE, 75),
+    ]);
+    return { photo, thumbnail };
+  } catch (error) {
+    throw new ApiError(400, "Uploaded file is not a valid image");
+  }
+};
@@ -0,0 +1,28 @@
+import Setting from "../models/setting.model.js";
+import { sendMail } from "./mail/index.js";
+
+export const REGISTRATION_MODE_KEY = "registration.mode";
+
+// "labourer": anyone may sign up, always as a labourer
+// "disabled": accounts are only created through invitations
+export const REGISTRATION_MODES = ["labourer", "disabled"];
+
+export const getRegistrationMode = () =>
+  Setting.getValue(
+    REGISTRATION_MODE_KEY,
+    process.env.REGISTRATION_MODE || "labourer"
+  );
+
+export const sendInvitationMail = (invitation, token, inviter) => {
+  const acceptUrl = `${process.env.CLIENT_URL}/accept-invitation/${token}`;
+
+  return sendMail({
+    to: invitation.email,
+    subject: "You have been invited",
+    text: `Hi ${invitation.name || "there"},\n\n${
+      inviter.name
+    } has invited you to join as ${
+      invitation.role
+    }. Use the link below to set your password and activate your account. It expires on ${invitation.expiresAt.toUTCString()}.\n\n${acceptUrl}\n\nIf you were not expecting this, you can ignore this email.`,
+  });
+};
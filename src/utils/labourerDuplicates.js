@@ -0,0 +1,152 @@
+// Scores how likely two labourer records describe the same person. The
+// weights add up to 100: contact number 45, name 35, age 10, address 10.
+const WEIGHTS = { contactNumber: 45, name: 35, age: 10, address: 10 };
+
+// Names below this similarity are treated as different people
+const NAME_THRESHOLD = 0.75;
+
+// Name tokens shared by more labourers than this say nothing about a match
+const MAX_BLOCK_SIZE = 200;
+
+const HONORIFICS = new Set(["mr", "mrs", "ms", "shri", "sri", "smt", "kumari"]);
+
+const tokens = (value) =>
+  String(value ?? "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Lower case, no punctuation or titles, words in a fixed order so that
+// "Kumar Ramesh" and "Mr. Ramesh Kumar" compare equal
+export const normalizeName = (name) =>
+  tokens(name)
+    .filter((token) => !HONORIFICS.has(token))
+    .sort()
+    .join(" ");
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+export const nameSimilarity = (a, b) => {
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+  return 1 - levenshtein(a, b) / Math.max(a.length, b.length);
+};
+
+const addressSimilarity = (a, b) => {
+  const left = new Set(tokens(a));
+  const right = new Set(tokens(b));
+  if (!left.size || !right.size) return 0;
+
+  const shared = [...left].filter((token) => right.has(token)).length;
+  return shared / (left.size + right.size - shared);
+};
+
+// { score, reasons } for a pair of labourers (plain objects or documents)
+export const scoreDuplicatePair = (a, b) => {
+  const reasons = [];
+  let score = 0;
+
+  if (a.contactNumber && a.contactNumber === b.contactNumber) {
+    score += WEIGHTS.contactNumber;
+    reasons.push("same contact number");
+  }
+
+  const name = nameSimilarity(
+    normalizeName(a.fullName),
+    normalizeName(b.fullName)
+  );
+  if (name === 1) {
+    score += WEIGHTS.name;
+    reasons.push("same name");
+  } else if (name >= NAME_THRESHOLD) {
+    score += WEIGHTS.name * name;
+    reasons.push("similar name");
+  }
+
+  if (a.age && b.age) {
+    const gap = Math.abs(a.age - b.age);
+    if (gap <= 2) {
+      score += WEIGHTS.age;
+      reasons.push("same age");
+    } else if (gap <= 5) {
+      score += WEIGHTS.age / 2;
+      reasons.push("close age");
+    }
+  }
+
+  const address = addressSimilarity(a.address, b.address);
+  if (address > 0) {
+    score += WEIGHTS.address * address;
+    reasons.push(address === 1 ? "same address" : "similar address");
+  }
+
+  return { score: Math.round(score), reasons };
+};
+
+// Pairs worth scoring: records sharing a contact number or a name word.
+// Comparing every record with every other one does not scale past a few
+// thousand labourers.
+const candidatePairs = (labourers) => {
+  const blocks = new Map();
+  const addToBlock = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+
+  labourers.forEach((labourer, index) => {
+    if (labourer.contactNumber) {
+      addToBlock(`contact:${labourer.contactNumber}`, index);
+    }
+    for (const token of new Set(normalizeName(labourer.fullName).split(" "))) {
+      if (token.length >= 3) addToBlock(`name:${token}`, index);
+    }
+  });
+
+  const pairs = new Set();
+  for (const [key, members] of blocks) {
+    if (key.startsWith("name:") && members.length > MAX_BLOCK_SIZE) continue;
+    for (let i = 0; i < members.length; i++) {
+      for (let j = i + 1; j < members.length; j++) {
+        pairs.add(`${members[i]}:${members[j]}`);
+      }
+    }
+  }
+
+  return [...pairs].map((pair) =>
+    pair.split(":").map((index) => labourers[Number(index)])
+  );
+};
+
+// Likely duplicate pairs among `labourers`, best match first. With `target`
+// it is compared against every other labourer instead.
+export const findDuplicatePairs = (
+  labourers,
+  { target, minScore = 40 } = {}
+) => {
+  const pairs = target
+    ? labourers
+        .filter((labourer) => String(labourer._id) !== String(target._id))
+        .map((labourer) => [target, labourer])
+    : candidatePairs(labourers);
+
+  return pairs
+    .map(([a, b]) => ({ ...scoreDuplicatePair(a, b), labourers: [a, b] }))
+    .filter(({ score }) => score >= minScore)
+    .sort((x, y) => y.score - x.score);
+};
@@ -0,0 +1,329 @@
+import path from "path";
+import ExcelJS from "exceljs";
+import { parse } from "csv-parse/sync";
+import Labourer from "../models/labourer.model.js";
+import ApiError from "./error.js";
+import { buildLabourerSkill } from "./skills.js";
+import { normalizePhone, storedPhoneForms } from "./phoneOtp.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// Spreadsheet headers are matched case- and punctuation-insensitively
+const COLUMN_ALIASES = {
+  fullName: ["fullname", "name", "labourername"],
+  age: ["age"],
+  gender: ["gender", "sex"],
+  contactNumber: [
+    "contactnumber",
+    "contact",
+    "contactno",
+    "phone",
+    "phonenumber",
+    "mobile",
+    "mobilenumber",
+  ],
+  address: ["address"],
+  joiningDate: ["joiningdate", "dateofjoining", "doj"],
+  skillType: ["skilltype", "trade"],
+  skills: ["skills"],
+  skill: ["skill"],
+  level: ["level", "skilllevel"],
+  certificationNumber: ["certificationnumber", "certificateno"],
+  status: ["status"],
+};
+
+const ALLOWED_GENDERS = ["male", "female", "others"];
+const ALLOWED_STATUSES = ["active", "inactive"];
+
+const normalizeHeader = (header) =>
+  String(header ?? "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+const HEADER_FIELDS = Object.fromEntries(
+  Object.entries(COLUMN_ALIASES).flatMap(([field, aliases]) =>
+    aliases.map((alias) => [alias, field])
+  )
+);
+
+// Formulas, links and rich text are reduced to what the cell displays
+const cellValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date || typeof value !== "object") return value;
+  if (value.result !== undefined) return cellValue(value.result);
+  if (value.richText) return value.richText.map((part) => part.text).join("");
+  if (value.text !== undefined) return cellValue(value.text);
+  return "";
+};
+
+const readCsv = (buffer) => {
+  try {
+    return parse(buffer, {
+      bom: true,
+      relax_column_count: true,
+      trim: true,
+    });
+  } catch (error) {
+    throw new ApiError(400, `Could not read the CSV file: ${error.message}`);
+  }
+};
+
+const readXlsx = async (buffer) => {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch (error) {
+    throw new ApiError(400, "Could not read the XLSX file");
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const records = [];
+  sheet.eachRow({ includeEmpty: true }, (row, rowNumber) => {
+    const values = [];
+    row.eachCell({ includeEmpty: true }, (cell, column) => {
+      values[column - 1] = cellValue(cell.value);
+    });
+    records[rowNumber - 1] = Array.from(values, (value) => value ?? "");
+  });
+  return Array.from(records, (values) => values ?? []);
+};
+
+// Parse an uploaded .csv or .xlsx file (first sheet) into
+// { columns, ignoredColumns, rows: [{ row, values }] } where `row` is the line
+// number the user sees in their spreadsheet and `values` is keyed by field
+export const parseImportFile = async (file) => {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+
+  let records;
+  if (extension === ".csv") {
+    records = readCsv(file.buffer);
+  } else if (extension === ".xlsx") {
+    records = await readXlsx(file.buffer);
+  } else {
+    throw new ApiError(400, "Only .csv and .xlsx files can be imported");
+  }
+
+  const headerIndex = records.findIndex((values) =>
+    values.some((value) => String(value).trim() !== "")
+  );
+  if (headerIndex === -1) {
+    throw new ApiError(400, "The file is empty");
+  }
+
+  const headers = records[headerIndex].map(normalizeHeader);
+  const columns = {};
+  const ignoredColumns = [];
+  headers.forEach((header, index) => {
+    const field = HEADER_FIELDS[header];
+    if (field && columns[field] === undefined) {
+      columns[field] = index;
+    } else if (header) {
+      ignoredColumns.push(String(records[headerIndex][index]));
+    }
+  });
+
+  const rows = [];
+  for (let index = headerIndex + 1; index < records.length; index++) {
+    const record = records[index];
+    if (!record.some((value) => String(value).trim() !== "")) continue;
+
+    const values = {};
+    for (const [field, column] of Object.entries(columns)) {
+      const value = record[column];
+      values[field] = typeof value === "string" ? value.trim() : value;
+    }
+    rows.push({ row: index + 1, values });
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(
+      400,
+      `A file can hold at most ${MAX_IMPORT_ROWS} labourers, found ${rows.length}`
+    );
+  }
+
+  return { columns: Object.keys(columns), ignoredColumns, rows };
+};
+
+const isBlank = (value) =>
+  value === undefined || value === null || String(value).trim() === "";
+
+// Spreadsheets hold day-first dates (25/01/2024) as text, anything else goes
+// through Date
+const parseImportDate = (value) => {
+  if (value instanceof Date) return value;
+
+  const dayFirst = String(value).match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (dayFirst) {
+    const [, day, month, year] = dayFirst.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCDate() === day ? date : null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+};
+
+// Numbers are compared in the form users' phones are kept in, so a number
+// typed with the country code matches one stored without it
+const normalizeContactNumber = (value) =>
+  /^\+?[\d\s\-().]+$/.test(String(value).trim()) ? normalizePhone(value) : null;
+
+// "Mason:skilled; Welder:helper" in a `skills` column, or a single
+// skill/level/certificationNumber set of columns
+const skillInputs = (values) => {
+  const inputs = [];
+
+  if (!isBlank(values.skills)) {
+    for (const part of String(values.skills).split(/[;|]/)) {
+      if (!part.trim()) continue;
+      const [skill, level] = part.split(":").map((s) => s.trim());
+      inputs.push({ skill, level: level?.toLowerCase() });
+    }
+  }
+
+  if (!isBlank(values.skill)) {
+    inputs.push({
+      skill: String(values.skill),
+      level: String(values.level ?? "").toLowerCase(),
+      certificationNumber: isBlank(values.certificationNumber)
+        ? undefined
+        : String(values.certificationNumber),
+    });
+  }
+
+  return inputs;
+};
+
+// Validate one row with the rules createLabourer applies and return the
+// labourer fields ready to create, or the list of problems found
+export const validateImportRow = async (values) => {
+  const errors = [];
+  const data = {};
+
+  const required = ["fullName", "age", "gender", "contactNumber", "address"];
+  const missing = required.filter((field) => isBlank(values[field]));
+  const inputs = skillInputs(values);
+  if (isBlank(values.skillType) && !inputs.length) {
+    missing.push("skillType or skills");
+  }
+  if (missing.length) {
+    errors.push(`Missing ${missing.join(", ")}`);
+  }
+
+  if (!isBlank(values.fullName)) data.fullName = String(values.fullName);
+  if (!isBlank(values.address)) data.address = String(values.address);
+  if (!isBlank(values.skillType)) data.skillType = String(values.skillType);
+
+  if (!isBlank(values.age)) {
+    const age = Number(values.age);
+    if (!Number.isInteger(age) || age <= 0) {
+      errors.push("Age must be a whole number");
+    } else {
+      data.age = age;
+    }
+  }
+
+  if (!isBlank(values.gender)) {
+    const gender = String(values.gender).toLowerCase();
+    if (!ALLOWED_GENDERS.includes(gender)) {
+      errors.push(`Gender must be one of: ${ALLOWED_GENDERS.join(", ")}`);
+    } else {
+      data.gender = gender;
+    }
+  }
+
+  if (!isBlank(values.status)) {
+    const status = String(values.status).toLowerCase();
+    if (!ALLOWED_STATUSES.includes(status)) {
+      errors.push(`Status must be one of: ${ALLOWED_STATUSES.join(", ")}`);
+    } else {
+      data.status = status;
+    }
+  }
+
+  if (!isBlank(values.contactNumber)) {
+    const contactNumber = normalizeContactNumber(values.contactNumber);
+    if (!contactNumber) {
+      errors.push("Invalid contact number");
+    } else {
+      data.contactNumber = contactNumber;
+    }
+  }
+
+  if (!isBlank(values.joiningDate)) {
+    const joiningDate = parseImportDate(values.joiningDate);
+    if (!joiningDate) {
+      errors.push("Invalid joining date");
+    } else {
+      data.joiningDate = joiningDate;
+    }
+  }
+
+  const skills = [];
+  for (const input of inputs) {
+    try {
+      skills.push(await buildLabourerSkill(input));
+    } catch (error) {
+      if (!(error instanceof ApiError)) throw error;
+      errors.push(error.message);
+    }
+  }
+  const skillIds = skills.map(({ entry }) => String(entry.skillId));
+  if (new Set(skillIds).size !== skillIds.length) {
+    errors.push("Each skill can only be listed once");
+  }
+  data.skills = skills.map(({ entry }) => entry);
+  if (!data.skillType && skills.length) {
+    data.skillType = skills[0].skill.name;
+  }
+
+  if (!errors.length) {
+    const validationError = new Labourer(data).validateSync();
+    if (validationError) {
+      errors.push(
+        ...Object.values(validationError.errors).map((e) => e.message.trim())
+      );
+    }
+  }
+
+  return { data, errors };
+};
+
+// Mark rows whose contact number repeats an earlier row or an existing
+// labourer. `rows` are { row, data, errors } as built from validateImportRow.
+export const flagDuplicateContacts = async (rows) => {
+  const numbers = rows
+    .map(({ data }) => data.contactNumber)
+    .filter((number) => number !== undefined);
+
+  const existing = await Labourer.find({
+    contactNumber: { $in: numbers.flatMap(storedPhoneForms) },
+  }).select("contactNumber");
+  const existingByNumber = new Map(
+    existing.map((labourer) => [
+      normalizePhone(labourer.contactNumber),
+      labourer._id,
+    ])
+  );
+
+  const firstRow = new Map();
+  for (const entry of rows) {
+    const number = entry.data.contactNumber;
+    if (number === undefined) continue;
+
+    if (existingByNumber.has(number)) {
+      entry.duplicateOf = { labourerId: existingByNumber.get(number) };
+      entry.errors.push("A labourer with this contact number already exists");
+    } else if (firstRow.has(number)) {
+      entry.duplicateOf = { row: firstRow.get(number) };
+      entry.errors.push(
+        `Same contact number as row ${firstRow.get(number)} of the file`
+      );
+    } else {
+      firstRow.set(number, entry.row);
+    }
+  }
+};
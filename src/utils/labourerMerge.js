@@ -0,0 +1,297 @@
+import mongoose from "mongoose";
+import Labourer from "../models/labourer.model.js";
+import Attendance from "../models/attendance.model.js";
+import Performance from "../models/performance.model.js";
+import Salary from "../models/salary.model.js";
+import Leave from "../models/leave.model.js";
+import Assignment from "../models/assignment.model.js";
+import WageRate from "../models/wageRate.model.js";
+import LabourerDocument from "../models/labourerDocument.model.js";
+import Invitation from "../models/invitation.model.js";
+import Project from "../models/project.model.js";
+import ApiError from "./error.js";
+import { toAuditSnapshot } from "./audit.js";
+import { profilePhotoUrls, removeProfilePhotoFiles } from "./profilePhotos.js";
+import { SENSITIVE_GROUPS } from "./sensitiveDetails.js";
+import { findOverlappingRates } from "./wageRates.js";
+
+// Conflicts listed in the error message, the rest are only counted
+const MAX_LISTED_CONFLICTS = 5;
+
+// Collections that simply point at a labourer and follow them to the survivor
+const REFERENCING_MODELS = {
+  salaries: Salary,
+  leaves: Leave,
+  assignments: Assignment,
+  wageRates: WageRate,
+  documents: LabourerDocument,
+  invitations: Invitation,
+};
+
+const idOf = (value) => (value ? String(value?._id ?? value) : null);
+
+// What the driver reports when the server is a standalone MongoDB
+const isTransactionUnsupported = (error) =>
+  /Transaction numbers are only allowed/.test(error?.message ?? "");
+
+// Attendance and performance are unique per labourer and day. When both
+// records have an entry for the same slot the survivor's one is kept and the
+// duplicate's is deleted (its snapshot goes into the merge report).
+const moveUniqueRecords = async (
+  model,
+  keyFields,
+  { survivorId, duplicateId, session }
+) => {
+  const keyOf = (record) =>
+    keyFields.map((field) => String(record[field]?.valueOf())).join("|");
+
+  const taken = new Set(
+    (
+      await model
+        .find({ labourerId: survivorId })
+        .select(keyFields.join(" "))
+        .session(session)
+    ).map(keyOf)
+  );
+
+  const clashing = (
+    await model.find({ labourerId: duplicateId }).session(session)
+  ).filter((record) => taken.has(keyOf(record)));
+
+  if (clashing.length) {
+    await model.deleteMany(
+      { _id: { $in: clashing.map((r) => r._id) } },
+      { session }
+    );
+  }
+  const { modifiedCount } = await model.updateMany(
+    { labourerId: duplicateId },
+    { $set: { labourerId: survivorId } },
+    { session }
+  );
+
+  return { moved: modifiedCount, dropped: clashing.map(toAuditSnapshot) };
+};
+
+// Salaries and individual wage rates cannot simply be moved: two salaries
+// for the same days would pay the survivor twice, and two overrides in force
+// on the same day leave payroll unable to tell which applies. Those have to
+// be sorted out by hand before merging.
+const assertNoMergeConflicts = async ({ survivorId, duplicateId, session }) => {
+  const conflicts = [];
+
+  const salaries = await Salary.find({ labourerId: duplicateId })
+    .select("startPeriod endPeriod")
+    .session(session);
+  for (const salary of salaries) {
+    const overlapping = await Salary.findOne({
+      labourerId: survivorId,
+      startPeriod: { $lte: salary.endPeriod },
+      endPeriod: { $gte: salary.startPeriod },
+    })
+      .select("_id")
+      .session(session);
+    if (overlapping) {
+      conflicts.push(`salaries ${overlapping._id} and ${salary._id}`);
+    }
+  }
+
+  const rates = await WageRate.find({ labourerId: duplicateId }).session(
+    session
+  );
+  for (const rate of rates) {
+    const [overlapping] = await findOverlappingRates(
+      { ...rate.toObject(), labourerId: survivorId },
+      rate.effectiveFrom,
+      rate.effectiveTo
+    ).session(session);
+    if (overlapping) {
+      conflicts.push(`wage rates ${overlapping._id} and ${rate._id}`);
+    }
+  }
+
+  if (conflicts.length) {
+    const more = conflicts.length - MAX_LISTED_CONFLICTS;
+    const listed =
+      conflicts.slice(0, MAX_LISTED_CONFLICTS).join(", ") +
+      (more > 0 ? ` and ${more} more` : "");
+    throw new ApiError(
+      409,
+      `Both labourers have records for the same period, remove or correct one of each before merging: ${listed}`
+    );
+  }
+};
+
+// Only one interval may stay open: the one for the survivor's project
+const closeExtraOpenAssignments = async (
+  survivor,
+  { actorId, date, session }
+) => {
+  const open = await Assignment.find({
+    labourerId: survivor._id,
+    endDate: null,
+  })
+    .sort({ startDate: 1 })
+    .session(session);
+
+  const keep = open.find(
+    (assignment) =>
+      idOf(assignment.projectId) === idOf(survivor.assignedProjectId)
+  );
+
+  for (const assignment of open) {
+    if (assignment === keep) continue;
+    assignment.endDate = date;
+    assignment.endedBy = actorId;
+    await assignment.save();
+  }
+};
+
+// Details the survivor lacks are taken from the duplicate, nothing the
+// survivor already has is overwritten
+const fillSurvivorDetails = (survivor, duplicate) => {
+  for (const field of ["userId", "skillType"]) {
+    if (!survivor[field] && duplicate[field]) {
+      survivor[field] = duplicate[field];
+    }
+  }
+
+  if (
+    duplicate.joiningDate &&
+    (!survivor.joiningDate || duplicate.joiningDate < survivor.joiningDate)
+  ) {
+    survivor.joiningDate = duplicate.joiningDate;
+  }
+
+  for (const group of SENSITIVE_GROUPS) {
+    if (!survivor[group]?.encrypted && duplicate[group]?.encrypted) {
+      survivor[group] = duplicate.toObject()[group];
+    }
+  }
+
+  if (!survivor.assignedProjectId && duplicate.assignedProjectId) {
+    survivor.assignedProjectId = duplicate.assignedProjectId;
+  }
+  if (duplicate.status === "active") survivor.status = "active";
+
+  const held = new Set(survivor.skills.map((entry) => idOf(entry.skillId)));
+  for (const entry of duplicate.skills) {
+    if (!held.has(idOf(entry.skillId))) {
+      const { _id, ...skill } = entry.toObject();
+      survivor.skills.push(skill);
+    }
+  }
+};
+
+// Fold `duplicate` into `survivor`: every record pointing at the duplicate is
+// moved, missing details are filled in and the duplicate is deleted. Both
+// labourers must be loaded with their photo keys and sensitive details.
+// Everything happens in one transaction (MongoDB needs to run as a replica
+// set for that, merges fail with a 503 on a standalone server), so a failure
+// leaves both labourers as they were. Returns a
+// report of what was moved and dropped, for the response and the audit
+// trail.
+export const mergeLabourerRecords = async ({
+  survivor,
+  duplicate,
+  actorId,
+}) => {
+  if (idOf(survivor) === idOf(duplicate)) {
+    throw new ApiError(400, "A labourer cannot be merged into itself");
+  }
+  if (
+    survivor.userId &&
+    duplicate.userId &&
+    idOf(survivor.userId) !== idOf(duplicate.userId)
+  ) {
+    throw new ApiError(
+      409,
+      "Both labourers are linked to different user accounts"
+    );
+  }
+
+  const now = new Date();
+  const ids = { survivorId: survivor._id, duplicateId: duplicate._id };
+  let report;
+  let leftoverPhoto;
+
+  try {
+    await mongoose.connection.transaction(async (session) => {
+      const scope = { ...ids, session };
+      report = { moved: {}, dropped: {} };
+
+      await assertNoMergeConflicts(scope);
+
+      const attendance = await moveUniqueRecords(
+        Attendance,
+        ["projectId", "date", "shift"],
+        scope
+      );
+      const performance = await moveUniqueRecords(
+        Performance,
+        ["projectId", "date"],
+        scope
+      );
+      report.moved.attendance = attendance.moved;
+      report.moved.performance = performance.moved;
+      report.dropped.attendance = attendance.dropped;
+      report.dropped.performance = performance.dropped;
+
+      for (const [name, model] of Object.entries(REFERENCING_MODELS)) {
+        const { modifiedCount } = await model.updateMany(
+          { labourerId: duplicate._id },
+          { $set: { labourerId: survivor._id } },
+          { session }
+        );
+        report.moved[name] = modifiedCount;
+      }
+
+      const listedOn = { assignedLabourers: duplicate._id };
+      await Project.updateMany(
+        listedOn,
+        { $addToSet: { assignedLabourers: survivor._id } },
+        { session }
+      );
+      await Project.updateMany(
+        listedOn,
+        { $pull: { assignedLabourers: duplicate._id } },
+        { session }
+      );
+
+      fillSurvivorDetails(survivor, duplicate);
+
+      // The duplicate's photo is only kept when the survivor has none
+      const duplicatePhoto = duplicate.toObject().profilePhoto;
+      leftoverPhoto = duplicatePhoto;
+      if (!survivor.profilePhoto?.key && duplicatePhoto?.key) {
+        survivor.profilePhoto = {
+          ...duplicatePhoto,
+          ...profilePhotoUrls(survivor._id, duplicatePhoto.updatedAt || now),
+        };
+        leftoverPhoto = null;
+      }
+
+      await survivor.save({ session });
+      await Labourer.deleteOne({ _id: duplicate._id }, { session });
+
+      await closeExtraOpenAssignments(survivor, {
+        actorId,
+        date: now,
+        session,
+      });
+    });
+  } catch (error) {
+    if (isTransactionUnsupported(error)) {
+      throw new ApiError(
+        503,
+        "Merging labourers needs MongoDB to run as a replica set, ask an administrator to enable it"
+      );
+    }
+    throw error;
+  }
+
+  // Stored files are not part of the transaction, so they go once it is in
+  await removeProfilePhotoFiles(leftoverPhoto);
+
+  return report;
+};
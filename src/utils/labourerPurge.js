@@ -0,0 +1,70 @@
+import Labourer from "../models/labourer.model.js";
+import Attendance from "../models/attendance.model.js";
+import Performance from "../models/performance.model.js";
+import Salary from "../models/salary.model.js";
+import Leave from "../models/leave.model.js";
+import Assignment from "../models/assignment.model.js";
+import WageRate from "../models/wageRate.model.js";
+import LabourerDocument from "../models/labourerDocument.model.js";
+import Invitation from "../models/invitation.model.js";
+import Project from "../models/project.model.js";
+import { getFileStorage } from "./storage/index.js";
+import { removeProfilePhotoFiles } from "./profilePhotos.js";
+
+// Everything owned by a labourer, removed together with them
+const OWNED_MODELS = {
+  attendance: Attendance,
+  performance: Performance,
+  salaries: Salary,
+  leaves: Leave,
+  assignments: Assignment,
+  wageRates: WageRate,
+};
+
+// Remove a labourer (loaded with their photo keys) and every record pointing
+// at them, so nothing is left orphaned. Returns the number removed per kind.
+export const purgeLabourerRecords = async (labourer, actorId) => {
+  const removed = {};
+
+  for (const [name, model] of Object.entries(OWNED_MODELS)) {
+    const { deletedCount } = await model.deleteMany({
+      labourerId: labourer._id,
+    });
+    removed[name] = deletedCount;
+  }
+
+  const documents = await LabourerDocument.find({
+    labourerId: labourer._id,
+  }).select("+file.key");
+  await LabourerDocument.deleteMany({ labourerId: labourer._id });
+  removed.documents = documents.length;
+
+  // Left-over files are only logged, the records are already gone
+  for (const { file } of documents) {
+    try {
+      await getFileStorage(file.storage).remove(file.key);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${file.key}:`, error);
+    }
+  }
+  await removeProfilePhotoFiles(labourer.toObject().profilePhoto);
+
+  await Project.updateMany(
+    { assignedLabourers: labourer._id },
+    { $pull: { assignedLabourers: labourer._id } }
+  );
+  // A pending invitation without its labourer would be accepted as a
+  // manager invitation, so those are revoked rather than unlinked
+  await Invitation.updateMany(
+    { labourerId: labourer._id, status: "pending" },
+    { $set: { status: "revoked", revokedBy: actorId, revokedAt: new Date() } }
+  );
+  await Invitation.updateMany(
+    { labourerId: labourer._id },
+    { $unset: { labourerId: "" } }
+  );
+
+  await Labourer.deleteOne({ _id: labourer._id });
+
+  return removed;
+};
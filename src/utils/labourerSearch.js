@@ -0,0 +1,243 @@
+import Labourer from "../models/labourer.model.js";
+import Skill from "../models/skill.model.js";
+import Project from "../models/project.model.js";
+import { nameSimilarity } from "./labourerDuplicates.js";
+import {
+  SEARCH_INDEX_VERSION,
+  buildSearchIndex,
+  nameGrams,
+  phoneticKey,
+  searchTokens,
+} from "./searchTerms.js";
+
+const MAX_TERMS = 8;
+const BACKFILL_BATCH = 500;
+
+// What a query term is worth when it matches a given field, best match wins
+const SCORES = {
+  phone: 1,
+  nameExact: 1,
+  namePrefix: 0.6, // up to 1 as the prefix gets closer to the whole word
+  namePhonetic: 0.6, // plus up to 0.3 for the closer spellings
+  nameFuzzy: 0.7, // times the similarity
+  skill: 0.6,
+  project: 0.5,
+  otherExact: 0.5,
+  otherPrefix: 0.4,
+};
+const FUZZY_THRESHOLD = 0.75;
+// Shorter terms are matched by prefix only, their grams say too little
+const MIN_FUZZY_TERM_LENGTH = 4;
+// Terms this short would match most records through addresses, skills and
+// projects, so they only match the start of a name or phone number
+const MAX_SHORT_TERM_LENGTH = 2;
+
+const isShortTerm = (term) => term.length <= MAX_SHORT_TERM_LENGTH;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Records saved before the index existed (or with an older version of it)
+// are indexed in batches, run once at startup (see index.js)
+export const backfillSearchIndex = async () => {
+  for (;;) {
+    const stale = await Labourer.find({
+      "searchIndex.version": { $ne: SEARCH_INDEX_VERSION },
+    })
+      .select("fullName address skillType contactNumber")
+      .limit(BACKFILL_BATCH)
+      .lean();
+    if (!stale.length) return;
+
+    await Labourer.bulkWrite(
+      stale.map((labourer) => ({
+        updateOne: {
+          filter: { _id: labourer._id },
+          update: { $set: { searchIndex: buildSearchIndex(labourer) } },
+        },
+      }))
+    );
+  }
+};
+
+// Split a query into terms. Phone numbers may be typed with spaces or dashes
+// ("98765 432"), a query of only digits is one phone prefix.
+export const parseSearchQuery = (q) => {
+  const text = String(q ?? "").trim();
+
+  if (/^[\d\s\-+()]+$/.test(text)) {
+    const digits = text.replace(/\D/g, "");
+    return digits ? [digits] : [];
+  }
+
+  return [...new Set(searchTokens(text))].slice(0, MAX_TERMS);
+};
+
+// Catalog skills and projects each term names, as { term: Set of ids }
+export const resolveTermReferences = async (terms) => {
+  const skills = {};
+  const projects = {};
+
+  for (const term of terms) {
+    if (/^\d+$/.test(term)) continue;
+    if (isShortTerm(term)) {
+      skills[term] = new Set();
+      projects[term] = new Set();
+      continue;
+    }
+    const prefix = { $regex: `^${escapeRegex(term)}` };
+
+    skills[term] = new Set(
+      (
+        await Skill.find({
+          $or: [{ normalizedName: prefix }, { aliases: prefix }],
+        }).distinct("_id")
+      ).map(String)
+    );
+    projects[term] = new Set(
+      (
+        await Project.find({
+          name: { $regex: `\\b${escapeRegex(term)}`, $options: "i" },
+        }).distinct("_id")
+      ).map(String)
+    );
+  }
+
+  return { skills, projects };
+};
+
+// Mongo filter for every labourer that could match at least one term
+export const searchCandidateFilter = (terms, references) => {
+  const conditions = [];
+
+  for (const term of terms) {
+    const prefix = { $regex: `^${escapeRegex(term)}` };
+
+    if (isShortTerm(term)) {
+      conditions.push(
+        /^\d+$/.test(term)
+          ? { "searchIndex.phone": prefix }
+          : { "searchIndex.name": prefix }
+      );
+      continue;
+    }
+
+    if (/^\d+$/.test(term)) {
+      conditions.push(
+        { "searchIndex.phone": prefix },
+        { "searchIndex.other": term }
+      );
+      continue;
+    }
+
+    conditions.push(
+      { "searchIndex.name": prefix },
+      { "searchIndex.phonetic": phoneticKey(term) },
+      { "searchIndex.other": prefix }
+    );
+
+    // A name sharing two neighbouring letter triples with the term may be a
+    // misspelling of it ("ramseh" and "ramesh" share " ra" and "ram"); one
+    // typo leaves such a pair intact on at least one side of it
+    if (term.length >= MIN_FUZZY_TERM_LENGTH) {
+      const grams = nameGrams(term);
+      for (let i = 0; i + 1 < grams.length; i++) {
+        conditions.push({
+          "searchIndex.grams": { $all: [grams[i], grams[i + 1]] },
+        });
+      }
+    }
+
+    const skillIds = [...references.skills[term]];
+    if (skillIds.length) {
+      conditions.push({ "skills.skillId": { $in: skillIds } });
+    }
+    const projectIds = [...references.projects[term]];
+    if (projectIds.length) {
+      conditions.push({ assignedProjectId: { $in: projectIds } });
+    }
+  }
+
+  return { $or: conditions };
+};
+
+const scoreName = (term, nameTokens) => {
+  let best = null;
+  const keep = (score, match) => {
+    if (!best || score > best.score) best = { score, match };
+  };
+
+  const code = phoneticKey(term);
+  for (const token of nameTokens) {
+    if (token === term) {
+      keep(SCORES.nameExact, "name");
+    } else if (token.startsWith(term)) {
+      keep(
+        SCORES.namePrefix +
+          (SCORES.nameExact - SCORES.namePrefix) * (term.length / token.length),
+        "name prefix"
+      );
+    }
+    const similarity = nameSimilarity(term, token);
+    if (code && phoneticKey(token) === code) {
+      keep(SCORES.namePhonetic + 0.3 * similarity, "name sounds like");
+    }
+    if (similarity >= FUZZY_THRESHOLD) {
+      keep(SCORES.nameFuzzy * similarity, "similar name");
+    }
+  }
+
+  return best;
+};
+
+// { score: 0-100, matches } for a labourer loaded with its searchIndex. The
+// score is the average over the query terms of each term's best match.
+export const scoreSearchResult = (labourer, terms, references) => {
+  const index = labourer.searchIndex ?? buildSearchIndex(labourer);
+  const skillIds = (labourer.skills ?? []).map((entry) =>
+    String(entry.skillId?._id ?? entry.skillId)
+  );
+  const projectId = String(
+    labourer.assignedProjectId?._id ?? labourer.assignedProjectId
+  );
+
+  let total = 0;
+  const matches = new Set();
+
+  for (const term of terms) {
+    const candidates = [];
+
+    if (/^\d+$/.test(term)) {
+      if (index.phone?.startsWith(term)) {
+        candidates.push({ score: SCORES.phone, match: "phone" });
+      }
+    } else {
+      const name = scoreName(term, index.name ?? []);
+      if (name) candidates.push(name);
+
+      if (skillIds.some((id) => references.skills[term].has(id))) {
+        candidates.push({ score: SCORES.skill, match: "skill" });
+      }
+      if (references.projects[term].has(projectId)) {
+        candidates.push({ score: SCORES.project, match: "project" });
+      }
+    }
+
+    const other = index.other ?? [];
+    if (other.includes(term)) {
+      candidates.push({ score: SCORES.otherExact, match: "address or trade" });
+    } else if (!/^\d+$/.test(term) && other.some((t) => t.startsWith(term))) {
+      candidates.push({ score: SCORES.otherPrefix, match: "address or trade" });
+    }
+
+    const best = candidates.sort((a, b) => b.score - a.score)[0];
+    if (best) {
+      total += best.score;
+      matches.add(best.match);
+    }
+  }
+
+  return {
+    score: Math.round((100 * total) / terms.length),
+    matches: [...matches],
+  };
+};
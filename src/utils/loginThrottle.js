@@ -0,0 +1,126 @@
+import LoginThrottle from "../models/loginThrottle.model.js";
+import SecurityEvent from "../models/securityEvent.model.js";
+
+const MINUTE_IN_MS = 60 * 1000;
+
+// Failures allowed before delays kick in, then each further failure doubles
+// the wait (capped), and hitting the max locks the key for a while
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+const MAX_ACCOUNT_FAILURES = 10;
+const MAX_IP_FAILURES = 50;
+const LOCK_MINUTES = 15;
+const FORGET_AFTER_MINUTES = 60;
+
+export const accountKey = (user, identifier) =>
+  user ? `account:${user._id}` : `account:${String(identifier).toLowerCase()}`;
+
+const ipKey = (ip) => `ip:${ip}`;
+
+const delaySeconds = (failures) =>
+  failures <= FREE_ATTEMPTS
+    ? 0
+    : Math.min(2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+
+// Returns the number of seconds the caller must wait, or 0 when a login
+// attempt may go ahead
+export const getLoginRetryAfter = async ({ account, ip }) => {
+  const now = Date.now();
+  const throttles = await LoginThrottle.find({
+    key: { $in: [account, ipKey(ip)] },
+  });
+
+  let retryAfter = 0;
+  for (const throttle of throttles) {
+    if (throttle.lockedUntil && throttle.lockedUntil.getTime() > now) {
+      retryAfter = Math.max(
+        retryAfter,
+        Math.ceil((throttle.lockedUntil.getTime() - now) / 1000)
+      );
+      continue;
+    }
+
+    const nextAllowed =
+      (throttle.lastFailureAt?.getTime() || 0) +
+      delaySeconds(throttle.failures) * 1000;
+    if (nextAllowed > now) {
+      retryAfter = Math.max(retryAfter, Math.ceil((nextAllowed - now) / 1000));
+    }
+  }
+
+  return retryAfter;
+};
+
+const bumpFailures = async (key, maxFailures) => {
+  const now = new Date();
+
+  const throttle = await LoginThrottle.findOneAndUpdate(
+    { key },
+    {
+      $inc: { failures: 1 },
+      $set: {
+        lastFailureAt: now,
+        expiresAt: new Date(
+          now.getTime() + FORGET_AFTER_MINUTES * MINUTE_IN_MS
+        ),
+      },
+    },
+    { new: true, upsert: true }
+  );
+
+  const isLocked = throttle.lockedUntil && throttle.lockedUntil > now;
+  if (throttle.failures < maxFailures || isLocked) {
+    return null;
+  }
+
+  throttle.lockedUntil = new Date(now.getTime() + LOCK_MINUTES * MINUTE_IN_MS);
+  throttle.failures = 0;
+  throttle.expiresAt = new Date(
+    throttle.lockedUntil.getTime() + FORGET_AFTER_MINUTES * MINUTE_IN_MS
+  );
+  await throttle.save();
+
+  return throttle;
+};
+
+// Count a failed attempt against both the account and the client IP, and
+// record a security event whenever either gets locked
+export const recordLoginFailure = async ({
+  account,
+  ip,
+  user,
+  identifier,
+  userAgent,
+}) => {
+  const [accountLock, ipLock] = await Promise.all([
+    bumpFailures(account, MAX_ACCOUNT_FAILURES),
+    bumpFailures(ipKey(ip), MAX_IP_FAILURES),
+  ]);
+
+  const events = [];
+  if (accountLock) {
+    events.push({
+      type: "account-locked",
+      userId: user?._id,
+      identifier,
+      ip,
+      userAgent,
+      details: { role: user?.role, lockedUntil: accountLock.lockedUntil },
+    });
+  }
+  if (ipLock) {
+    events.push({
+      type: "ip-locked",
+      identifier,
+      ip,
+      userAgent,
+      details: { lockedUntil: ipLock.lockedUntil },
+    });
+  }
+  if (events.length) {
+    await SecurityEvent.insertMany(events);
+  }
+};
+
+export const clearLoginFailures = (account) =>
+  LoginThrottle.deleteOne({ key: account });
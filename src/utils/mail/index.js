@@ -0,0 +1,34 @@
+import createSmtpTransport from "./smtp.transport.js";
+import createLocalTransport from "./local.transport.js";
+
+const transports = {
+  smtp: createSmtpTransport,
+  local: createLocalTransport,
+};
+
+let transport = null;
+
+// MAIL_TRANSPORT picks the adapter ("smtp" or "local"). Outside production
+// it defaults to local; production has to name one, since the local adapter
+// prints reset and verification links to the console.
+export const getMailTransport = () => {
+  if (!transport) {
+    if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === "production") {
+      throw new Error(`MAIL_TRANSPORT must be set in production`);
+    }
+    const name = (process.env.MAIL_TRANSPORT || "local").toLowerCase();
+    const factory = transports[name];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${name}`);
+    }
+    transport = factory();
+  }
+  return transport;
+};
+
+// Swap the active adapter, e.g. for tests
+export const setMailTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+export const sendMail = (message) => getMailTransport().send(message);
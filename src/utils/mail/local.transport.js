@@ -0,0 +1,35 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Development/test adapter: prints mail to the console, or writes each message
+// as a JSON file into MAIL_OUTPUT_DIR when that is set
+const createLocalTransport = () => ({
+  name: "local",
+  send: async ({ to, subject, text, html }) => {
+    const message = {
+      from: process.env.MAIL_FROM,
+      to,
+      subject,
+      text,
+      html,
+      sentAt: new Date().toISOString(),
+    };
+    const messageId = `local-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+
+    if (process.env.MAIL_OUTPUT_DIR) {
+      await fs.mkdir(process.env.MAIL_OUTPUT_DIR, { recursive: true });
+      await fs.writeFile(
+        path.join(process.env.MAIL_OUTPUT_DIR, `${messageId}.json`),
+        JSON.stringify(message, null, 2)
+      );
+    } else {
+      console.log("Mail (local transport) : ", message);
+    }
+
+    return { messageId };
+  },
+});
+
+export default createLocalTransport;
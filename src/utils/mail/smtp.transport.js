@@ -0,0 +1,29 @@
+import nodemailer from "nodemailer";
+
+// SMTP adapter, configured entirely through environment variables
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: async ({ to, subject, text, html }) => {
+      const info = await transporter.sendMail({
+        from: process.env.MAIL_FROM,
+        to,
+        subject,
+        text,
+        html,
+      });
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+export default createSmtpTransport;
@@ -0,0 +1,111 @@
+import Role from "../models/role.model.js";
+import ApiError from "./error.js";
+import { PERMISSIONS, SYSTEM_ROLES, WILDCARD } from "../config/permissions.js";
+
+const CACHE_TTL_MS = 60 * 1000;
+
+const roleCache = new Map();
+let systemRolesSeeded = null;
+
+// Insert the built-in roles once; existing (possibly edited) ones are kept
+export const ensureSystemRoles = () => {
+  if (!systemRolesSeeded) {
+    systemRolesSeeded = Role.bulkWrite(
+      Object.entries(SYSTEM_ROLES).map(([name, role]) => ({
+        updateOne: {
+          filter: { name },
+          update: { $setOnInsert: { name, ...role, isSystem: true } },
+          upsert: true,
+        },
+      }))
+    ).catch((error) => {
+      systemRolesSeeded = null;
+      throw error;
+    });
+  }
+  return systemRolesSeeded;
+};
+
+export const invalidateRoleCache = (name) => {
+  if (name) roleCache.delete(name);
+  else roleCache.clear();
+};
+
+export const getRolePermissions = async (name) => {
+  const cached = roleCache.get(name);
+  if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+    return cached.permissions;
+  }
+
+  await ensureSystemRoles();
+  const role = await Role.findOne({ name });
+  const permissions = role ? role.permissions : [];
+
+  roleCache.set(name, { permissions, loadedAt: Date.now() });
+  return permissions;
+};
+
+export const hasPermission = (granted, permission) =>
+  granted.includes(WILDCARD) ||
+  granted.includes(permission) ||
+  granted.includes(`${permission.split(":")[0]}:*`);
+
+// What a key may do with its owner's current permissions. A wildcard on the
+// key that the owner no longer fully holds is narrowed to the permissions
+// the owner still has.
+const limitToOwner = (keyPermissions, ownerPermissions) => [
+  ...new Set(
+    keyPermissions.flatMap((permission) => {
+      if (hasPermission(ownerPermissions, permission)) return [permission];
+      return Object.keys(PERMISSIONS).filter(
+        (known) =>
+          hasPermission([permission], known) &&
+          hasPermission(ownerPermissions, known)
+      );
+    })
+  ),
+];
+
+// Permissions of the caller, kept on req.permissions. Users get the
+// permissions of their role. An API key carries its own list, checked on
+// every request against its owner's role, so a demoted owner's keys lose
+// what the owner lost.
+export const getGrantedPermissions = async (req) => {
+  if (!req.permissions) {
+    const rolePermissions = await getRolePermissions(req.user.role);
+    req.permissions = req.apiKey
+      ? limitToOwner(req.apiKey.permissions, rolePermissions)
+      : rolePermissions;
+  }
+  return req.permissions;
+};
+
+// Nobody may hand out a role that can do more than they can
+export const assertCanGrantRole = async (req, role) => {
+  const granted = await getGrantedPermissions(req);
+
+  if (!role.permissions.every((p) => hasPermission(granted, p))) {
+    throw new ApiError(
+      403,
+      `You are not allowed to grant the role '${role.name}'`
+    );
+  }
+};
+
+// Whether `next` lacks anything `previous` allowed
+export const losesPermissions = (previous, next) =>
+  previous.some((permission) => !hasPermission(next, permission));
+
+// Returns the entries that are neither a known permission nor a wildcard
+export const findUnknownPermissions = (permissions) =>
+  permissions.filter(
+    (permission) =>
+      permission !== WILDCARD &&
+      !PERMISSIONS[permission] &&
+      !(
+        permission.endsWith(":*") &&
+        Object.keys(PERMISSIONS).some((known) =>
+          known.startsWith(permission.slice(0, -1))
+        )
+      )
+  );
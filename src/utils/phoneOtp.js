@@ -0,0 +1,200 @@
+import crypto from "crypto";
+import PhoneOtp from "../models/phoneOtp.model.js";
+import User from "../models/user.model.js";
+import { hashToken } from "./tokens.js";
+import { sendSms } from "./sms/index.js";
+
+const MINUTE_IN_MS = 60 * 1000;
+
+const OTP_DIGITS = 6;
+const MAX_VERIFY_ATTEMPTS = 5;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MINUTES = 60;
+
+// OTP_EXPIRES is configured in minutes
+const otpMinutes = () => Number(process.env.OTP_EXPIRES) || 5;
+
+// Local numbers are this long, without PHONE_COUNTRY_CODE or a leading 0
+const NATIONAL_NUMBER_LENGTH = 10;
+
+const countryCode = () => process.env.PHONE_COUNTRY_CODE || "91";
+
+// Phones are stored as numbers, so keep the digits only. Local numbers are
+// kept without the country code or trunk 0, so "+91 98765 43210",
+// "098765 43210" and "9876543210" are the same number.
+export const normalizePhone = (value) => {
+  let digits = String(value ?? "").replace(/\D/g, "");
+  const code = countryCode();
+
+  if (
+    digits.length === code.length + NATIONAL_NUMBER_LENGTH &&
+    digits.startsWith(code)
+  ) {
+    digits = digits.slice(code.length);
+  } else if (
+    digits.length === NATIONAL_NUMBER_LENGTH + 1 &&
+    digits.startsWith("0")
+  ) {
+    digits = digits.slice(1);
+  }
+
+  if (digits.length < 7 || digits.length > 15) return null;
+  return Number(digits);
+};
+
+// The forms a normalized number may have been stored in before numbers were
+// kept without the country code
+export const storedPhoneForms = (phone) =>
+  String(phone).length === NATIONAL_NUMBER_LENGTH
+    ? [phone, Number(`${countryCode()}${phone}`)]
+    : [phone];
+
+// Logging in by phone needs every number to belong to one account, which the
+// unique index on User.phone only enforces once it is built. Accounts saved
+// before the index (or before numbers lost their country code) may share a
+// number: startup is refused until they are fixed. Otherwise stored numbers
+// are brought to the normalized form and the index is built.
+export const ensureUniqueUserPhones = async () => {
+  const users = await User.find({ phone: { $ne: null } })
+    .select("phone")
+    .lean();
+
+  const byPhone = new Map();
+  for (const user of users) {
+    const phone = normalizePhone(user.phone) ?? user.phone;
+    byPhone.set(phone, [...(byPhone.get(phone) ?? []), user]);
+  }
+
+  const shared = [...byPhone].filter(([, owners]) => owners.length > 1);
+  if (shared.length) {
+    throw new Error(
+      `Phone numbers shared by more than one account, give each a single owner before starting: ${shared
+        .map(
+          ([phone, owners]) =>
+            `${phone} (users ${owners.map((user) => user._id).join(", ")})`
+        )
+        .join("; ")}`
+    );
+  }
+
+  const renumbered = [...byPhone]
+    .filter(([phone, [user]]) => phone !== user.phone)
+    .map(([phone, [user]]) => ({
+      updateOne: { filter: { _id: user._id }, update: { $set: { phone } } },
+    }));
+  if (renumbered.length) {
+    await User.bulkWrite(renumbered);
+    console.log(`Normalized the phone numbers of ${renumbered.length} users`);
+  }
+
+  await User.createIndexes();
+};
+
+const hashOtp = (phone, code) => hashToken(`${phone}:${code}`);
+
+// Returns the number of seconds before another code may be sent, or 0
+export const getOtpRetryAfter = async (phone) => {
+  const otp = await PhoneOtp.findOne({ phone });
+  if (!otp?.lastSentAt) return 0;
+
+  const now = Date.now();
+  const windowEnd =
+    otp.windowStartedAt.getTime() + SEND_WINDOW_MINUTES * MINUTE_IN_MS;
+
+  if (otp.sendCount >= MAX_SENDS_PER_WINDOW && windowEnd > now) {
+    return Math.ceil((windowEnd - now) / 1000);
+  }
+
+  const cooldownEnd = otp.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+  return cooldownEnd > now ? Math.ceil((cooldownEnd - now) / 1000) : 0;
+};
+
+// Store a fresh code for the number (replacing any earlier one) and count the
+// send. The SMS only goes out when `deliver` is set, so unknown numbers are
+// rate-limited exactly like known ones. Returns false, sending nothing, when
+// the number is in its cooldown or out of sends: the limits are part of the
+// update's filter, so parallel requests cannot both get through.
+export const issueLoginOtp = async (phone, { deliver }) => {
+  const now = new Date();
+  const windowMs = SEND_WINDOW_MINUTES * MINUTE_IN_MS;
+  const code = crypto
+    .randomInt(0, 10 ** OTP_DIGITS)
+    .toString()
+    .padStart(OTP_DIGITS, "0");
+
+  // Start a new window once the last one is over; only one request does it
+  await PhoneOtp.updateOne(
+    { phone, windowStartedAt: { $lte: new Date(now.getTime() - windowMs) } },
+    { $set: { windowStartedAt: now, sendCount: 0 } }
+  );
+
+  const codeExpiresAt = new Date(now.getTime() + otpMinutes() * MINUTE_IN_MS);
+  try {
+    await PhoneOtp.findOneAndUpdate(
+      {
+        phone,
+        sendCount: { $lt: MAX_SENDS_PER_WINDOW },
+        lastSentAt: {
+          $lte: new Date(now.getTime() - RESEND_COOLDOWN_SECONDS * 1000),
+        },
+      },
+      {
+        $inc: { sendCount: 1 },
+        $set: {
+          codeHash: hashOtp(phone, code),
+          codeExpiresAt,
+          attempts: 0,
+          lastSentAt: now,
+          // Kept past the end of the window, which started at most now
+          expiresAt: new Date(
+            Math.max(codeExpiresAt.getTime(), now.getTime() + windowMs)
+          ),
+        },
+        $setOnInsert: { windowStartedAt: now },
+      },
+      { upsert: true }
+    );
+  } catch (error) {
+    // No match means the limits apply, and the upsert then collides with
+    // the number's existing document
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (deliver) {
+    await sendSms({
+      to: phone,
+      text: `${code} is your login code. It expires in ${otpMinutes()} minutes. Do not share it with anyone.`,
+    });
+  }
+  return true;
+};
+
+// Check a code; a correct one is used up, and a code that was guessed at too
+// often stops working
+export const verifyLoginOtp = async (phone, code) => {
+  const otp = await PhoneOtp.findOne({ phone }).select("+codeHash");
+
+  if (
+    !otp?.codeHash ||
+    otp.codeExpiresAt <= new Date() ||
+    otp.attempts >= MAX_VERIFY_ATTEMPTS
+  ) {
+    return false;
+  }
+
+  const expected = Buffer.from(otp.codeHash, "hex");
+  const actual = Buffer.from(hashOtp(phone, String(code).trim()), "hex");
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    otp.attempts += 1;
+    await otp.save();
+    return false;
+  }
+
+  otp.codeHash = undefined;
+  otp.codeExpiresAt = undefined;
+  await otp.save();
+  return true;
+};
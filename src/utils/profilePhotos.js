@@ -0,0 +1,30 @@
+import { getFileStorage } from "./storage/index.js";
+
+export const PHOTO_KEYS = "+profilePhoto.key +profilePhoto.thumbnailKey";
+
+// The photo is served by the API, the version busts client caches when it is
+// replaced
+export const profilePhotoUrls = (labourerId, updatedAt) => {
+  const baseUrl = `/api/v1/labourers/${labourerId}/profile-photo`;
+  const version = `?v=${updatedAt.getTime()}`;
+
+  return {
+    url: `${baseUrl}${version}`,
+    thumbnailUrl: `${baseUrl}/thumbnail${version}`,
+  };
+};
+
+// A stale file left behind is only logged, the labourer record is what counts
+export const removeProfilePhotoFiles = async (profilePhoto) => {
+  if (!profilePhoto?.storage) return;
+
+  const storage = getFileStorage(profilePhoto.storage);
+  for (const key of [profilePhoto.key, profilePhoto.thumbnailKey]) {
+    if (!key) continue;
+    try {
+      await storage.remove(key);
+    } catch (error) {
+      console.error(`Failed to remove stored file ${key}:`, error);
+    }
+  }
+};
@@ -0,0 +1,187 @@
+import mongoose from "mongoose";
+import Project from "../models/project.model.js";
+import Labourer from "../models/labourer.model.js";
+import ApiError from "./error.js";
+import { getGrantedPermissions, hasPermission } from "./permissions.js";
+
+// Users holding "project:global" (admins) see everything. Everyone else only
+// sees data of the projects they manage (Project.managerId).
+//
+// The scope is worked out once per request and kept on req.projectScope:
+//   { global: true } or { global: false, projectIds, projectIdSet }
+export const getProjectScope = async (req) => {
+  if (req.projectScope) return req.projectScope;
+
+  const permissions = await getGrantedPermissions(req);
+
+  // A key limited to some projects never sees more than those
+  if (req.apiKey?.projectIds.length) {
+    req.projectScope = {
+      global: false,
+      projectIds: req.apiKey.projectIds,
+      projectIdSet: new Set(req.apiKey.projectIds.map(String)),
+    };
+    return req.projectScope;
+  }
+
+  if (hasPermission(permissions, "project:global")) {
+    req.projectScope = { global: true };
+    return req.projectScope;
+  }
+
+  const projectIds = await Project.find({ managerId: req.user._id }).distinct(
+    "_id"
+  );
+
+  req.projectScope = {
+    global: false,
+    projectIds,
+    projectIdSet: new Set(projectIds.map(String)),
+  };
+  return req.projectScope;
+};
+
+const outOfScope = () =>
+  new ApiError(403, "Access denied: project is outside your scope");
+
+const idOf = (value) => String(value?._id ?? value);
+
+export const canAccessProject = async (req, projectId) => {
+  const scope = await getProjectScope(req);
+  return scope.global || scope.projectIdSet.has(idOf(projectId));
+};
+
+export const assertProjectAccess = async (req, ...projectIds) => {
+  for (const projectId of projectIds) {
+    if (projectId && !(await canAccessProject(req, projectId))) {
+      throw outOfScope();
+    }
+  }
+};
+
+// Mongo filter restricting `field` to the projects in scope ({} when global)
+export const projectScopeFilter = async (req, field = "projectId") => {
+  const scope = await getProjectScope(req);
+  if (scope.global) return {};
+  return { [field]: { $in: scope.projectIds } };
+};
+
+// The labourer profile linked to the logged in user (Labourer.userId), if any
+export const getOwnLabourer = async (req) => {
+  if (req.ownLabourer === undefined) {
+    req.ownLabourer = req.apiKey
+      ? null
+      : await Labourer.findOne({ userId: req.user._id });
+  }
+  return req.ownLabourer;
+};
+
+export const isOwnLabourer = async (req, labourerId) => {
+  const ownLabourer = await getOwnLabourer(req);
+  return Boolean(ownLabourer) && String(ownLabourer._id) === idOf(labourerId);
+};
+
+// Labourers on projects in scope, through either side of the assignment, plus
+// the caller's own profile. Returns null when the scope is global.
+export const getScopedLabourerIds = async (req) => {
+  const scope = await getProjectScope(req);
+  if (scope.global) return null;
+
+  if (!req.scopedLabourerIds) {
+    const [assigned, listed] = await Promise.all([
+      Labourer.find({ assignedProjectId: { $in: scope.projectIds } }).distinct(
+        "_id"
+      ),
+      Project.find({ _id: { $in: scope.projectIds } }).distinct(
+        "assignedLabourers"
+      ),
+    ]);
+
+    const ownLabourer = await getOwnLabourer(req);
+    const own = ownLabourer ? [ownLabourer._id] : [];
+
+    const unique = new Map(
+      [...assigned, ...listed, ...own].map((id) => [String(id), id])
+    );
+    req.scopedLabourerIds = [...unique.values()];
+  }
+
+  return req.scopedLabourerIds;
+};
+
+// Filter for the records of one labourer. Their own records are visible in
+// full, anyone else's only within the projects in scope. Callers without any
+// project (i.e. labourers) are refused outright.
+export const labourerRecordsScopeFilter = async (
+  req,
+  labourerId,
+  field = "projectId"
+) => {
+  const scope = await getProjectScope(req);
+  if (scope.global || (await isOwnLabourer(req, labourerId))) return {};
+
+  if (!scope.projectIds.length) {
+    throw new ApiError(403, "Access denied: labourer is outside your scope");
+  }
+  return { [field]: { $in: scope.projectIds } };
+};
+
+// Single record check, a labourer may always read their own records
+export const assertRecordAccess = async (req, { labourerId, projectId }) => {
+  if (await isOwnLabourer(req, labourerId)) return;
+  await assertProjectAccess(req, projectId);
+};
+
+export const labourerIdScopeFilter = async (req, field = "labourerId") => {
+  const labourerIds = await getScopedLabourerIds(req);
+  if (!labourerIds) return {};
+  return { [field]: { $in: labourerIds } };
+};
+
+// Labourer profiles not yet assigned anywhere stay visible to managers so they
+// can be picked up for a project
+export const labourerProfileScopeFilter = async (req) => {
+  const scope = await getProjectScope(req);
+  if (scope.global) return {};
+
+  const labourerIds = await getScopedLabourerIds(req);
+  return {
+    $or: [{ _id: { $in: labourerIds } }, { assignedProjectId: null }],
+  };
+};
+
+// Deleted labourers drop out of the lookups above, they stay with the project
+// they were on when deleted
+export const deletedLabourerScopeFilter = async (req) => {
+  const scope = await getProjectScope(req);
+  if (scope.global) return {};
+
+  return {
+    $or: [
+      { assignedProjectId: { $in: scope.projectIds } },
+      { assignedProjectId: null },
+    ],
+  };
+};
+
+export const assertLabourerAccess = async (
+  req,
+  labourerId,
+  { allowUnassigned = false } = {}
+) => {
+  const labourerIds = await getScopedLabourerIds(req);
+  if (!labourerIds) return;
+
+  const id = idOf(labourerId);
+  if (labourerIds.some((scopedId) => String(scopedId) === id)) return;
+
+  if (allowUnassigned && mongoose.Types.ObjectId.isValid(id)) {
+    const unassigned = await Labourer.exists({
+      _id: id,
+      assignedProjectId: null,
+    });
+    if (unassigned) return;
+  }
+
+  throw new ApiError(403, "Access denied: labourer is outside your scope");
+};
@@ -0,0 +1,83 @@
+import { devanagariToLatin } from "./transliteration.js";
+
+// Bump when the way terms are derived changes, stale records are re-indexed
+// on the next search
+export const SEARCH_INDEX_VERSION = 2;
+
+// Lower case Latin words, Devanagari transliterated and accents dropped
+export const searchTokens = (text) =>
+  devanagariToLatin(text)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+
+// Spellings of Indian names vary mostly in vowels and aspiration ("Bhushan",
+// "Bushan", "Bhooshan"), so those are folded away. The first letter is kept,
+// any leading vowel counts as "a".
+const PHONETIC_RULES = [
+  [/ksh/g, "ks"],
+  [/chh|ch/g, "c"],
+  [/ph/g, "f"],
+  [/([bdgjkt])h/g, "$1"],
+  [/sh/g, "s"],
+  [/ck/g, "k"],
+  [/x/g, "ks"],
+  [/q/g, "k"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+];
+
+export const phoneticKey = (token) => {
+  let key = String(token)
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (!key) return "";
+
+  for (const [pattern, replacement] of PHONETIC_RULES) {
+    key = key.replace(pattern, replacement);
+  }
+
+  const first = /[aeiou]/.test(key[0]) ? "a" : key[0];
+  const rest = key
+    .slice(1)
+    .replace(/[aeiouhy]/g, "")
+    .replace(/(.)\1+/g, "$1");
+  return `${first}${rest}`;
+};
+
+const unique = (values) => [...new Set(values)];
+
+// Letter triples of a word, padded so the first and last letters get their
+// own ("ramesh" -> " ra", "ram", ..., "sh "). Misspellings of a word still
+// share runs of them, which is how typos find their candidates.
+export const nameGrams = (token) => {
+  const padded = ` ${token} `;
+  const grams = [];
+  for (let i = 0; i + 3 <= padded.length; i++) {
+    grams.push(padded.slice(i, i + 3));
+  }
+  return grams;
+};
+
+// The terms stored on Labourer.searchIndex. Skills and projects are matched
+// through their own collections at search time, so renaming them never
+// leaves stale terms behind.
+export const buildSearchIndex = ({
+  fullName,
+  address,
+  skillType,
+  contactNumber,
+}) => {
+  const name = unique(searchTokens(fullName));
+
+  return {
+    version: SEARCH_INDEX_VERSION,
+    name,
+    phonetic: unique(name.map(phoneticKey).filter(Boolean)),
+    grams: unique(name.flatMap(nameGrams)),
+    other: unique([...searchTokens(address), ...searchTokens(skillType)]),
+    phone: contactNumber ? String(contactNumber) : undefined,
+  };
+};
@@ -0,0 +1,97 @@
+import ApiError from "./error.js";
+import { encryptJson, decryptJson } from "./fieldEncryption.js";
+
+// Bank details and the emergency contact are stored as one encrypted blob
+// each (`<group>.encrypted`, never selected by default) next to masked copies
+// of the values, which are what normal reads return
+export const SENSITIVE_GROUPS = ["bankDetails", "emergencyContact"];
+
+export const SENSITIVE_KEYS = SENSITIVE_GROUPS.map(
+  (group) => `+${group}.encrypted`
+).join(" ");
+
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+
+// Only the last four digits, without giving away the length: "XXXX1234"
+const maskDigits = (value) => `XXXX${String(value).slice(-4)}`;
+
+// "Ramesh Kumar" -> "R***** K****"
+const maskName = (name) =>
+  name
+    .split(/\s+/)
+    .map((word) => `${word[0]}${"*".repeat(word.length - 1)}`)
+    .join(" ");
+
+const requireText = (value, label) => {
+  if (typeof value !== "string" || !value.trim()) {
+    throw new ApiError(400, `${label} is required`);
+  }
+  return value.trim().replace(/\s+/g, " ");
+};
+
+// Validate { accountNumber, ifsc, accountHolderName } and return the value to
+// store on Labourer.bankDetails
+export const buildBankDetails = (input = {}) => {
+  const accountNumber = String(input.accountNumber ?? "").replace(/\s/g, "");
+  if (!/^\d{9,18}$/.test(accountNumber)) {
+    throw new ApiError(400, "Account number must be 9 to 18 digits");
+  }
+
+  const ifsc = String(input.ifsc ?? "")
+    .trim()
+    .toUpperCase();
+  if (!IFSC_PATTERN.test(ifsc)) {
+    throw new ApiError(400, "Invalid IFSC code");
+  }
+
+  const accountHolderName = requireText(
+    input.accountHolderName,
+    "Account holder name"
+  );
+
+  return {
+    encrypted: encryptJson({ accountNumber, ifsc, accountHolderName }),
+    accountNumber: maskDigits(accountNumber),
+    ifsc: `${ifsc.slice(0, 4)}XXXXXXX`,
+    accountHolderName: maskName(accountHolderName),
+    updatedAt: new Date(),
+  };
+};
+
+// Validate { name, phone, relation } and return the value to store on
+// Labourer.emergencyContact. The relation is not sensitive and stays readable.
+export const buildEmergencyContact = (input = {}) => {
+  const name = requireText(input.name, "Emergency contact name");
+
+  const phone = String(input.phone ?? "").replace(/[\s\-()]/g, "");
+  if (!/^\+?\d{7,15}$/.test(phone)) {
+    throw new ApiError(400, "Invalid emergency contact phone number");
+  }
+
+  return {
+    encrypted: encryptJson({ name, phone }),
+    name: maskName(name),
+    phone: maskDigits(phone),
+    relation: input.relation?.trim() || undefined,
+    updatedAt: new Date(),
+  };
+};
+
+// Full values of the requested groups, for a labourer loaded with
+// SENSITIVE_KEYS. Groups that were never filled in come back as null.
+export const revealSensitiveDetails = (labourer, groups = SENSITIVE_GROUPS) =>
+  Object.fromEntries(
+    groups.map((group) => {
+      const stored = labourer[group];
+      if (!stored?.encrypted) return [group, null];
+
+      return [
+        group,
+        {
+          ...decryptJson(stored.encrypted),
+          ...(stored.relation && { relation: stored.relation }),
+          updatedAt: stored.updatedAt,
+        },
+      ];
+    })
+  );
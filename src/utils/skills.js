@@ -0,0 +1,121 @@
+import mongoose from "mongoose";
+import Skill, {
+  SKILL_LEVELS,
+  normalizeSkillName,
+} from "../models/skill.model.js";
+import ApiError from "./error.js";
+
+// Look a catalog skill up by ID, name or alias
+export const findSkill = (value) => {
+  if (mongoose.Types.ObjectId.isValid(value)) {
+    return Skill.findById(value);
+  }
+  const name = normalizeSkillName(value);
+  return Skill.findOne({ $or: [{ normalizedName: name }, { aliases: name }] });
+};
+
+const parseExpiry = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+
+  const expiry = new Date(value);
+  if (isNaN(expiry)) {
+    throw new ApiError(400, "Invalid certificationExpiry");
+  }
+  return expiry;
+};
+
+// Validate one { skill | skillId, level, certificationNumber, issuingBody,
+// certificationExpiry } entry and return it ready to store on a labourer.
+// Entries a labourer already holds may keep pointing at an archived skill.
+export const buildLabourerSkill = async (
+  input,
+  { allowArchived = false } = {}
+) => {
+  const skillRef = input?.skillId ?? input?.skill;
+  if (!skillRef) {
+    throw new ApiError(400, "Each skill needs a skillId or skill name");
+  }
+
+  const skill = await findSkill(skillRef);
+  if (!skill) {
+    throw new ApiError(404, `Skill '${skillRef}' not found in the catalog`);
+  }
+  if (!skill.isActive && !allowArchived) {
+    throw new ApiError(400, `Skill '${skill.name}' is archived`);
+  }
+
+  if (!SKILL_LEVELS.includes(input.level)) {
+    throw new ApiError(
+      400,
+      `Skill level must be one of: ${SKILL_LEVELS.join(", ")}`
+    );
+  }
+
+  if (skill.requiresCertification && !input.certificationNumber) {
+    throw new ApiError(
+      400,
+      `Skill '${skill.name}' requires a certification number`
+    );
+  }
+
+  return {
+    skill,
+    entry: {
+      skillId: skill._id,
+      level: input.level,
+      certificationNumber: input.certificationNumber,
+      issuingBody: input.issuingBody,
+      certificationExpiry: parseExpiry(input.certificationExpiry),
+    },
+  };
+};
+
+// Validate a whole list, one entry per catalog skill
+export const buildLabourerSkills = async (skills) => {
+  if (!Array.isArray(skills)) {
+    throw new ApiError(400, "skills must be an array");
+  }
+
+  const built = [];
+  for (const input of skills) {
+    built.push(await buildLabourerSkill(input));
+  }
+
+  const ids = built.map(({ entry }) => String(entry.skillId));
+  if (new Set(ids).size !== ids.length) {
+    throw new ApiError(400, "Each skill can only be listed once");
+  }
+  return built;
+};
+
+// Filters for labourer queries: ?skill=<id or name>&level=<level>&certified=true
+export const labourerSkillFilter = async ({ skill, level, certified }) => {
+  const match = {};
+
+  if (skill) {
+    const found = await findSkill(skill);
+    if (!found) {
+      throw new ApiError(404, "Skill not found");
+    }
+    match.skillId = found._id;
+  }
+
+  if (level) {
+    if (!SKILL_LEVELS.includes(level)) {
+      throw new ApiError(400, "Invalid level filter");
+    }
+    match.level = level;
+  }
+
+  if (certified === "true") {
+    match.certificationNumber = { $nin: [null, ""] };
+    match.$or = [
+      { certificationExpiry: null },
+      { certificationExpiry: { $gt: new Date() } },
+    ];
+  }
+
+  if (!Object.keys(match).length) return {};
+
+  return { skills: { $elemMatch: match } };
+};
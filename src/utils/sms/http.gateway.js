@@ -0,0 +1,26 @@
+// Generic HTTP adapter for providers with a JSON API. The message is POSTed
+// to SMS_HTTP_URL as { to, from, text }, with SMS_HTTP_TOKEN as Bearer token.
+const createHttpGateway = () => ({
+  name: "http",
+  send: async ({ to, text }) => {
+    const response = await fetch(process.env.SMS_HTTP_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        ...(process.env.SMS_HTTP_TOKEN && {
+          Authorization: `Bearer ${process.env.SMS_HTTP_TOKEN}`,
+        }),
+      },
+      body: JSON.stringify({ to, from: process.env.SMS_SENDER_ID, text }),
+    });
+
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with ${response.status}`);
+    }
+
+    const body = await response.json().catch(() => ({}));
+    return { messageId: body.messageId || body.id };
+  },
+});
+
+export default createHttpGateway;
@@ -0,0 +1,34 @@
+import createHttpGateway from "./http.gateway.js";
+import createLocalGateway from "./local.gateway.js";
+
+const gateways = {
+  http: createHttpGateway,
+  local: createLocalGateway,
+};
+
+let gateway = null;
+
+// SMS_GATEWAY picks the adapter ("http" or "local"). Outside production it
+// defaults to local; production has to name one, since the local adapter
+// prints login codes to the console.
+export const getSmsGateway = () => {
+  if (!gateway) {
+    if (!process.env.SMS_GATEWAY && process.env.NODE_ENV === "production") {
+      throw new Error(`SMS_GATEWAY must be set in production`);
+    }
+    const name = (process.env.SMS_GATEWAY || "local").toLowerCase();
+    const factory = gateways[name];
+    if (!factory) {
+      throw new Error(`Unknown SMS gateway: ${name}`);
+    }
+    gateway = factory();
+  }
+  return gateway;
+};
+
+// Swap the active adapter, e.g. for tests
+export const setSmsGateway = (customGateway) => {
+  gateway = customGateway;
+};
+
+export const sendSms = (message) => getSmsGateway().send(message);
@@ -0,0 +1,33 @@
+import fs from "fs/promises";
+import path from "path";
+
+// Development/test adapter: prints messages to the console, or writes each one
+// as a JSON file into SMS_OUTPUT_DIR when that is set
+const createLocalGateway = () => ({
+  name: "local",
+  send: async ({ to, text }) => {
+    const message = {
+      from: process.env.SMS_SENDER_ID,
+      to,
+      text,
+      sentAt: new Date().toISOString(),
+    };
+    const messageId = `local-${Date.now()}-${Math.random()
+      .toString(36)
+      .slice(2, 8)}`;
+
+    if (process.env.SMS_OUTPUT_DIR) {
+      await fs.mkdir(process.env.SMS_OUTPUT_DIR, { recursive: true });
+      await fs.writeFile(
+        path.join(process.env.SMS_OUTPUT_DIR, `${messageId}.json`),
+        JSON.stringify(message, null, 2)
+      );
+    } else {
+      console.log("SMS (local gateway) : ", message);
+    }
+
+    return { messageId };
+  },
+});
+
+export default createLocalGateway;
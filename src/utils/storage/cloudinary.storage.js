@@ -0,0 +1,53 @@
+import cloudinary from "../cloudinary.js";
+
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+// Uploads are private, so they can only be fetched through signed URLs.
+// Keys look like "<resourceType>/<format>/<publicId>".
+const parseKey = (key) => {
+  const [resourceType, format, ...rest] = key.split("/");
+  return { resourceType, format, publicId: rest.join("/") };
+};
+
+const createCloudinaryStorage = () => ({
+  name: "cloudinary",
+  save: ({ buffer, folder }) =>
+    new Promise((resolve, reject) => {
+      const stream = cloudinary.uploader.upload_stream(
+        { folder, resource_type: "auto", type: "private" },
+        (error, result) => {
+          if (error || !result) {
+            return reject(error || new Error("Cloudinary upload failed"));
+          }
+          resolve({
+            key: `${result.resource_type}/${result.format}/${result.public_id}`,
+          });
+        }
+      );
+      stream.end(buffer);
+    }),
+  read: async (key) => {
+    const { resourceType, format, publicId } = parseKey(key);
+    const url = cloudinary.utils.private_download_url(publicId, format, {
+      resource_type: resourceType,
+      type: "private",
+      expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS,
+    });
+
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`Cloudinary download failed with ${response.status}`);
+    }
+    return Buffer.from(await response.arrayBuffer());
+  },
+  remove: async (key) => {
+    const { resourceType, publicId } = parseKey(key);
+    await cloudinary.uploader.destroy(publicId, {
+      resource_type: resourceType,
+      type: "private",
+      invalidate: true,
+    });
+  },
+});
+
+export default createCloudinaryStorage;
@@ -0,0 +1,30 @@
+import createLocalStorage from "./local.storage.js";
+import createCloudinaryStorage from "./cloudinary.storage.js";
+
+const backends = {
+  local: createLocalStorage,
+  cloudinary: createCloudinaryStorage,
+};
+
+const instances = {};
+
+// FILE_STORAGE picks the backend new files go to ("local" or "cloudinary"),
+// defaults to local. Stored files remember their backend, so existing ones
+// stay readable after switching.
+export const getFileStorage = (name) => {
+  const backend = (name || process.env.FILE_STORAGE || "local").toLowerCase();
+
+  if (!instances[backend]) {
+    const factory = backends[backend];
+    if (!factory) {
+      throw new Error(`Unknown file storage: ${backend}`);
+    }
+    instances[backend] = factory();
+  }
+  return instances[backend];
+};
+
+// Swap a backend, e.g. for tests
+export const setFileStorage = (name, customStorage) => {
+  instances[name] = customStorage;
+};
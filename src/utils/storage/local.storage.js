@@ -0,0 +1,37 @@
+import fs from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+// Keeps files on disk under STORAGE_LOCAL_DIR (default ./uploads). Keys are
+// paths relative to that directory.
+const createLocalStorage = () => {
+  const root = path.resolve(process.env.STORAGE_LOCAL_DIR || "uploads");
+
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    save: async ({ buffer, folder, originalName }) => {
+      const extension = path.extname(originalName || "").toLowerCase();
+      const key = path.posix.join(folder, `${crypto.randomUUID()}${extension}`);
+      const filePath = resolveKey(key);
+
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+
+      return { key };
+    },
+    read: (key) => fs.readFile(resolveKey(key)),
+    remove: async (key) => {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+  };
+};
+
+export default createLocalStorage;
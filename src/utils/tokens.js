@@ -0,0 +1,199 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
+import RefreshToken from "../models/refreshToken.model.js";
+import Session from "../models/session.model.js";
+import User from "../models/user.model.js";
+import ApiError from "./error.js";
+import { describeDevice } from "./device.js";
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+const refreshTokenDays = () => Number(process.env.REFRESH_TOKEN_EXPIRES) || 7;
+
+export const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+const cookieOptions = () => ({
+  httpOnly: true,
+  sameSite: "lax",
+  secure: process.env.NODE_ENV === "production",
+});
+
+const startSession = (user, req) => {
+  const userAgent = req?.get?.("user-agent");
+
+  return Session.create({
+    userId: user._id,
+    device: req?.body?.deviceName || describeDevice(userAgent),
+    userAgent,
+    ip: req?.ip,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_IN_MS),
+  });
+};
+
+// Issue a new access/refresh pair and persist the refresh token hash. Without
+// an existing session (i.e. on login) a new one is started.
+export const issueTokens = async (user, req, session) => {
+  if (!session) {
+    session = await startSession(user, req);
+  }
+
+  const family = session._id.toString();
+  const accessToken = user.generateAccessToken(family);
+  const refreshToken = user.generateRefreshToken(family);
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family,
+    expiresAt: new Date(Date.now() + refreshTokenDays() * DAY_IN_MS),
+    createdByIp: req?.ip,
+  });
+
+  return { accessToken, refreshToken, sessionId: session._id };
+};
+
+// End one session and every refresh token issued in it
+export const revokeSession = async (sessionId, reason, revokedBy) => {
+  const revoked = { $set: { revokedAt: new Date(), revokedReason: reason } };
+
+  await RefreshToken.updateMany(
+    { family: String(sessionId), revokedAt: null },
+    revoked
+  );
+
+  if (mongoose.Types.ObjectId.isValid(sessionId)) {
+    await Session.updateOne(
+      { _id: sessionId, revokedAt: null },
+      { $set: { ...revoked.$set, revokedBy } }
+    );
+  }
+};
+
+// End every session of a user, optionally keeping the one making the request
+export const revokeUserSessions = async (
+  userId,
+  reason,
+  { keepSessionId, revokedBy } = {}
+) => {
+  const revoked = { $set: { revokedAt: new Date(), revokedReason: reason } };
+  const sessionFilter = { userId, revokedAt: null };
+  const tokenFilter = { userId, revokedAt: null };
+
+  if (keepSessionId) {
+    sessionFilter._id = { $ne: keepSessionId };
+    tokenFilter.family = { $ne: String(keepSessionId) };
+  }
+
+  const [{ modifiedCount }] = await Promise.all([
+    Session.updateMany(sessionFilter, {
+      $set: { ...revoked.$set, revokedBy },
+    }),
+    RefreshToken.updateMany(tokenFilter, revoked),
+  ]);
+
+  return modifiedCount;
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was already
+// rotated means it leaked, so the whole session is revoked.
+export const rotateRefreshToken = async (refreshToken, req) => {
+  if (!refreshToken) {
+    throw new ApiError(401, "Refresh token is required");
+  }
+
+  try {
+    jwt.verify(refreshToken, process.env.REFRESH_TOKEN_SECRET);
+  } catch (err) {
+    throw new ApiError(401, "Invalid or expired refresh token");
+  }
+
+  const tokenHash = hashToken(refreshToken);
+
+  const stored = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: "rotated" } }
+  );
+
+  if (!stored) {
+    const previous = await RefreshToken.findOne({ tokenHash });
+    if (previous?.revokedReason === "rotated") {
+      await revokeSession(previous.family, "reuse-detected");
+    }
+    throw new ApiError(401, "Refresh token has been revoked");
+  }
+
+  const user = await User.findById(stored.userId);
+  if (!user || user.status !== "active") {
+    await revokeSession(stored.family, "user-inactive");
+    throw new ApiError(401, "User account is not active");
+  }
+
+  // Tokens issued before sessions existed start a fresh session here
+  let session = mongoose.Types.ObjectId.isValid(stored.family)
+    ? await Session.findById(stored.family)
+    : null;
+
+  if (session?.revokedAt) {
+    await revokeSession(stored.family, session.revokedReason);
+    throw new ApiError(401, "Session has been revoked");
+  }
+
+  if (session) {
+    session.lastSeenAt = new Date();
+    session.ip = req?.ip;
+    session.expiresAt = new Date(Date.now() + refreshTokenDays() * DAY_IN_MS);
+    await session.save();
+  }
+
+  const tokens = await issueTokens(user, req, session);
+
+  stored.replacedByHash = hashToken(tokens.refreshToken);
+  await stored.save();
+
+  return { user, ...tokens };
+};
+
+// Revoke the session the given refresh token belongs to, used on logout
+export const revokeRefreshToken = async (refreshToken, reason) => {
+  if (!refreshToken) return;
+
+  const stored = await RefreshToken.findOne({
+    tokenHash: hashToken(refreshToken),
+  });
+  if (stored) {
+    await revokeSession(stored.family, reason);
+  }
+};
+
+// Revoke the session an access token belongs to, expired or not; the
+// signature is enough to end a session, which is all this does
+export const revokeAccessTokenSession = async (accessToken, reason) => {
+  if (!accessToken) return;
+
+  let decoded;
+  try {
+    decoded = jwt.verify(accessToken, process.env.ACCESS_TOKEN_SECRET, {
+      ignoreExpiration: true,
+    });
+  } catch (error) {
+    return;
+  }
+  if (decoded.sid) {
+    await revokeSession(decoded.sid, reason);
+  }
+};
+
+export const setAuthCookies = (res, { accessToken, refreshToken }) =>
+  res
+    .cookie("accessToken", accessToken, cookieOptions())
+    .cookie("refreshToken", refreshToken, {
+      ...cookieOptions(),
+      maxAge: refreshTokenDays() * DAY_IN_MS,
+    });
+
+export const clearAuthCookies = (res) =>
+  res
+    .clearCookie("accessToken", cookieOptions())
+    .clearCookie("refreshToken", cookieOptions());
@@ -0,0 +1,144 @@
+// Devanagari to plain Latin letters the way names are usually typed in
+// English ("रमेश" -> "ramesh", "सीता" -> "sita"), without diacritics, so both
+// spellings end up with the same search terms
+
+const VOWELS = {
+  अ: "a",
+  आ: "a",
+  इ: "i",
+  ई: "i",
+  उ: "u",
+  ऊ: "u",
+  ऋ: "ri",
+  ए: "e",
+  ऐ: "ai",
+  ओ: "o",
+  औ: "au",
+  ऑ: "o",
+  ऍ: "e",
+};
+
+const VOWEL_SIGNS = {
+  "ा": "a",
+  "ि": "i",
+  "ी": "i",
+  "ु": "u",
+  "ू": "u",
+  "ृ": "ri",
+  "े": "e",
+  "ै": "ai",
+  "ो": "o",
+  "ौ": "au",
+  "ॉ": "o",
+  "ॅ": "e",
+};
+
+const CONSONANTS = {
+  क: "k",
+  ख: "kh",
+  ग: "g",
+  घ: "gh",
+  ङ: "n",
+  च: "ch",
+  छ: "chh",
+  ज: "j",
+  झ: "jh",
+  ञ: "n",
+  ट: "t",
+  ठ: "th",
+  ड: "d",
+  ढ: "dh",
+  ण: "n",
+  त: "t",
+  थ: "th",
+  द: "d",
+  ध: "dh",
+  न: "n",
+  प: "p",
+  फ: "ph",
+  ब: "b",
+  भ: "bh",
+  म: "m",
+  य: "y",
+  र: "r",
+  ल: "l",
+  व: "v",
+  श: "sh",
+  ष: "sh",
+  स: "s",
+  ह: "h",
+  क़: "q",
+  ख़: "kh",
+  ग़: "g",
+  ज़: "z",
+  ड़: "r",
+  ढ़: "rh",
+  फ़: "f",
+  य़: "y",
+};
+
+// Consonant + nukta written as two characters
+const NUKTA = "़";
+const NUKTA_FORMS = { क: "q", ज: "z", ड: "r", ढ: "rh", फ: "f" };
+
+const VIRAMA = "्";
+const NASALS = ["ं", "ँ"];
+const VISARGA = "ः";
+const DIGITS = "०१२३४५६७८९";
+
+export const hasDevanagari = (text) => /[\u0900-\u097f]/.test(text);
+
+export const devanagariToLatin = (text) => {
+  const chars = [...String(text ?? "").normalize("NFC")];
+  let output = "";
+  // The inherent "a" of the last consonant, dropped at the end of a word
+  // unless the word ends in a conjunct ("सुरेंद्र" -> "surendra")
+  let pendingA = false;
+  let inConjunct = false;
+
+  const flushA = (atWordEnd) => {
+    if (pendingA && (!atWordEnd || inConjunct)) output += "a";
+    pendingA = false;
+  };
+
+  for (let i = 0; i < chars.length; i++) {
+    const char = chars[i];
+
+    if (CONSONANTS[char] !== undefined) {
+      flushA(false);
+      inConjunct = chars[i - 1] === VIRAMA;
+      let latin = CONSONANTS[char];
+      if (chars[i + 1] === NUKTA) {
+        latin = NUKTA_FORMS[char] ?? latin;
+        i++;
+      }
+      output += latin;
+      pendingA = true;
+    } else if (VOWEL_SIGNS[char] !== undefined) {
+      pendingA = false;
+      output += VOWEL_SIGNS[char];
+    } else if (char === VIRAMA) {
+      pendingA = false;
+    } else if (VOWELS[char] !== undefined) {
+      flushA(false);
+      output += VOWELS[char];
+    } else if (NASALS.includes(char)) {
+      flushA(false);
+      output += chars[i + 1] === "ह" ? "ng" : "n";
+    } else if (char === VISARGA) {
+      flushA(false);
+      output += "h";
+    } else if (DIGITS.includes(char)) {
+      flushA(false);
+      output += DIGITS.indexOf(char);
+    } else if (char === NUKTA || char === "ऽ") {
+      continue;
+    } else {
+      flushA(!hasDevanagari(char));
+      output += char;
+    }
+  }
+  flushA(true);
+
+  return output;
+};
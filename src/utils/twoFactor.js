@@ -0,0 +1,121 @@
+import crypto from "crypto";
+import jwt from "jsonwebtoken";
+import { authenticator } from "otplib";
+import QRCode from "qrcode";
+import Setting from "../models/setting.model.js";
+import Role from "../models/role.model.js";
+import TwoFactorChallenge from "../models/twoFactorChallenge.model.js";
+import ApiError from "./error.js";
+import { hashToken } from "./tokens.js";
+import { ensureSystemRoles, hasPermission } from "./permissions.js";
+
+export const ENFORCED_ROLES_KEY = "twoFactor.enforcedRoles";
+
+const STEP_SECONDS = 30;
+const BACKUP_CODE_COUNT = 8;
+
+authenticator.options = { step: STEP_SECONDS, window: 1 };
+
+// Only roles allowed to enrol can have 2FA enforced on them
+export const getTwoFactorRoles = async () => {
+  await ensureSystemRoles();
+  const roles = await Role.find().select("name permissions");
+  return roles
+    .filter((role) => hasPermission(role.permissions, "account:twoFactor"))
+    .map((role) => role.name);
+};
+
+export const getEnforcedRoles = () => Setting.getValue(ENFORCED_ROLES_KEY, []);
+
+export const isTwoFactorRequired = async (user) => {
+  if (user.twoFactor?.enabled) return true;
+  const enforcedRoles = await getEnforcedRoles();
+  return enforcedRoles.includes(user.role);
+};
+
+// New secret plus what an authenticator app needs to enrol it
+export const generateTwoFactorSecret = async (user) => {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(
+    user.email || user.username,
+    process.env.TWO_FACTOR_ISSUER || "Labour Management System",
+    secret
+  );
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Returns the time step the code matched, or null. A step that was already
+// used (user.twoFactor.lastUsedStep) is rejected to stop replays.
+export const verifyTotp = (secret, code, lastUsedStep) => {
+  if (!secret || !code) return null;
+
+  const delta = authenticator.checkDelta(String(code).trim(), secret);
+  if (delta === null) return null;
+
+  const step = Math.floor(Date.now() / 1000 / STEP_SECONDS) + delta;
+  if (lastUsedStep !== undefined && step <= lastUsedStep) return null;
+
+  return step;
+};
+
+// Plain codes are shown to the user once, only hashes are stored
+export const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () =>
+    crypto.randomBytes(5).toString("hex")
+  );
+  return { codes, hashes: codes.map(hashToken) };
+};
+
+export const consumeBackupCode = (user, code) => {
+  if (!code) return false;
+
+  const codeHash = hashToken(String(code).trim().toLowerCase());
+  const index = (user.twoFactor.backupCodes || []).indexOf(codeHash);
+  if (index === -1) return false;
+
+  user.twoFactor.backupCodes.splice(index, 1);
+  return true;
+};
+
+// Short-lived token proving the password step of login was passed. It can
+// complete the login once, see consumeChallengeToken.
+export const createChallengeToken = (user) =>
+  jwt.sign(
+    { _id: user._id, purpose: "2fa-challenge" },
+    process.env.TWO_FACTOR_CHALLENGE_SECRET,
+    { expiresIn: "5m", jwtid: crypto.randomUUID() }
+  );
+
+export const verifyChallengeToken = (challengeToken) => {
+  try {
+    const decoded = jwt.verify(
+      challengeToken,
+      process.env.TWO_FACTOR_CHALLENGE_SECRET
+    );
+    if (decoded.purpose !== "2fa-challenge" || !decoded.jti) {
+      throw new Error();
+    }
+    return decoded;
+  } catch (err) {
+    throw new ApiError(401, "Two-factor challenge is invalid or has expired");
+  }
+};
+
+// Mark a verified challenge as used, before the session is issued. The
+// unique jti lets only one of several parallel attempts through.
+export const consumeChallengeToken = async (decoded) => {
+  try {
+    await TwoFactorChallenge.create({
+      jti: decoded.jti,
+      userId: decoded._id,
+      expiresAt: new Date(decoded.exp * 1000),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ApiError(401, "Two-factor challenge has already been used");
+    }
+    throw error;
+  }
+};
@@ -0,0 +1,77 @@
+import WageRate from "../models/wageRate.model.js";
+
+// Fields that decide who a rate applies to, most specific first
+export const RATE_SCOPE_FIELDS = [
+  "labourerId",
+  "projectId",
+  "skillId",
+  "level",
+];
+
+const idOf = (value) => (value ? String(value?._id ?? value) : null);
+
+const specificity = (rate) =>
+  RATE_SCOPE_FIELDS.reduce(
+    (score, field, index) =>
+      rate[field] ? score + 2 ** (RATE_SCOPE_FIELDS.length - 1 - index) : score,
+    0
+  );
+
+const isInForce = (rate, date) =>
+  rate.effectiveFrom <= date && (!rate.effectiveTo || date <= rate.effectiveTo);
+
+const matchesSkills = (rate, skills = []) => {
+  if (!rate.skillId && !rate.level) return true;
+
+  return skills.some(
+    (entry) =>
+      (!rate.skillId || idOf(entry.skillId) === idOf(rate.skillId)) &&
+      (!rate.level || entry.level === rate.level)
+  );
+};
+
+// The rate in force on `date` for a labourer (with their skills) working on
+// a project. Ties in specificity go to the better paid rate, so a labourer
+// holding two skills is paid for the higher one.
+export const pickWageRate = (
+  rates,
+  { labourerId, projectId, skills },
+  date
+) => {
+  const candidates = rates.filter(
+    (rate) =>
+      isInForce(rate, date) &&
+      (!rate.labourerId || idOf(rate.labourerId) === idOf(labourerId)) &&
+      (!rate.projectId || idOf(rate.projectId) === idOf(projectId)) &&
+      matchesSkills(rate, skills)
+  );
+
+  candidates.sort(
+    (a, b) =>
+      specificity(b) - specificity(a) ||
+      b.dailyRate - a.dailyRate ||
+      b.effectiveFrom - a.effectiveFrom
+  );
+
+  return candidates[0] || null;
+};
+
+// Every rate that may apply to these labourers/projects during the period
+export const loadWageRates = ({ start, end, labourerIds, projectIds }) =>
+  WageRate.find({
+    effectiveFrom: { $lte: end },
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: start } }],
+    labourerId: { $in: [null, ...labourerIds] },
+    projectId: { $in: [null, ...projectIds] },
+  }).lean();
+
+// Rates with exactly the same scope whose periods overlap [from, to]
+export const findOverlappingRates = (scope, from, to, excludeId) =>
+  WageRate.find({
+    _id: { $ne: excludeId },
+    ...Object.fromEntries(
+      RATE_SCOPE_FIELDS.map((field) => [field, scope[field] ?? null])
+    ),
+    ...(to && { effectiveFrom: { $lte: to } }),
+    $or: [{ effectiveTo: null }, { effectiveTo: { $gte: from } }],
+  });